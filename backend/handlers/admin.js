@@ -3,12 +3,110 @@ const User = require('../models/user');
 const Request = require('../models/request');
 const Category = require('../models/category');
 const FAQ = require('../models/faq');
-const { getOrCreateUser, isAdmin } = require('./common');
+const { getOrCreateUser, isAdmin, ensureAdmin, sendRequestAttachments } = require('./common');
 const { logAction } = require('../logger');
+const i18n = require('../i18n');
+const { t, tAdmin, tStudentChat } = require('../utils/i18nHelper');
 const { studentStates } = require('./student');
+const { transitionRequest, lockForReview } = require('../utils/requestLocks');
+const { recordRequestEvent } = require('../utils/requestEvents');
+const { MERGEABLE_STATUSES } = require('../utils/duplicates');
+const { removeStoredAttachments } = require('../utils/attachments');
+const { StateStore } = require('../state');
 
-// Admin state management (in-memory for simplicity)
-const adminStates = new Map();
+// Admin state management (persisted via state store, see state/index.js)
+const adminStates = new StateStore('admin');
+
+// Sent instead of a translation to remove it, so users see the default-language text again
+const REMOVE_TRANSLATION = '-';
+
+/**
+ * Locales that category names and FAQ entries can be translated to (all but the default one)
+ */
+const getTranslationLocales = () => {
+  return i18n.getSupportedLocales().filter(locale => locale !== i18n.defaultLocale);
+};
+
+/**
+ * List existing translations of a field, e.g. "uz: ..., en: —"
+ */
+const formatTranslations = (translations) => {
+  return getTranslationLocales()
+    .map(locale => `${locale}: ${(translations && translations.get(locale)) || '—'}`)
+    .join('\n');
+};
+
+/**
+ * Wrap a callback handler so that only users with a stored admin role can use it
+ * (being a member of the admin chat is not enough)
+ */
+const adminOnly = (handler) => async (ctx, ...args) => {
+  const admin = await ensureAdmin(ctx);
+  if (!admin) return;
+  ctx.state.admin = admin;
+  return handler(ctx, ...args);
+};
+
+/**
+ * Answer a refused conditional update from a moderation card.
+ * A request that still has the expected status is only locked by another admin, so the buttons stay
+ * for when the lock is released or expires; otherwise it was processed meanwhile and they are removed.
+ * @param {Object} ctx - Callback query context
+ * @param {String} requestId - Request ID
+ * @param {String} status - Status the update expected
+ * @param {String} lockedKey - i18n key of the "locked by another admin" notice
+ */
+const answerRefusedUpdate = async (ctx, requestId, status, lockedKey) => {
+  if (await Request.exists({ _id: requestId, status })) {
+    await ctx.answerCbQuery(t(ctx, lockedKey));
+    return;
+  }
+
+  await ctx.answerCbQuery(t(ctx, status === 'pending' ? 'admin.request_already_processed' : 'admin.answer_processed_or_wrong_status'));
+  await ctx.editMessageText(
+    ctx.callbackQuery.message.text,
+    { reply_markup: { inline_keyboard: [] } }
+  );
+};
+
+/**
+ * Remove the buttons from a moderation card once the decision it was locked for has been made
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} card - { chatId, messageId } stored when the card was locked
+ */
+const removeCardButtons = async (bot, card) => {
+  if (!card) return;
+
+  try {
+    await bot.telegram.editMessageReplyMarkup(card.chatId, card.messageId, undefined, { inline_keyboard: [] });
+  } catch (error) {
+    // The buttons were already removed by another action on the card
+  }
+};
+
+/**
+ * Store the admin decision on the latest answer revision
+ * @param {Object} request - Request document
+ * @param {String} status - 'approved' or 'declined'
+ * @param {Object} admin - Reviewing admin
+ * @param {String|null} feedback - Decline comment
+ */
+const reviewLatestRevision = async (request, status, admin, feedback = null) => {
+  const latest = request.answerRevisions[request.answerRevisions.length - 1];
+  if (!latest) return;
+
+  await Request.updateOne(
+    { _id: request._id, 'answerRevisions.number': latest.number },
+    {
+      $set: {
+        'answerRevisions.$.status': status,
+        'answerRevisions.$.feedback': feedback,
+        'answerRevisions.$.reviewedBy': admin._id,
+        'answerRevisions.$.reviewedAt': new Date()
+      }
+    }
+  );
+};
 
 /**
  * Delete old student chat message for a request
@@ -29,24 +127,24 @@ const deleteStudentChatMessage = async (bot, request) => {
 
 /**
  * Send request to student chat and save message ID
+ * @param {String} label - Key under student_chat.labels explaining why the request is posted (new, resent, ...)
  */
-const sendToStudentChat = async (bot, request, label = '') => {
+const sendToStudentChat = async (bot, request, label = null) => {
   const studentChatId = process.env.STUDENT_CHAT_ID;
-  const labelText = label ? ` (${label})` : '';
+  const labelText = label ? ` (${tStudentChat(`student_chat.labels.${label}`)})` : '';
 
-  const studentMessage = `
-📨 Обращение #${request._id}${labelText}
-📂 Категория: ${request.categoryId.name} ${request.categoryId.hashtag}
-
-📝 Текст обращения:
-${request.text}
-`;
+  let studentMessage = tStudentChat('student_chat.request_title', { id: request._id }) + labelText + '\n';
+  studentMessage += tStudentChat('student_chat.category', { category: request.categoryId.name, hashtag: request.categoryId.hashtag }) + '\n';
+  if (request.parentRequestId) {
+    studentMessage += tStudentChat('student_chat.followup_of', { id: request.parentRequestId }) + '\n';
+  }
+  studentMessage += '\n' + tStudentChat('student_chat.request_text') + '\n' + request.text;
 
   const sent = await bot.telegram.sendMessage(studentChatId, studentMessage, {
     reply_markup: {
       inline_keyboard: [
         [
-          { text: '🔄 Взять в работу', callback_data: `take_request:${request._id}` }
+          { text: tStudentChat('buttons.take_request'), callback_data: `take_request:${request._id}` }
         ]
       ]
     }
@@ -58,31 +156,6 @@ ${request.text}
   return sent;
 };
 
-/**
- * Handle /getadmin command
- */
-const handleGetAdmin = async (ctx) => {
-  try {
-    // Check if the command is from the admin chat
-    if (ctx.chat.id.toString() !== process.env.ADMIN_CHAT_ID) {
-      await ctx.reply('Эта команда доступна только в администраторском чате.');
-      return;
-    }
-
-    const user = await getOrCreateUser(ctx);
-
-    // Update user role to admin
-    user.role = 'admin';
-    await user.save();
-
-    await ctx.reply(`Пользователь @${user.username || user.telegramId} получил права администратора.`);
-    logAction('user_became_admin', { userId: user._id });
-  } catch (error) {
-    console.error('Error handling get admin command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
-  }
-};
-
 /**
  * Handle request approval
  */
@@ -95,7 +168,7 @@ const handleApproveRequest = async (ctx, bot) => {
       .populate('categoryId');
 
     if (!request) {
-      await ctx.answerCbQuery('Обращение не найдено.');
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -104,7 +177,7 @@ const handleApproveRequest = async (ctx, bot) => {
     }
 
     if (request.status !== 'pending') {
-      await ctx.answerCbQuery('Это обращение уже обработано.');
+      await ctx.answerCbQuery(t(ctx, 'admin.request_already_processed'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -112,21 +185,28 @@ const handleApproveRequest = async (ctx, bot) => {
       return;
     }
 
+    // Atomically approve - fails if another admin has approved, declined or locked it meanwhile
+    const approved = await transitionRequest(request._id, 'pending', { status: 'approved' }, { adminId: ctx.from.id });
+
+    if (!approved) {
+      await answerRefusedUpdate(ctx, request._id, 'pending', 'admin.request_locked');
+      return;
+    }
+
     // IMMEDIATELY UPDATE THE CALLBACK MESSAGE TO REMOVE INLINE KEYBOARD
     await ctx.editMessageText(
-      ctx.callbackQuery.message.text + '\n\n✅ Одобрено',
+      ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'admin.approved_note'),
       { reply_markup: { inline_keyboard: [] } }
     );
 
-    // Update request status
-    request.status = 'approved';
-    await request.save();
-
     // Notify user
     try {
+      const requester = request.userId;
       await bot.telegram.sendMessage(
-        request.userId.telegramId,
-        `✅ Ваше обращение по категории "${request.categoryId.name}" принято к обработке.`
+        requester.telegramId,
+        i18n.t('notifications.request_approved', requester.language, {
+          category: request.categoryId.getName(requester.language)
+        })
       );
     } catch (notifyError) {
       console.error('Error notifying user about approved request:', notifyError);
@@ -134,12 +214,14 @@ const handleApproveRequest = async (ctx, bot) => {
 
     // Send to student chat
     try {
-      await sendToStudentChat(bot, request, 'новое');
+      await sendToStudentChat(bot, request, 'new');
     } catch (notifyError) {
       console.error('Error sending request to student chat:', notifyError);
     }
 
-    await ctx.answerCbQuery('Обращение одобрено и отправлено исполнителям.');
+    await recordRequestEvent(request, 'approved', { actor: ctx.state.admin, actorRole: 'admin' });
+
+    await ctx.answerCbQuery(t(ctx, 'admin.request_approved_toast'));
     logAction('admin_approved_request', {
       adminId: ctx.from.id,
       requestId: request._id
@@ -149,14 +231,14 @@ const handleApproveRequest = async (ctx, bot) => {
     // Try to remove buttons even on error
     try {
       await ctx.editMessageText(
-        ctx.callbackQuery.message.text + '\n\n❗ Произошла ошибка при обработке',
+        ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'admin.processing_error_note'),
         { reply_markup: { inline_keyboard: [] } }
       );
     } catch (editError) {
       // editMessageText may fail if already edited
     }
     try {
-      await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+      await ctx.answerCbQuery(t(ctx, 'errors.general'));
     } catch (cbError) {
       // answerCbQuery may fail if already answered
     }
@@ -173,7 +255,7 @@ const handleDeclineRequest = async (ctx) => {
     const request = await Request.findById(requestId);
 
     if (!request) {
-      await ctx.answerCbQuery('Обращение не найдено.');
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -182,7 +264,7 @@ const handleDeclineRequest = async (ctx) => {
     }
 
     if (request.status !== 'pending') {
-      await ctx.answerCbQuery('Это обращение уже обработано.');
+      await ctx.answerCbQuery(t(ctx, 'admin.request_already_processed'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -190,27 +272,36 @@ const handleDeclineRequest = async (ctx) => {
       return;
     }
 
-    // IMMEDIATELY UPDATE THE CALLBACK MESSAGE TO REMOVE INLINE KEYBOARD
+    // Lock the request so that no other admin can act on it while the reason is being entered
+    const locked = await lockForReview(requestId, 'pending', ctx.from.id);
+
+    if (!locked) {
+      await answerRefusedUpdate(ctx, requestId, 'pending', 'admin.request_locked');
+      return;
+    }
+
+    // The buttons stay until the request is declined, so another admin can take over if the lock expires
     await ctx.editMessageText(
-      ctx.callbackQuery.message.text + '\n\n⏳ Отклонение обращения...',
-      { reply_markup: { inline_keyboard: [] } }
+      ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'admin.declining_request_note'),
+      { reply_markup: ctx.callbackQuery.message.reply_markup }
     );
 
     // Set admin state to entering decline reason
     const user = await getOrCreateUser(ctx);
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_decline_reason',
-      requestId
+      requestId,
+      card: { chatId: ctx.chat.id, messageId: ctx.callbackQuery.message.message_id }
     });
 
     await ctx.answerCbQuery();
     await ctx.reply(
-      `Введите причину отклонения обращения #${requestId}:`,
+      t(ctx, 'admin.enter_decline_reason', { id: requestId }),
       Markup.forceReply()
     );
   } catch (error) {
     console.error('Error handling decline request:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -220,51 +311,51 @@ const handleDeclineRequest = async (ctx) => {
 const handleDeclineReason = async (ctx, bot) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_decline_reason') {
-      await ctx.reply('Что-то пошло не так. Пожалуйста, начните заново.');
+      await ctx.reply(t(ctx, 'admin.start_over'));
       return;
     }
 
     const requestId = adminState.requestId;
     const declineReason = ctx.message.text;
 
-    const request = await Request.findById(requestId)
-      .populate('userId')
-      .populate('categoryId');
+    // Atomically decline - fails if the request was processed by another admin meanwhile
+    const request = await transitionRequest(requestId, 'pending', {
+      status: 'declined',
+      adminComment: declineReason
+    }, { adminId: user.telegramId });
 
     if (!request) {
-      await ctx.reply('Обращение не найдено.');
-      adminStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'admin.request_processed_or_missing'));
+      await adminStates.delete(user.telegramId);
       return;
     }
 
-    if (request.status !== 'pending') {
-      await ctx.reply('Это обращение уже обработано.');
-      adminStates.delete(user.telegramId);
-      return;
-    }
+    await request.populate(['userId', 'categoryId']);
+    await removeCardButtons(bot, adminState.card);
 
-    // Update request
-    request.status = 'declined';
-    request.adminComment = declineReason;
-    await request.save();
+    await recordRequestEvent(request, 'declined', { actor: user, actorRole: 'admin', text: declineReason });
 
     // Notify user
+    const requester = request.userId;
     await bot.telegram.sendMessage(
-      request.userId.telegramId,
-      `❌ Ваше обращение по категории "${request.categoryId.name}" отклонено.\n\nПричина: ${declineReason}`
+      requester.telegramId,
+      i18n.t('notifications.request_declined', requester.language, {
+        category: request.categoryId.getName(requester.language),
+        reason: declineReason
+      })
     );
 
     // Send status message to admin chat (separate message)
     await bot.telegram.sendMessage(
       process.env.ADMIN_CHAT_ID,
-      `❌ Обращение #${request._id} отклонено.\nПричина: ${declineReason}`
+      t(ctx, 'admin.request_declined_status', { id: request._id, reason: declineReason })
     );
 
-    await ctx.reply(`Обращение #${request._id} успешно отклонено.`);
-    adminStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'admin.request_declined_done', { id: request._id }));
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_declined_request', {
       adminId: user._id,
@@ -273,7 +364,160 @@ const handleDeclineReason = async (ctx, bot) => {
     });
   } catch (error) {
     console.error('Error handling decline reason:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Text appended to the original request when a duplicate is merged into it
+ * @param {Object} duplicate - Duplicate request with userId populated
+ */
+const getMergeAddition = (duplicate) => {
+  // The appended header is part of the requester's text, so it is in their language
+  return '\n\n' + i18n.t('duplicates.addition_header', duplicate.userId.language, { id: duplicate._id }) + '\n' + duplicate.text;
+};
+
+/**
+ * Append the text and attachments of a duplicate to the original request if it is still being worked on
+ * @param {Object|null} current - The original as read before declining the duplicate
+ * @returns {Promise<Object|null>} - Updated original, or null if it is closed or was changed in the meantime
+ */
+const mergeDuplicateIntoOriginal = async (bot, duplicate, current) => {
+  if (!current) return null;
+
+  const text = current.text + getMergeAddition(duplicate);
+  const attachments = duplicate.attachments.map(attachment => attachment.toObject());
+
+  // The update skips schema validation, so the length is checked here (the caller refuses longer merges)
+  if (text.length > Request.MAX_TEXT_LENGTH) return null;
+
+  // Matching the text read before makes sure a concurrent edit is neither overwritten nor pushed over the limit
+  const original = await Request.findOneAndUpdate(
+    { _id: current._id, status: { $in: MERGEABLE_STATUSES }, text: current.text },
+    {
+      $set: { text },
+      $push: { attachments: { $each: attachments } }
+    },
+    { new: true }
+  ).populate(['categoryId', 'studentId']);
+
+  if (!original) return null;
+
+  if (original.status === 'approved') {
+    // The post in the student chat shows the old text
+    await deleteStudentChatMessage(bot, original);
+    await sendToStudentChat(bot, original, 'extended');
+  } else if ((original.status === 'assigned' || original.status === 'answered') && original.studentId) {
+    try {
+      await bot.telegram.sendMessage(
+        original.studentId.telegramId,
+        i18n.t('notifications.student_request_extended', original.studentId.language, {
+          id: original._id,
+          text: duplicate.text
+        })
+      );
+      await sendRequestAttachments(bot, original.studentId.telegramId, duplicate);
+    } catch (notifyError) {
+      console.error('Error notifying student about merged duplicate:', notifyError);
+    }
+  }
+
+  return original;
+};
+
+/**
+ * Handle "Duplicate: merge / decline" button on a pending request.
+ * The duplicate is declined; its text is added to the original if the original is still open.
+ */
+const handleDeclineDuplicate = async (ctx, bot) => {
+  try {
+    const requestId = ctx.callbackQuery.data.split(':')[1];
+    const admin = ctx.state.admin;
+
+    const request = await Request.findById(requestId).populate('userId');
+
+    if (!request || request.status !== 'pending' || !request.possibleDuplicateOf) {
+      await ctx.answerCbQuery(t(ctx, request ? 'admin.request_already_processed' : 'errors.request_not_found'));
+      await ctx.editMessageText(
+        ctx.callbackQuery.message.text,
+        { reply_markup: { inline_keyboard: [] } }
+      );
+      return;
+    }
+
+    const originalId = request.possibleDuplicateOf;
+    const current = await Request.findOne({ _id: originalId, status: { $in: MERGEABLE_STATUSES } });
+
+    // Checked before anything changes, so a refused merge leaves both requests and the student chat post as they are
+    if (current && current.text.length + getMergeAddition(request).length > Request.MAX_TEXT_LENGTH) {
+      await ctx.answerCbQuery(t(ctx, 'admin.duplicate_too_long', { id: originalId, max: Request.MAX_TEXT_LENGTH }), { show_alert: true });
+      return;
+    }
+
+    // The comment is shown to the requester in "My requests"
+    const comment = i18n.t('duplicates.decline_comment', request.userId.language, { id: originalId });
+
+    // Atomically decline - fails if another admin has approved, declined or locked it meanwhile
+    const duplicate = await transitionRequest(request._id, 'pending', {
+      status: 'declined',
+      adminComment: comment
+    }, { adminId: ctx.from.id });
+
+    if (!duplicate) {
+      await answerRefusedUpdate(ctx, request._id, 'pending', 'admin.request_locked');
+      return;
+    }
+
+    await duplicate.populate('userId');
+    await recordRequestEvent(duplicate, 'declined', { actor: admin, actorRole: 'admin', text: comment, source: 'duplicate' });
+
+    const original = await mergeDuplicateIntoOriginal(bot, duplicate, current);
+
+    if (original) {
+      await recordRequestEvent(original, 'merged', {
+        actor: admin,
+        actorRole: 'admin',
+        text: duplicate.text
+      });
+    } else {
+      // Merged attachments belong to the original now, otherwise nothing needs the files any more
+      await removeStoredAttachments(duplicate.attachments);
+    }
+
+    await ctx.editMessageText(
+      ctx.callbackQuery.message.text + '\n\n' + (original
+        ? t(ctx, 'admin.duplicate_merged_note', { id: originalId })
+        : t(ctx, 'admin.duplicate_declined_note', { id: originalId })),
+      { reply_markup: { inline_keyboard: [] } }
+    );
+
+    try {
+      const user = duplicate.userId;
+      await bot.telegram.sendMessage(
+        user.telegramId,
+        i18n.t(original ? 'duplicates.merged' : 'duplicates.declined', user.language, {
+          id: duplicate._id,
+          original: originalId
+        })
+      );
+    } catch (notifyError) {
+      console.error('Error notifying user about duplicate:', notifyError);
+    }
+
+    await ctx.answerCbQuery(t(ctx, original ? 'admin.duplicate_merged_toast' : 'admin.duplicate_declined_toast'));
+    logAction('admin_declined_duplicate', {
+      adminId: admin._id,
+      requestId: duplicate._id,
+      originalId,
+      merged: Boolean(original)
+    });
+  } catch (error) {
+    console.error('Error handling decline duplicate:', error);
+    try {
+      await ctx.answerCbQuery(t(ctx, 'errors.general'));
+    } catch (cbError) {
+      // answerCbQuery may fail if already answered
+    }
   }
 };
 
@@ -290,7 +534,7 @@ const handleApproveAnswer = async (ctx, bot) => {
       .populate('studentId');
 
     if (!request) {
-      await ctx.answerCbQuery('Обращение не найдено.');
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -299,11 +543,10 @@ const handleApproveAnswer = async (ctx, bot) => {
     }
 
 if (request.status !== 'answered') {
-      await ctx.answerCbQuery('Это обращение находится в неправильном статусе.');
+      await ctx.answerCbQuery(t(ctx, 'admin.wrong_status'));
       // Update callback message to remove inline keyboard
-      const statusText = request.status === 'closed'
-        ? ctx.callbackQuery.message.text + '\n\n⚠️ Статус обращения: завершено'
-        : ctx.callbackQuery.message.text + `\n\n⚠️ Статус обращения: ${request.status}`;
+      const statusText = ctx.callbackQuery.message.text + '\n\n' +
+        t(ctx, 'admin.status_note', { status: t(ctx, `statuses.${request.status}`) });
       await ctx.editMessageText(
         statusText,
         { reply_markup: { inline_keyboard: [] } }
@@ -311,26 +554,49 @@ if (request.status !== 'answered') {
       return;
     }
 
+    // Atomically close - fails if another admin has approved, declined or locked the answer meanwhile
+    const closed = await transitionRequest(request._id, 'answered', { status: 'closed' }, { adminId: ctx.from.id });
+
+    if (!closed) {
+      await answerRefusedUpdate(ctx, request._id, 'answered', 'admin.answer_locked');
+      return;
+    }
+
     // IMMEDIATELY UPDATE THE CALLBACK MESSAGE TO REMOVE INLINE KEYBOARD
     await ctx.editMessageText(
-      ctx.callbackQuery.message.text + '\n\n✅ Одобрено и отправлено пользователю',
+      ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'admin.answer_approved_note'),
       { reply_markup: { inline_keyboard: [] } }
     );
 
-    // Update request status
-    request.status = 'closed';
-    await request.save();
-
     // Update user's active assignment
     const student = request.studentId;
     student.currentAssignmentId = null;
     await student.save();
 
-    // Notify user
+    await reviewLatestRevision(closed, 'approved', ctx.state.admin);
+    await recordRequestEvent(request, 'closed', { actor: ctx.state.admin, actorRole: 'admin', student });
+
+    // Notify user in their own language
     try {
+      const requester = request.userId;
+      await bot.telegram.sendMessage(
+        requester.telegramId,
+        i18n.t('notifications.answer_ready', requester.language, {
+          category: request.categoryId.getName(requester.language),
+          answer: request.answerText
+        }),
+        Markup.inlineKeyboard([
+          [Markup.button.callback(i18n.t('buttons.ask_followup', requester.language), `followup:${request._id}`)]
+        ])
+      );
+
+      // Ask the requester to rate the answer
       await bot.telegram.sendMessage(
-        request.userId.telegramId,
-        `✅ Ваш запрос по категории "${request.categoryId.name}" был обработан.\n\n📝 Ответ:\n${request.answerText}`
+        requester.telegramId,
+        i18n.t('rating.prompt', requester.language),
+        Markup.inlineKeyboard([
+          [1, 2, 3, 4, 5].map(score => Markup.button.callback(`${score} ⭐`, `rate:${request._id}:${score}`))
+        ])
       );
     } catch (notifyError) {
       console.error('Error notifying user about approved answer:', notifyError);
@@ -341,14 +607,14 @@ if (request.status !== 'answered') {
       const { getMainMenuKeyboard } = require('./common');
       await bot.telegram.sendMessage(
         student.telegramId,
-        `✅ Ваш ответ на обращение #${request._id} был одобрен и отправлен пользователю.`,
-        getMainMenuKeyboard()
+        i18n.t('notifications.student_answer_approved', student.language, { id: request._id }),
+        getMainMenuKeyboard({ locale: student.language })
       );
     } catch (notifyError) {
       console.error('Error notifying student about approved answer:', notifyError);
     }
 
-    await ctx.answerCbQuery('Ответ одобрен и отправлен пользователю.');
+    await ctx.answerCbQuery(t(ctx, 'admin.answer_approved_toast'));
     logAction('admin_approved_answer', {
       adminId: ctx.from.id,
       requestId: request._id,
@@ -359,14 +625,14 @@ if (request.status !== 'answered') {
     // Try to remove buttons even on error
     try {
       await ctx.editMessageText(
-        ctx.callbackQuery.message.text + '\n\n❗ Произошла ошибка при обработке',
+        ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'admin.processing_error_note'),
         { reply_markup: { inline_keyboard: [] } }
       );
     } catch (editError) {
       // editMessageText may fail if already edited
     }
     try {
-      await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+      await ctx.answerCbQuery(t(ctx, 'errors.general'));
     } catch (cbError) {
       // answerCbQuery may fail if already answered
     }
@@ -383,7 +649,7 @@ const handleDeclineAnswer = async (ctx) => {
     const request = await Request.findById(requestId);
 
     if (!request) {
-      await ctx.answerCbQuery('Обращение не найдено.');
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -392,11 +658,10 @@ const handleDeclineAnswer = async (ctx) => {
     }
 
     if (request.status !== 'answered') {
-      await ctx.answerCbQuery('Это обращение находится в неправильном статусе.');
+      await ctx.answerCbQuery(t(ctx, 'admin.wrong_status'));
       // Update callback message to remove inline keyboard
-      const statusText = request.status === 'closed'
-        ? ctx.callbackQuery.message.text + '\n\n⚠️ Статус обращения: завершено'
-        : ctx.callbackQuery.message.text + `\n\n⚠️ Статус обращения: ${request.status}`;
+      const statusText = ctx.callbackQuery.message.text + '\n\n' +
+        t(ctx, 'admin.status_note', { status: t(ctx, `statuses.${request.status}`) });
       await ctx.editMessageText(
         statusText,
         { reply_markup: { inline_keyboard: [] } }
@@ -404,27 +669,36 @@ const handleDeclineAnswer = async (ctx) => {
       return;
     }
 
-    // IMMEDIATELY UPDATE THE CALLBACK MESSAGE TO REMOVE INLINE KEYBOARD
+    // Lock the answer so that no other admin can approve it while the comment is being entered
+    const locked = await lockForReview(requestId, 'answered', ctx.from.id);
+
+    if (!locked) {
+      await answerRefusedUpdate(ctx, requestId, 'answered', 'admin.answer_locked');
+      return;
+    }
+
+    // The buttons stay until the answer is declined, so another admin can take over if the lock expires
     await ctx.editMessageText(
-      ctx.callbackQuery.message.text + '\n\n⏳ Отклонение ответа...',
-      { reply_markup: { inline_keyboard: [] } }
+      ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'admin.declining_answer_note'),
+      { reply_markup: ctx.callbackQuery.message.reply_markup }
     );
 
     // Set admin state to entering decline reason
     const user = await getOrCreateUser(ctx);
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_answer_decline_reason',
-      requestId
+      requestId,
+      card: { chatId: ctx.chat.id, messageId: ctx.callbackQuery.message.message_id }
     });
 
     await ctx.answerCbQuery();
     await ctx.reply(
-      `Введите комментарий к ответу на обращение #${requestId}:`,
+      t(ctx, 'admin.enter_answer_comment', { id: requestId }),
       Markup.forceReply()
     );
   } catch (error) {
     console.error('Error handling decline answer:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -434,44 +708,53 @@ const handleDeclineAnswer = async (ctx) => {
 const handleAnswerDeclineReason = async (ctx, bot) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_answer_decline_reason') {
-      await ctx.reply('Что-то пошло не так. Пожалуйста, начните заново.');
+      await ctx.reply(t(ctx, 'admin.start_over'));
       return;
     }
 
     const requestId = adminState.requestId;
     const declineReason = ctx.message.text;
 
-    const request = await Request.findById(requestId)
-      .populate('studentId')
-      .populate('categoryId');
+    // Atomically store the comment - fails if the answer was processed by another admin meanwhile.
+    // The request goes back to "assigned", so the assignment deadline applies again until a new answer is sent.
+    const request = await transitionRequest(requestId, 'answered', {
+      status: 'assigned',
+      adminComment: declineReason
+    }, { adminId: user.telegramId });
 
     if (!request) {
-      await ctx.reply('Обращение не найдено.');
-      adminStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'admin.answer_processed_or_wrong_status'));
+      await adminStates.delete(user.telegramId);
       return;
     }
 
-    if (request.status !== 'answered') {
-      await ctx.reply('Это обращение находится в неправильном статусе.');
-      adminStates.delete(user.telegramId);
-      return;
-    }
+    await request.populate(['studentId', 'categoryId']);
+    await removeCardButtons(bot, adminState.card);
 
-    // Update request
-    request.adminComment = declineReason;
-    await request.save();
+    await reviewLatestRevision(request, 'declined', user, declineReason);
+    await recordRequestEvent(request, 'answer_declined', {
+      actor: user,
+      actorRole: 'admin',
+      student: request.studentId,
+      text: declineReason
+    });
 
-    // Notify student with options
+    // Notify student with options, in their own language
+    const studentLocale = request.studentId.language;
     await bot.telegram.sendMessage(
       request.studentId.telegramId,
-      `❌ Ваш ответ на обращение #${request._id} по категории "${request.categoryId.name}" был отклонен.\n\nКомментарий: ${declineReason}\n\nВыберите действие:`,
+      i18n.t('notifications.student_answer_declined', studentLocale, {
+        id: request._id,
+        category: request.categoryId.getName(studentLocale),
+        comment: declineReason
+      }),
       Markup.inlineKeyboard([
         [
-          { text: '✏️ Отправить новый ответ', callback_data: `edit_answer:${request._id}` },
-          { text: '❌ Отказаться от обращения', callback_data: `reject_assignment:${request._id}` }
+          { text: i18n.t('buttons.send_new_answer', studentLocale), callback_data: `edit_answer:${request._id}` },
+          { text: '❌ ' + i18n.t('buttons.reject_assignment', studentLocale), callback_data: `reject_assignment:${request._id}` }
         ]
       ])
     );
@@ -479,11 +762,11 @@ const handleAnswerDeclineReason = async (ctx, bot) => {
     // Send status message to admin chat (separate message)
     await bot.telegram.sendMessage(
       process.env.ADMIN_CHAT_ID,
-      `❌ Ответ на обращение #${request._id} отклонен.\nПричина: ${declineReason}`
+      t(ctx, 'admin.answer_declined_status', { id: request._id, reason: declineReason })
     );
 
-    await ctx.reply(`Ответ на обращение #${request._id} успешно отклонен.`);
-    adminStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'admin.answer_declined_done', { id: request._id }));
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_declined_answer', {
       adminId: user._id,
@@ -493,7 +776,7 @@ const handleAnswerDeclineReason = async (ctx, bot) => {
     });
   } catch (error) {
     console.error('Error handling answer decline reason:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -505,20 +788,20 @@ const handleAddCategory = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
     // Set admin state to entering category name
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_category_name'
     });
 
-    await ctx.reply('Введите название новой категории:');
+    await ctx.reply(t(ctx, 'admin.enter_category_name'));
     logAction('admin_adding_category', { userId: user._id });
   } catch (error) {
     console.error('Error handling add category command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -528,7 +811,7 @@ const handleAddCategory = async (ctx) => {
 const handleCategoryName = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_category_name') {
       return;
@@ -539,20 +822,20 @@ const handleCategoryName = async (ctx) => {
     // Check if category already exists
     const existingCategory = await Category.findOne({ name: categoryName });
     if (existingCategory) {
-      await ctx.reply('Категория с таким названием уже существует. Пожалуйста, выберите другое название.');
+      await ctx.reply(t(ctx, 'admin.category_name_exists'));
       return;
     }
 
     // Update admin state
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_category_hashtag',
       categoryName
     });
 
-    await ctx.reply('Введите хештег для категории (например, #гражданское):');
+    await ctx.reply(t(ctx, 'admin.enter_category_hashtag'));
   } catch (error) {
     console.error('Error handling category name entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -562,7 +845,7 @@ const handleCategoryName = async (ctx) => {
 const handleCategoryHashtag = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_category_hashtag') {
       return;
@@ -578,7 +861,7 @@ const handleCategoryHashtag = async (ctx) => {
     // Check if hashtag already exists
     const existingCategory = await Category.findOne({ hashtag });
     if (existingCategory) {
-      await ctx.reply('Категория с таким хештегом уже существует. Пожалуйста, выберите другой хештег.');
+      await ctx.reply(t(ctx, 'admin.hashtag_exists'));
       return;
     }
 
@@ -590,8 +873,8 @@ const handleCategoryHashtag = async (ctx) => {
 
     await category.save();
 
-    await ctx.reply(`✅ Категория "${category.name}" с хештегом ${category.hashtag} успешно создана!`);
-    adminStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'admin.category_created', { name: category.name, hashtag: category.hashtag }));
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_created_category', {
       adminId: user._id,
@@ -600,7 +883,7 @@ const handleCategoryHashtag = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling category hashtag entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -612,14 +895,14 @@ const handleEditCategory = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
     const categories = await Category.find().sort({ name: 1 });
 
     if (categories.length === 0) {
-      await ctx.reply('В базе данных нет категорий.');
+      await ctx.reply(t(ctx, 'admin.no_categories'));
       return;
     }
 
@@ -628,12 +911,12 @@ const handleEditCategory = async (ctx) => {
     ]);
 
     await ctx.reply(
-      'Выберите категорию для редактирования:',
+      t(ctx, 'admin.select_category_to_edit'),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling edit category command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -646,7 +929,7 @@ const handleEditCategorySelection = async (ctx) => {
 
     const category = await Category.findById(categoryId);
     if (!category) {
-      await ctx.answerCbQuery('Категория не найдена.');
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -657,25 +940,32 @@ const handleEditCategorySelection = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     // Set admin state
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'editing_category',
       categoryId
     });
 
     const keyboard = [
-      [{ text: 'Изменить название', callback_data: `edit_category_name:${categoryId}` }],
-      [{ text: 'Изменить хештег', callback_data: `edit_category_hashtag:${categoryId}` }],
-      [{ text: 'Отмена', callback_data: 'cancel_edit_category' }]
+      [{ text: t(ctx, 'admin.buttons.edit_name'), callback_data: `edit_category_name:${categoryId}` }],
+      [{ text: t(ctx, 'admin.buttons.edit_hashtag'), callback_data: `edit_category_hashtag:${categoryId}` }],
+      getTranslationLocales().map(locale => (
+        { text: t(ctx, 'admin.buttons.name_translation', { locale }), callback_data: `edit_category_translation:${categoryId}:${locale}` }
+      )),
+      [{ text: t(ctx, 'buttons.cancel'), callback_data: 'cancel_edit_category' }]
     ];
 
     await ctx.answerCbQuery();
     await ctx.reply(
-      `Редактирование категории: ${category.name} (${category.hashtag})`,
+      t(ctx, 'admin.editing_category', {
+        name: category.name,
+        hashtag: category.hashtag,
+        translations: formatTranslations(category.nameTranslations)
+      }),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling edit category selection:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -688,7 +978,7 @@ const handleEditCategoryName = async (ctx) => {
 
     const category = await Category.findById(categoryId);
     if (!category) {
-      await ctx.answerCbQuery('Категория не найдена.');
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -699,16 +989,16 @@ const handleEditCategoryName = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     // Update admin state
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_new_category_name',
       categoryId
     });
 
     await ctx.answerCbQuery();
-    await ctx.reply(`Текущее название: ${category.name}\n\nВведите новое название категории:`);
+    await ctx.reply(t(ctx, 'admin.enter_new_category_name', { name: category.name }));
   } catch (error) {
     console.error('Error handling edit category name:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -718,7 +1008,7 @@ const handleEditCategoryName = async (ctx) => {
 const handleNewCategoryName = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_new_category_name') {
       return;
@@ -729,19 +1019,19 @@ const handleNewCategoryName = async (ctx) => {
     // Check if name already exists
     const existingCategory = await Category.findOne({ name: newName });
     if (existingCategory && existingCategory._id.toString() !== adminState.categoryId) {
-      await ctx.reply('Категория с таким названием уже существует. Пожалуйста, выберите другое название.');
+      await ctx.reply(t(ctx, 'admin.category_name_exists'));
       return;
     }
 
     // Update category
     const category = await Category.findById(adminState.categoryId);
     if (!category) {
-      await ctx.reply('Категория не найдена.');
+      await ctx.reply(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
       );
-      adminStates.delete(user.telegramId);
+      await adminStates.delete(user.telegramId);
       return;
     }
 
@@ -749,8 +1039,8 @@ const handleNewCategoryName = async (ctx) => {
     category.name = newName;
     await category.save();
 
-    await ctx.reply(`✅ Название категории изменено с "${oldName}" на "${newName}".`);
-    adminStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'admin.category_name_changed', { oldName, newName }));
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_updated_category_name', {
       adminId: user._id,
@@ -760,7 +1050,7 @@ const handleNewCategoryName = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling new category name entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -773,7 +1063,7 @@ const handleEditCategoryHashtag = async (ctx) => {
 
     const category = await Category.findById(categoryId);
     if (!category) {
-      await ctx.answerCbQuery('Категория не найдена.');
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -784,16 +1074,16 @@ const handleEditCategoryHashtag = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     // Update admin state
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_new_category_hashtag',
       categoryId
     });
 
     await ctx.answerCbQuery();
-    await ctx.reply(`Текущий хештег: ${category.hashtag}\n\nВведите новый хештег категории:`);
+    await ctx.reply(t(ctx, 'admin.enter_new_category_hashtag', { hashtag: category.hashtag }));
   } catch (error) {
     console.error('Error handling edit category hashtag:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -803,7 +1093,7 @@ const handleEditCategoryHashtag = async (ctx) => {
 const handleNewCategoryHashtag = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_new_category_hashtag') {
       return;
@@ -819,19 +1109,19 @@ const handleNewCategoryHashtag = async (ctx) => {
     // Check if hashtag already exists
     const existingCategory = await Category.findOne({ hashtag: newHashtag });
     if (existingCategory && existingCategory._id.toString() !== adminState.categoryId) {
-      await ctx.reply('Категория с таким хештегом уже существует. Пожалуйста, выберите другой хештег.');
+      await ctx.reply(t(ctx, 'admin.hashtag_exists'));
       return;
     }
 
     // Update category
     const category = await Category.findById(adminState.categoryId);
     if (!category) {
-      await ctx.reply('Категория не найдена.');
+      await ctx.reply(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
       );
-      adminStates.delete(user.telegramId);
+      await adminStates.delete(user.telegramId);
       return;
     }
 
@@ -839,8 +1129,8 @@ const handleNewCategoryHashtag = async (ctx) => {
     category.hashtag = newHashtag;
     await category.save();
 
-    await ctx.reply(`✅ Хештег категории изменен с "${oldHashtag}" на "${newHashtag}".`);
-    adminStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'admin.category_hashtag_changed', { oldHashtag, newHashtag }));
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_updated_category_hashtag', {
       adminId: user._id,
@@ -850,7 +1140,104 @@ const handleNewCategoryHashtag = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling new category hashtag entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle category name translation button (callback edit_category_translation:<categoryId>:<locale>)
+ */
+const handleEditCategoryTranslation = async (ctx) => {
+  try {
+    const [, categoryId, locale] = ctx.callbackQuery.data.split(':');
+
+    const category = await Category.findById(categoryId);
+    if (!category || !getTranslationLocales().includes(locale)) {
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
+      await ctx.editMessageText(
+        ctx.callbackQuery.message.text,
+        { reply_markup: { inline_keyboard: [] } }
+      );
+      return;
+    }
+
+    const user = await getOrCreateUser(ctx);
+
+    await adminStates.set(user.telegramId, {
+      state: 'entering_category_translation',
+      categoryId,
+      locale
+    });
+
+    const current = category.nameTranslations.get(locale);
+
+    await ctx.answerCbQuery();
+    await ctx.reply(t(ctx, 'admin.enter_category_translation', {
+      name: category.name,
+      locale,
+      current: current || '—',
+      remove: REMOVE_TRANSLATION
+    }));
+  } catch (error) {
+    console.error('Error handling edit category translation:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle category name translation entry
+ */
+const handleCategoryTranslation = async (ctx) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const adminState = await adminStates.get(user.telegramId);
+
+    if (!adminState || adminState.state !== 'entering_category_translation') {
+      return;
+    }
+
+    const { locale } = adminState;
+    const text = ctx.message.text.trim();
+
+    const category = await Category.findById(adminState.categoryId);
+    if (!category) {
+      await ctx.reply(t(ctx, 'admin.category_not_found'));
+      await adminStates.delete(user.telegramId);
+      return;
+    }
+
+    if (text === REMOVE_TRANSLATION) {
+      category.nameTranslations.delete(locale);
+      await category.save();
+
+      await ctx.reply(t(ctx, 'admin.category_translation_removed', { name: category.name, locale }));
+      await adminStates.delete(user.telegramId);
+      logAction('admin_removed_category_translation', { adminId: user._id, categoryId: category._id, locale });
+      return;
+    }
+
+    // Users pick categories by their localized name, so names must stay unique within a language
+    const categories = await Category.find({ _id: { $ne: category._id } });
+    if (categories.some(other => other.getName(locale) === text)) {
+      await ctx.reply(t(ctx, 'admin.category_translation_exists'));
+      return;
+    }
+
+    category.nameTranslations.set(locale, text);
+    await category.save();
+
+    await ctx.reply(t(ctx, 'admin.category_translation_saved', { name: category.name, locale, translation: text }));
+    await adminStates.delete(user.telegramId);
+
+    logAction('admin_updated_category_translation', {
+      adminId: user._id,
+      categoryId: category._id,
+      locale,
+      name: text
+    });
+  } catch (error) {
+    console.error('Error handling category translation entry:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -862,14 +1249,14 @@ const handleDeleteCategory = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
     const categories = await Category.find().sort({ name: 1 });
 
     if (categories.length === 0) {
-      await ctx.reply('В базе данных нет категорий.');
+      await ctx.reply(t(ctx, 'admin.no_categories'));
       return;
     }
 
@@ -878,12 +1265,12 @@ const handleDeleteCategory = async (ctx) => {
     ]);
 
     await ctx.reply(
-      'Выберите категорию для удаления:',
+      t(ctx, 'admin.select_category_to_delete'),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling delete category command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -896,7 +1283,7 @@ const handleDeleteCategorySelection = async (ctx) => {
 
     const category = await Category.findById(categoryId);
     if (!category) {
-      await ctx.answerCbQuery('Категория не найдена.');
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -923,29 +1310,28 @@ const handleDeleteCategorySelection = async (ctx) => {
     if (activeRequestsCount > 0) {
       await ctx.answerCbQuery();
       await ctx.reply(
-        `❌ Категория "${category.name}" не может быть удалена, так как есть ${activeRequestsCount} активных обращений. Завершите или отклоните их сначала.\n\n` +
-        `Всего обращений в категории: ${totalRequestsCount}\n` +
-        `FAQ в категории: ${faqsCount}`
+        t(ctx, 'admin.category_has_active_requests', { name: category.name, count: activeRequestsCount }) + '\n\n' +
+        t(ctx, 'admin.category_usage', { requests: totalRequestsCount, faqs: faqsCount })
       );
       return;
     }
 
     // Show warning about what will be deleted
-    let warningMessage = `Вы уверены, что хотите удалить категорию "${category.name}" (${category.hashtag})?`;
+    let warningMessage = t(ctx, 'admin.confirm_delete_category', { name: category.name, hashtag: category.hashtag });
     
     if (faqsCount > 0) {
-      warningMessage += `\n\n⚠️ ВНИМАНИЕ: Будет удалено ${faqsCount} вопросов FAQ из этой категории.`;
+      warningMessage += '\n\n' + t(ctx, 'admin.delete_category_faqs_warning', { count: faqsCount });
     }
     
     if (totalRequestsCount > 0) {
       const closedRequestsCount = totalRequestsCount - activeRequestsCount;
-      warningMessage += `\n\n📄 В категории есть ${closedRequestsCount} завершенных обращений (они останутся в базе данных).`;
+      warningMessage += '\n\n' + t(ctx, 'admin.delete_category_requests_note', { count: closedRequestsCount });
     }
 
     const keyboard = [
       [
-        { text: 'Да, удалить', callback_data: `confirm_delete_category:${categoryId}` },
-        { text: 'Отмена', callback_data: 'cancel_delete_category' }
+        { text: t(ctx, 'buttons.confirm_delete'), callback_data: `confirm_delete_category:${categoryId}` },
+        { text: t(ctx, 'buttons.cancel'), callback_data: 'cancel_delete_category' }
       ]
     ];
 
@@ -954,7 +1340,7 @@ const handleDeleteCategorySelection = async (ctx) => {
 
   } catch (error) {
     console.error('Error handling delete category selection:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -967,7 +1353,7 @@ const handleDeleteCategoryConfirmation = async (ctx) => {
 
     const category = await Category.findById(categoryId);
     if (!category) {
-      await ctx.answerCbQuery('Категория не найдена.');
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -997,7 +1383,7 @@ const handleDeleteCategoryConfirmation = async (ctx) => {
       if (activeRequestsCount > 0) {
         await ctx.answerCbQuery();
         await ctx.editMessageText(
-          `❌ Категория "${categoryName}" не может быть удалена, так как есть ${activeRequestsCount} активных обращений. Завершите или отклоните их сначала.`,
+          t(ctx, 'admin.category_has_active_requests', { name: categoryName, count: activeRequestsCount }),
           { reply_markup: { inline_keyboard: [] } }
         );
         return;
@@ -1009,7 +1395,7 @@ const handleDeleteCategoryConfirmation = async (ctx) => {
       const user = await getOrCreateUser(ctx);
       await ctx.answerCbQuery();
       await ctx.editMessageText(
-        `✅ Категория "${categoryName}" успешно удалена.`,
+        t(ctx, 'admin.category_deleted', { name: categoryName }),
         { reply_markup: { inline_keyboard: [] } }
       );
       logAction('admin_deleted_category', {
@@ -1022,7 +1408,7 @@ const handleDeleteCategoryConfirmation = async (ctx) => {
     }
   } catch (error) {
     console.error('Error handling delete category confirmation:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1034,20 +1420,20 @@ const handleAddFAQ = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
     // Set admin state to entering FAQ question
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_faq_question'
     });
 
-    await ctx.reply('Введите вопрос для FAQ:');
+    await ctx.reply(t(ctx, 'admin.enter_faq_question'));
     logAction('admin_adding_faq', { userId: user._id });
   } catch (error) {
     console.error('Error handling add FAQ command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -1057,7 +1443,7 @@ const handleAddFAQ = async (ctx) => {
 const handleFAQQuestion = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_faq_question') {
       return;
@@ -1066,15 +1452,15 @@ const handleFAQQuestion = async (ctx) => {
     const question = ctx.message.text;
 
     // Update admin state
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_faq_answer',
       question
     });
 
-    await ctx.reply('Введите ответ на вопрос:');
+    await ctx.reply(t(ctx, 'admin.enter_faq_answer'));
   } catch (error) {
     console.error('Error handling FAQ question entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -1084,7 +1470,7 @@ const handleFAQQuestion = async (ctx) => {
 const handleFAQAnswer = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_faq_answer') {
       return;
@@ -1093,7 +1479,7 @@ const handleFAQAnswer = async (ctx) => {
     const answer = ctx.message.text;
 
     // Update admin state
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'selecting_faq_category',
       question: adminState.question,
       answer
@@ -1103,8 +1489,8 @@ const handleFAQAnswer = async (ctx) => {
     const categories = await Category.find().sort({ name: 1 });
 
     if (categories.length === 0) {
-      await ctx.reply('В базе данных нет категорий. Сначала создайте категорию с помощью команды /add_category.');
-      adminStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'admin.no_categories_create_first'));
+      await adminStates.delete(user.telegramId);
       return;
     }
 
@@ -1113,12 +1499,12 @@ const handleFAQAnswer = async (ctx) => {
     ]);
 
     await ctx.reply(
-      'Выберите категорию для вопроса:',
+      t(ctx, 'admin.select_faq_category'),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling FAQ answer entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -1131,7 +1517,7 @@ const handleFAQCategorySelectionAdmin = async (ctx) => {
 
     const category = await Category.findById(categoryId);
     if (!category) {
-      await ctx.answerCbQuery('Категория не найдена.');
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1140,10 +1526,10 @@ const handleFAQCategorySelectionAdmin = async (ctx) => {
     }
 
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'selecting_faq_category') {
-      await ctx.answerCbQuery('Что-то пошло не так. Пожалуйста, начните заново.');
+      await ctx.answerCbQuery(t(ctx, 'admin.start_over'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1162,11 +1548,11 @@ const handleFAQCategorySelectionAdmin = async (ctx) => {
 
     await ctx.answerCbQuery();
     await ctx.editMessageText(
-      `✅ Вопрос успешно добавлен в категорию "${category.name}".`,
+      t(ctx, 'admin.faq_added', { category: category.name }),
       { reply_markup: { inline_keyboard: [] } }
     );
 
-    adminStates.delete(user.telegramId);
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_created_faq', {
       adminId: user._id,
@@ -1175,7 +1561,7 @@ const handleFAQCategorySelectionAdmin = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling FAQ category selection:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1187,16 +1573,16 @@ const handleCancel = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     // Clear admin state
-    adminStates.delete(user.telegramId);
+    await adminStates.delete(user.telegramId);
 
     await ctx.answerCbQuery();
     await ctx.editMessageText(
-      'Операция отменена.',
+      t(ctx, 'admin.operation_cancelled'),
       { reply_markup: { inline_keyboard: [] } }
     );
   } catch (error) {
     console.error('Error handling cancel:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1206,14 +1592,14 @@ const handleEditFAQ = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
     const categories = await Category.find().sort({ name: 1 });
 
     if (categories.length === 0) {
-      await ctx.reply('В базе данных нет категорий.');
+      await ctx.reply(t(ctx, 'admin.no_categories'));
       return;
     }
 
@@ -1222,12 +1608,12 @@ const handleEditFAQ = async (ctx) => {
     ]);
 
     await ctx.reply(
-      'Выберите категорию для редактирования FAQ:',
+      t(ctx, 'admin.select_faq_category_to_edit'),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling edit FAQ command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -1238,7 +1624,7 @@ const handleEditFAQCategorySelection = async (ctx) => {
     const faqs = await FAQ.find({ categoryId }).sort({ question: 1 });
 
     if (faqs.length === 0) {
-      await ctx.answerCbQuery('В этой категории нет вопросов.');
+      await ctx.answerCbQuery(t(ctx, 'admin.no_faqs_in_category'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1252,12 +1638,12 @@ const handleEditFAQCategorySelection = async (ctx) => {
 
     await ctx.answerCbQuery();
     await ctx.reply(
-      'Выберите вопрос для редактирования:',
+      t(ctx, 'admin.select_faq_to_edit'),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling edit FAQ category selection:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1267,7 +1653,7 @@ const handleEditFAQSelection = async (ctx) => {
 
     const faq = await FAQ.findById(faqId);
     if (!faq) {
-      await ctx.answerCbQuery('Вопрос не найден.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1275,21 +1661,34 @@ const handleEditFAQSelection = async (ctx) => {
       return;
     }
 
+    const translationLocales = getTranslationLocales();
     const keyboard = [
-      [{ text: 'Изменить вопрос', callback_data: `edit_faq_question:${faqId}` }],
-      [{ text: 'Изменить ответ', callback_data: `edit_faq_answer:${faqId}` }],
-      [{ text: 'Изменить категорию', callback_data: `edit_faq_category:${faqId}` }],
-      [{ text: 'Отмена', callback_data: 'cancel_edit_faq' }]
+      [{ text: t(ctx, 'admin.buttons.edit_question'), callback_data: `edit_faq_question:${faqId}` }],
+      [{ text: t(ctx, 'admin.buttons.edit_answer'), callback_data: `edit_faq_answer:${faqId}` }],
+      [{ text: t(ctx, 'admin.buttons.edit_category'), callback_data: `edit_faq_category:${faqId}` }],
+      translationLocales.map(locale => (
+        { text: t(ctx, 'admin.buttons.question_translation', { locale }), callback_data: `edit_faq_translation:${faqId}:question:${locale}` }
+      )),
+      translationLocales.map(locale => (
+        { text: t(ctx, 'admin.buttons.answer_translation', { locale }), callback_data: `edit_faq_translation:${faqId}:answer:${locale}` }
+      )),
+      [{ text: t(ctx, 'buttons.cancel'), callback_data: 'cancel_edit_faq' }]
     ];
 
+    const answerLocales = translationLocales.filter(locale => faq.answerTranslations.get(locale));
+
     await ctx.answerCbQuery();
     await ctx.reply(
-      `Редактирование вопроса: ${faq.question}`,
+      t(ctx, 'admin.editing_faq', {
+        question: faq.question,
+        translations: formatTranslations(faq.questionTranslations),
+        answerLocales: answerLocales.length > 0 ? answerLocales.join(', ') : '—'
+      }),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling edit FAQ selection:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1299,7 +1698,7 @@ const handleEditFAQQuestion = async (ctx) => {
 
     const faq = await FAQ.findById(faqId);
     if (!faq) {
-      await ctx.answerCbQuery('Вопрос не найден.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1309,23 +1708,23 @@ const handleEditFAQQuestion = async (ctx) => {
 
     const user = await getOrCreateUser(ctx);
 
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_new_faq_question',
       faqId
     });
 
     await ctx.answerCbQuery();
-    await ctx.reply(`Текущий вопрос: ${faq.question}\n\nВведите новый вопрос:`);
+    await ctx.reply(t(ctx, 'admin.enter_new_faq_question', { question: faq.question }));
   } catch (error) {
     console.error('Error handling edit FAQ question:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
 const handleNewFAQQuestion = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_new_faq_question') {
       return;
@@ -1335,8 +1734,8 @@ const handleNewFAQQuestion = async (ctx) => {
 
     const faq = await FAQ.findById(adminState.faqId);
     if (!faq) {
-      await ctx.reply('Вопрос не найден.');
-      adminStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'admin.faq_not_found'));
+      await adminStates.delete(user.telegramId);
       return;
     }
 
@@ -1344,8 +1743,8 @@ const handleNewFAQQuestion = async (ctx) => {
     faq.question = newQuestion;
     await faq.save();
 
-    await ctx.reply(`✅ Вопрос успешно обновлен.`);
-    adminStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'admin.faq_question_updated'));
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_updated_faq_question', {
       adminId: user._id,
@@ -1355,7 +1754,7 @@ const handleNewFAQQuestion = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling new FAQ question entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -1365,7 +1764,7 @@ const handleEditFAQAnswer = async (ctx) => {
 
     const faq = await FAQ.findById(faqId);
     if (!faq) {
-      await ctx.answerCbQuery('Вопрос не найден.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1375,23 +1774,23 @@ const handleEditFAQAnswer = async (ctx) => {
 
     const user = await getOrCreateUser(ctx);
 
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'entering_new_faq_answer',
       faqId
     });
 
     await ctx.answerCbQuery();
-    await ctx.reply(`Текущий ответ: ${faq.answer}\n\nВведите новый ответ:`);
+    await ctx.reply(t(ctx, 'admin.enter_new_faq_answer', { answer: faq.answer }));
   } catch (error) {
     console.error('Error handling edit FAQ answer:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
 const handleNewFAQAnswer = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const adminState = adminStates.get(user.telegramId);
+    const adminState = await adminStates.get(user.telegramId);
 
     if (!adminState || adminState.state !== 'entering_new_faq_answer') {
       return;
@@ -1401,8 +1800,8 @@ const handleNewFAQAnswer = async (ctx) => {
 
     const faq = await FAQ.findById(adminState.faqId);
     if (!faq) {
-      await ctx.reply('Вопрос не найден.');
-      adminStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'admin.faq_not_found'));
+      await adminStates.delete(user.telegramId);
       return;
     }
 
@@ -1410,8 +1809,8 @@ const handleNewFAQAnswer = async (ctx) => {
     faq.answer = newAnswer;
     await faq.save();
 
-    await ctx.reply(`✅ Ответ успешно обновлен.`);
-    adminStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'admin.faq_answer_updated'));
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_updated_faq_answer', {
       adminId: user._id,
@@ -1419,7 +1818,105 @@ const handleNewFAQAnswer = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling new FAQ answer entry:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+// FAQ fields that can be translated -> { translations field, label key }
+const FAQ_TRANSLATION_FIELDS = {
+  question: { translations: 'questionTranslations', label: 'admin.faq_fields.question' },
+  answer: { translations: 'answerTranslations', label: 'admin.faq_fields.answer' }
+};
+
+/**
+ * Handle FAQ translation button (callback edit_faq_translation:<faqId>:<question|answer>:<locale>)
+ */
+const handleEditFAQTranslation = async (ctx) => {
+  try {
+    const [, faqId, field, locale] = ctx.callbackQuery.data.split(':');
+
+    const faq = await FAQ.findById(faqId);
+    if (!faq || !FAQ_TRANSLATION_FIELDS[field] || !getTranslationLocales().includes(locale)) {
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
+      await ctx.editMessageText(
+        ctx.callbackQuery.message.text,
+        { reply_markup: { inline_keyboard: [] } }
+      );
+      return;
+    }
+
+    const user = await getOrCreateUser(ctx);
+
+    await adminStates.set(user.telegramId, {
+      state: 'entering_faq_translation',
+      faqId,
+      field,
+      locale
+    });
+
+    const { translations, label } = FAQ_TRANSLATION_FIELDS[field];
+    const current = faq[translations].get(locale);
+
+    await ctx.answerCbQuery();
+    await ctx.reply(t(ctx, 'admin.enter_faq_translation', {
+      field: t(ctx, label),
+      text: faq[field],
+      locale,
+      current: current || '—',
+      remove: REMOVE_TRANSLATION
+    }));
+  } catch (error) {
+    console.error('Error handling edit FAQ translation:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle FAQ question/answer translation entry
+ */
+const handleFAQTranslation = async (ctx) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const adminState = await adminStates.get(user.telegramId);
+
+    if (!adminState || adminState.state !== 'entering_faq_translation') {
+      return;
+    }
+
+    const { field, locale } = adminState;
+    const text = ctx.message.text.trim();
+
+    const faq = await FAQ.findById(adminState.faqId);
+    if (!faq) {
+      await ctx.reply(t(ctx, 'admin.faq_not_found'));
+      await adminStates.delete(user.telegramId);
+      return;
+    }
+
+    const { translations, label } = FAQ_TRANSLATION_FIELDS[field];
+
+    if (text === REMOVE_TRANSLATION) {
+      faq[translations].delete(locale);
+    } else {
+      faq[translations].set(locale, text);
+    }
+    await faq.save();
+
+    await ctx.reply(t(ctx, text === REMOVE_TRANSLATION ? 'admin.faq_translation_removed' : 'admin.faq_translation_saved', {
+      field: t(ctx, label),
+      locale
+    }));
+    await adminStates.delete(user.telegramId);
+
+    logAction(text === REMOVE_TRANSLATION ? 'admin_removed_faq_translation' : 'admin_updated_faq_translation', {
+      adminId: user._id,
+      faqId: faq._id,
+      field,
+      locale
+    });
+  } catch (error) {
+    console.error('Error handling FAQ translation entry:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -1431,7 +1928,7 @@ const handleEditFAQCategory = async (ctx) => {
       .populate('categoryId');
 
     if (!faq) {
-      await ctx.answerCbQuery('Вопрос не найден.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1444,7 +1941,7 @@ const handleEditFAQCategory = async (ctx) => {
     const categories = await Category.find().sort({ name: 1 });
 
     if (categories.length <= 1) {
-      await ctx.answerCbQuery('Недостаточно категорий для изменения.');
+      await ctx.answerCbQuery(t(ctx, 'admin.not_enough_categories'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1452,7 +1949,7 @@ const handleEditFAQCategory = async (ctx) => {
       return;
     }
 
-    adminStates.set(user.telegramId, {
+    await adminStates.set(user.telegramId, {
       state: 'selecting_new_faq_category',
       faqId
     });
@@ -1465,12 +1962,12 @@ const handleEditFAQCategory = async (ctx) => {
 
     await ctx.answerCbQuery();
     await ctx.reply(
-      `Текущая категория: ${faq.categoryId.name}\n\nВыберите новую категорию:`,
+      t(ctx, 'admin.select_new_faq_category', { category: faq.categoryId.name }),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling edit FAQ category:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1484,7 +1981,7 @@ const handleSetFAQCategory = async (ctx) => {
       .populate('categoryId');
 
     if (!faq) {
-      await ctx.answerCbQuery('Вопрос не найден.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1494,7 +1991,7 @@ const handleSetFAQCategory = async (ctx) => {
 
     const category = await Category.findById(categoryId);
     if (!category) {
-      await ctx.answerCbQuery('Категория не найдена.');
+      await ctx.answerCbQuery(t(ctx, 'admin.category_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1511,11 +2008,11 @@ const handleSetFAQCategory = async (ctx) => {
 
     await ctx.answerCbQuery();
     await ctx.editMessageText(
-      `✅ Категория вопроса изменена с "${oldCategory.name}" на "${category.name}".`,
+      t(ctx, 'admin.faq_category_changed', { oldCategory: oldCategory.name, newCategory: category.name }),
       { reply_markup: { inline_keyboard: [] } }
     );
 
-    adminStates.delete(user.telegramId);
+    await adminStates.delete(user.telegramId);
 
     logAction('admin_updated_faq_category', {
       adminId: user._id,
@@ -1525,7 +2022,7 @@ const handleSetFAQCategory = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling set FAQ category:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1534,7 +2031,7 @@ const handleDeleteFAQ = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1545,7 +2042,7 @@ const handleDeleteFAQ = async (ctx) => {
     const categories = await Category.find().sort({ name: 1 });
 
     if (categories.length === 0) {
-      await ctx.reply('В базе данных нет категорий.');
+      await ctx.reply(t(ctx, 'admin.no_categories'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1558,12 +2055,12 @@ const handleDeleteFAQ = async (ctx) => {
     ]);
 
     await ctx.reply(
-      'Выберите категорию для удаления FAQ:',
+      t(ctx, 'admin.select_faq_category_to_delete'),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling delete FAQ command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -1574,7 +2071,7 @@ const handleDeleteFAQSelection = async (ctx) => {
     const faqs = await FAQ.find({ categoryId }).sort({ question: 1 });
 
     if (faqs.length === 0) {
-      await ctx.answerCbQuery('В этой категории нет вопросов.');
+      await ctx.answerCbQuery(t(ctx, 'admin.no_faqs_in_category'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1592,12 +2089,12 @@ const handleDeleteFAQSelection = async (ctx) => {
       { reply_markup: { inline_keyboard: [] } }
     );
     await ctx.reply(
-      'Выберите вопрос для удаления:',
+      t(ctx, 'admin.select_faq_to_delete'),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling delete FAQ selection:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1607,7 +2104,7 @@ const handleDeleteFAQFromCategory = async (ctx) => {
 
     const faq = await FAQ.findById(faqId);
     if (!faq) {
-      await ctx.answerCbQuery('Вопрос не найден.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1617,8 +2114,8 @@ const handleDeleteFAQFromCategory = async (ctx) => {
 
     const keyboard = [
       [
-        { text: 'Да, удалить', callback_data: `confirm_delete_faq:${faqId}` },
-        { text: 'Отмена', callback_data: 'cancel_delete_faq' }
+        { text: t(ctx, 'buttons.confirm_delete'), callback_data: `confirm_delete_faq:${faqId}` },
+        { text: t(ctx, 'buttons.cancel'), callback_data: 'cancel_delete_faq' }
       ]
     ];
 
@@ -1628,12 +2125,12 @@ const handleDeleteFAQFromCategory = async (ctx) => {
       { reply_markup: { inline_keyboard: [] } }
     );
     await ctx.reply(
-      `Вы уверены, что хотите удалить вопрос "${faq.question.substring(0, 50)}"?`,
+      t(ctx, 'admin.confirm_delete_faq', { question: faq.question.substring(0, 50) }),
       { reply_markup: { inline_keyboard: keyboard } }
     );
   } catch (error) {
     console.error('Error handling delete FAQ:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
   }
 };
 
@@ -1643,7 +2140,7 @@ const handleConfirmDeleteFAQ = async (ctx) => {
 
     const faq = await FAQ.findById(faqId);
     if (!faq) {
-      await ctx.answerCbQuery('Вопрос не найден.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1660,7 +2157,7 @@ const handleConfirmDeleteFAQ = async (ctx) => {
     // Check if deletion was successful
     if (deleteResult.deletedCount === 0) {
       console.error('FAQ deletion failed - no documents were deleted', { faqId });
-      await ctx.answerCbQuery('Ошибка при удалении вопроса.');
+      await ctx.answerCbQuery(t(ctx, 'admin.faq_delete_failed'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -1671,18 +2168,18 @@ const handleConfirmDeleteFAQ = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     // Answer the callback query first
-    await ctx.answerCbQuery('Вопрос успешно удален.');
+    await ctx.answerCbQuery(t(ctx, 'admin.faq_deleted'));
 
     // Edit the message to show deletion confirmation
     try {
       await ctx.editMessageText(
-        `✅ Вопрос успешно удален.`,
+        '✅ ' + t(ctx, 'admin.faq_deleted'),
         { reply_markup: { inline_keyboard: [] } }
       );
     } catch (editError) {
       // If editing fails, send a new message instead
       console.warn('Failed to edit message, sending new one:', editError.message);
-      await ctx.reply('✅ Вопрос успешно удален.');
+      await ctx.reply('✅ ' + t(ctx, 'admin.faq_deleted'));
     }
 
     logAction('admin_deleted_faq', {
@@ -1693,8 +2190,93 @@ const handleConfirmDeleteFAQ = async (ctx) => {
     });
   } catch (error) {
     console.error('Error handling confirm delete FAQ:', error);
-    await ctx.answerCbQuery('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Return a request to the student queue, taking it away from the student if needed.
+ * Shared by /reopen and the request browser.
+ * @returns {Promise<String>} - Result message for the admin
+ */
+const reopenRequest = async (bot, requestId, admin) => {
+  const request = await Request.findById(requestId)
+    .populate('userId')
+    .populate('categoryId')
+    .populate('studentId');
+
+  if (!request) {
+    return tAdmin('errors.request_not_found');
   }
+
+  // Don't reopen requests that are already pending or approved
+  if (request.status === 'pending' || request.status === 'approved') {
+    return tAdmin('admin.reopen_already_queued', { id: request._id, status: request.status });
+  }
+
+  // The user withdrew the request - nobody is waiting for an answer
+  if (request.status === 'withdrawn') {
+    return tAdmin('admin.reopen_withdrawn', { id: request._id });
+  }
+
+  // If request was assigned/answered — clear student assignment and notify
+  if ((request.status === 'assigned' || request.status === 'answered') && request.studentId) {
+    const student = await User.findById(request.studentId._id || request.studentId);
+    if (student && student.currentAssignmentId && student.currentAssignmentId.toString() === request._id.toString()) {
+      student.currentAssignmentId = null;
+      await student.save();
+    }
+    // Clear student in-memory state (writing_answer / confirming_answer)
+    if (student) {
+      await studentStates.delete(student.telegramId);
+    }
+
+    // Notify student
+    const studentTelegramId = request.studentId.telegramId || (student ? student.telegramId : null);
+    if (studentTelegramId) {
+      try {
+        const studentLocale = student ? student.language : request.studentId.language;
+        await bot.telegram.sendMessage(
+          studentTelegramId,
+          i18n.t('notifications.student_request_reopened', studentLocale, {
+            id: request._id,
+            category: request.categoryId.getName(studentLocale)
+          })
+        );
+      } catch (notifyErr) {
+        console.error('Error notifying student about reopen:', notifyErr);
+      }
+    }
+  }
+
+  const previousStatus = request.status;
+  const previousStudent = request.studentId;
+
+  // Reset request
+  request.status = 'approved';
+  request.studentId = null;
+  request.answerText = null;
+  request.adminComment = null;
+  request.assignedAt = null;
+  await request.save();
+
+  // Send to student chat
+  await sendToStudentChat(bot, request, 'reopened');
+
+  await recordRequestEvent(request, 'reopened', {
+    actor: admin,
+    actorRole: 'admin',
+    student: previousStudent,
+    fromStatus: previousStatus
+  });
+
+  logAction('admin_reopened_request', {
+    adminId: admin._id,
+    requestId: request._id,
+    previousStatus
+  });
+
+  return tAdmin('admin.reopen_done', { id: request._id, status: previousStatus });
 };
 
 /**
@@ -1704,109 +2286,56 @@ const handleReopenRequest = async (ctx, bot) => {
   try {
     // Check if the command is from the admin chat
     if (ctx.chat.id.toString() !== process.env.ADMIN_CHAT_ID) {
-      await ctx.reply('Эта команда доступна только в администраторском чате.');
+      await ctx.reply(t(ctx, 'errors.admin_chat_only'));
       return;
     }
 
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
     // Get request ID from command arguments
     const args = ctx.message.text.split(' ');
     if (args.length < 2) {
-      await ctx.reply('Использование: /reopen <ID обращения>');
+      await ctx.reply(t(ctx, 'admin.reopen_usage'));
       return;
     }
 
     const requestId = args[1].trim();
 
-    const request = await Request.findById(requestId)
-      .populate('userId')
-      .populate('categoryId')
-      .populate('studentId');
-
-    if (!request) {
-      await ctx.reply('Обращение не найдено.');
-      return;
-    }
-
-    // Don't reopen requests that are already pending or approved
-    if (request.status === 'pending' || request.status === 'approved') {
-      await ctx.reply(`Обращение #${request._id} уже в статусе "${request.status}". Нет необходимости возвращать его в работу.`);
-      return;
-    }
-
-    // If request was assigned/answered — clear student assignment and notify
-    if ((request.status === 'assigned' || request.status === 'answered') && request.studentId) {
-      const student = await User.findById(request.studentId._id || request.studentId);
-      if (student && student.currentAssignmentId && student.currentAssignmentId.toString() === request._id.toString()) {
-        student.currentAssignmentId = null;
-        await student.save();
-      }
-      // Clear student in-memory state (writing_answer / confirming_answer)
-      if (student) {
-        studentStates.delete(student.telegramId);
-      }
+    await ctx.reply(await reopenRequest(bot, requestId, user));
+  } catch (error) {
+    console.error('Error handling reopen request:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
 
-      // Notify student
-      const studentTelegramId = request.studentId.telegramId || (student ? student.telegramId : null);
-      if (studentTelegramId) {
-        try {
-          await bot.telegram.sendMessage(
-            studentTelegramId,
-            `⚠️ Обращение #${request._id} по категории "${request.categoryId.name}" было возвращено в очередь администратором. Оно снято с вашего назначения.`
-          );
-        } catch (notifyErr) {
-          console.error('Error notifying student about reopen:', notifyErr);
-        }
-      }
-    }
+/**
+ * Post an approved request to the student chat again, removing the previous post.
+ * Shared by /resend and the request browser.
+ * @returns {Promise<String>} - Result message for the admin
+ */
+const resendRequest = async (bot, requestId, admin) => {
+  const request = await Request.findById(requestId)
+    .populate('categoryId');
 
-    const previousStatus = request.status;
+  if (!request) {
+    return tAdmin('admin.request_id_not_found', { id: requestId });
+  }
 
-// Reset request
-    request.status = 'approved';
-    request.studentId = null;
-    request.answerText = null;
-    request.adminComment = null;
-    request.assignedAt = null;
-    await request.save();
+  if (request.status !== 'approved') {
+    return tAdmin('admin.resend_wrong_status', { id: requestId, status: request.status });
+  }
 
-    // Send to student chat
-    const studentChatId = process.env.STUDENT_CHAT_ID;
-    const studentMessage = `
-📨 Обращение #${request._id} (возвращено в очередь администратором)
-📂 Категория: ${request.categoryId.name} ${request.categoryId.hashtag}
-
-📝 Текст обращения:
-${request.text}
-`;
-
-    await bot.telegram.sendMessage(studentChatId, studentMessage, {
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: '🔄 Взять в работу', callback_data: `take_request:${request._id}` }
-          ]
-        ]
-      }
-    });
+  await deleteStudentChatMessage(bot, request);
+  await sendToStudentChat(bot, request, 'resent');
 
-    await ctx.reply(`✅ Обращение #${request._id} (было: ${previousStatus}) возвращено в очередь студентов.`);
+  logAction('admin_resent_request', { adminId: admin._id, requestId: request._id });
 
-    logAction('admin_reopened_request', {
-      adminId: user._id,
-      requestId: request._id,
-      previousStatus
-    });
-  } catch (error) {
-    console.error('Error handling reopen request:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
-  }
+  return tAdmin('admin.resend_done', { id: request._id });
 };
 
 /**
@@ -1819,7 +2348,7 @@ const handleResendToStudents = async (ctx, bot) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
@@ -1827,7 +2356,7 @@ const handleResendToStudents = async (ctx, bot) => {
     const arg = args[1];
 
     if (!arg) {
-      await ctx.reply('Использование:\n/resend all — переотправить все approved обращения\n/resend <id> — переотправить конкретное обращение');
+      await ctx.reply(t(ctx, 'admin.resend_usage'));
       return;
     }
 
@@ -1837,7 +2366,7 @@ const handleResendToStudents = async (ctx, bot) => {
         .sort({ createdAt: 1 });
 
       if (approvedRequests.length === 0) {
-        await ctx.reply('Нет обращений со статусом "approved" для переотправки.');
+        await ctx.reply(t(ctx, 'admin.resend_nothing'));
         return;
       }
 
@@ -1847,7 +2376,7 @@ const handleResendToStudents = async (ctx, bot) => {
       for (const request of approvedRequests) {
         try {
           await deleteStudentChatMessage(bot, request);
-          await sendToStudentChat(bot, request, 'повторная отправка');
+          await sendToStudentChat(bot, request, 'resent');
           sentCount++;
         } catch (sendError) {
           console.error(`Error resending request #${request._id}:`, sendError);
@@ -1855,37 +2384,81 @@ const handleResendToStudents = async (ctx, bot) => {
         }
       }
 
-      let resultMessage = `✅ Переотправлено: ${sentCount} из ${approvedRequests.length}.`;
+      let resultMessage = t(ctx, 'admin.resend_all_done', { sent: sentCount, total: approvedRequests.length });
       if (errorCount > 0) {
-        resultMessage += `\n❌ Ошибок: ${errorCount}.`;
+        resultMessage += '\n' + t(ctx, 'admin.bulk_errors', { count: errorCount });
       }
 
       await ctx.reply(resultMessage);
       logAction('admin_resent_all_approved', { adminId: user._id, sentCount, errorCount });
     } else {
-      const request = await Request.findById(arg)
-        .populate('categoryId');
+      await ctx.reply(await resendRequest(bot, arg, user));
+    }
+  } catch (error) {
+    console.error('Error handling resend command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
 
-      if (!request) {
-        await ctx.reply(`Обращение #${arg} не найдено.`);
-        return;
-      }
+/**
+ * Take a request away from its student and return it to the queue.
+ * Shared by /unassign and the request browser.
+ * @returns {Promise<String>} - Result message for the admin
+ */
+const unassignRequest = async (bot, requestId, admin) => {
+  const request = await Request.findById(requestId)
+    .populate('studentId')
+    .populate('categoryId');
 
-      if (request.status !== 'approved') {
-        await ctx.reply(`Обращение #${arg} имеет статус "${request.status}", а не "approved". Переотправка невозможна.`);
-        return;
-      }
+  if (!request) {
+    return tAdmin('admin.request_id_not_found', { id: requestId });
+  }
+
+  if (request.status !== 'assigned' && request.status !== 'answered') {
+    return tAdmin('admin.unassign_wrong_status', { id: requestId, status: request.status });
+  }
 
-      await deleteStudentChatMessage(bot, request);
-      await sendToStudentChat(bot, request, 'повторная отправка');
+  const student = request.studentId;
+  const studentName = student ? (student.username ? `@${student.username}` : student.telegramId) : tAdmin('admin.unknown_student');
 
-      await ctx.reply(`✅ Обращение #${request._id} переотправлено в студенческий чат.`);
-      logAction('admin_resent_request', { adminId: user._id, requestId: request._id });
+  if (student) {
+    student.currentAssignmentId = null;
+    await student.save();
+
+    try {
+      await bot.telegram.sendMessage(
+        student.telegramId,
+        i18n.t('notifications.student_request_unassigned', student.language, {
+          id: request._id,
+          category: request.categoryId.getName(student.language)
+        })
+      );
+    } catch (notifyError) {
+      console.error(`Error notifying student about unassign:`, notifyError);
     }
-  } catch (error) {
-    console.error('Error handling resend command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
   }
+
+  await deleteStudentChatMessage(bot, request);
+
+  const fromStatus = request.status;
+  request.status = 'approved';
+  request.studentId = null;
+  request.answerText = null;
+  await request.save();
+
+  await recordRequestEvent(request, 'unassigned', {
+    actor: admin,
+    actorRole: 'admin',
+    student,
+    fromStatus,
+    source: 'admin'
+  });
+
+  await sendToStudentChat(bot, request, 'returned');
+
+  logAction('admin_unassigned_request', { adminId: admin._id, requestId: request._id, studentId: student?._id });
+
+  return tAdmin('admin.unassign_done', { id: request._id, student: studentName });
 };
 
 /**
@@ -1899,7 +2472,7 @@ const handleUnassign = async (ctx, bot) => {
     const user = await getOrCreateUser(ctx);
 
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
@@ -1907,7 +2480,7 @@ const handleUnassign = async (ctx, bot) => {
     const arg = args[1];
 
     if (!arg) {
-      await ctx.reply('Использование:\n/unassign all — забрать все assigned обращения\n/unassign all answered — забрать все assigned + answered\n/unassign <id> — забрать конкретное обращение');
+      await ctx.reply(t(ctx, 'admin.unassign_usage'));
       return;
     }
 
@@ -1921,7 +2494,7 @@ const handleUnassign = async (ctx, bot) => {
         .sort({ createdAt: 1 });
 
       if (activeRequests.length === 0) {
-        await ctx.reply(`Нет обращений со статусом ${statuses.map(s => `"${s}"`).join(', ')} для возврата в очередь.`);
+        await ctx.reply(t(ctx, 'admin.unassign_nothing', { statuses: statuses.map(s => `"${s}"`).join(', ') }));
         return;
       }
 
@@ -1939,12 +2512,21 @@ const handleUnassign = async (ctx, bot) => {
 
           await deleteStudentChatMessage(bot, request);
 
+          const fromStatus = request.status;
           request.status = 'approved';
           request.studentId = null;
           request.answerText = null;
           await request.save();
 
-          await sendToStudentChat(bot, request, 'возвращено в очередь');
+          await recordRequestEvent(request, 'unassigned', {
+            actor: user,
+            actorRole: 'admin',
+            student,
+            fromStatus,
+            source: 'admin'
+          });
+
+          await sendToStudentChat(bot, request, 'returned');
 
           processedCount++;
         } catch (reqError) {
@@ -1960,111 +2542,80 @@ const handleUnassign = async (ctx, bot) => {
 
           await bot.telegram.sendMessage(
             student.telegramId,
-            '⚠️ Все ваши обращения были отозваны администратором и возвращены в общую очередь.'
+            i18n.t('notifications.student_all_unassigned', student.language)
           );
         } catch (notifyError) {
           console.error(`Error notifying student ${student.telegramId}:`, notifyError);
         }
       }
 
-      let resultMessage = `✅ Возвращено в очередь: ${processedCount} из ${activeRequests.length}.`;
-      resultMessage += `\n👥 Затронуто студентов: ${studentsToNotify.size}.`;
+      let resultMessage = t(ctx, 'admin.unassign_all_done', { processed: processedCount, total: activeRequests.length });
+      resultMessage += '\n' + t(ctx, 'admin.unassign_students_affected', { count: studentsToNotify.size });
       if (errorCount > 0) {
-        resultMessage += `\n❌ Ошибок: ${errorCount}.`;
+        resultMessage += '\n' + t(ctx, 'admin.bulk_errors', { count: errorCount });
       }
 
       await ctx.reply(resultMessage);
       logAction('admin_unassigned_all', { adminId: user._id, processedCount, errorCount, studentsAffected: studentsToNotify.size, includeAnswered });
     } else {
-      const request = await Request.findById(arg)
-        .populate('studentId')
-        .populate('categoryId');
-
-      if (!request) {
-        await ctx.reply(`Обращение #${arg} не найдено.`);
-        return;
-      }
-
-      if (request.status !== 'assigned' && request.status !== 'answered') {
-        await ctx.reply(`Обращение #${arg} имеет статус "${request.status}". Забрать можно только "assigned" или "answered".`);
-        return;
-      }
-
-      const student = request.studentId;
-      const studentName = student ? (student.username ? `@${student.username}` : student.telegramId) : 'неизвестен';
-
-      if (student) {
-        student.currentAssignmentId = null;
-        await student.save();
-
-        try {
-          await bot.telegram.sendMessage(
-            student.telegramId,
-            `⚠️ Обращение #${request._id} по категории "${request.categoryId.name}" было отозвано администратором и возвращено в общую очередь.`
-          );
-        } catch (notifyError) {
-          console.error(`Error notifying student about unassign:`, notifyError);
-        }
-      }
-
-      await deleteStudentChatMessage(bot, request);
-
-      request.status = 'approved';
-      request.studentId = null;
-      request.answerText = null;
-      await request.save();
-
-      await sendToStudentChat(bot, request, 'возвращено в очередь');
-
-      await ctx.reply(`✅ Обращение #${request._id} забрано у ${studentName} и возвращено в очередь.`);
-      logAction('admin_unassigned_request', { adminId: user._id, requestId: request._id, studentId: student?._id });
+      await ctx.reply(await unassignRequest(bot, arg, user));
     }
   } catch (error) {
     console.error('Error handling unassign command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
 module.exports = {
-  handleGetAdmin,
-  handleApproveRequest,
-  handleDeclineRequest,
-  handleDeclineReason,
-  handleApproveAnswer,
-  handleDeclineAnswer,
-  handleAnswerDeclineReason,
+  handleApproveRequest: adminOnly(handleApproveRequest),
+  handleDeclineRequest: adminOnly(handleDeclineRequest),
+  handleDeclineReason: adminOnly(handleDeclineReason),
+  handleDeclineDuplicate: adminOnly(handleDeclineDuplicate),
+  handleApproveAnswer: adminOnly(handleApproveAnswer),
+  handleDeclineAnswer: adminOnly(handleDeclineAnswer),
+  handleAnswerDeclineReason: adminOnly(handleAnswerDeclineReason),
   handleAddCategory,
   handleCategoryName,
   handleCategoryHashtag,
   handleEditCategory,
-  handleEditCategorySelection,
-  handleEditCategoryName,
+  handleEditCategorySelection: adminOnly(handleEditCategorySelection),
+  handleEditCategoryName: adminOnly(handleEditCategoryName),
   handleNewCategoryName,
-  handleEditCategoryHashtag,
+  handleEditCategoryHashtag: adminOnly(handleEditCategoryHashtag),
   handleNewCategoryHashtag,
+  handleEditCategoryTranslation: adminOnly(handleEditCategoryTranslation),
+  handleCategoryTranslation,
   handleDeleteCategory,
-  handleDeleteCategorySelection,
-  handleDeleteCategoryConfirmation,
+  handleDeleteCategorySelection: adminOnly(handleDeleteCategorySelection),
+  handleDeleteCategoryConfirmation: adminOnly(handleDeleteCategoryConfirmation),
   handleAddFAQ,
   handleFAQQuestion,
   handleFAQAnswer,
-  handleFAQCategorySelectionAdmin,
+  handleFAQCategorySelectionAdmin: adminOnly(handleFAQCategorySelectionAdmin),
   handleEditFAQ,
-  handleEditFAQCategorySelection,
-  handleEditFAQSelection,
-  handleEditFAQQuestion,
+  handleEditFAQCategorySelection: adminOnly(handleEditFAQCategorySelection),
+  handleEditFAQSelection: adminOnly(handleEditFAQSelection),
+  handleEditFAQQuestion: adminOnly(handleEditFAQQuestion),
   handleNewFAQQuestion,
-  handleEditFAQAnswer,
+  handleEditFAQAnswer: adminOnly(handleEditFAQAnswer),
   handleNewFAQAnswer,
-  handleEditFAQCategory,
-  handleSetFAQCategory,
+  handleEditFAQTranslation: adminOnly(handleEditFAQTranslation),
+  handleFAQTranslation,
+  handleEditFAQCategory: adminOnly(handleEditFAQCategory),
+  handleSetFAQCategory: adminOnly(handleSetFAQCategory),
   handleDeleteFAQ,
-  handleDeleteFAQSelection,
-  handleDeleteFAQFromCategory,
-  handleConfirmDeleteFAQ,
-  handleCancel,
+  handleDeleteFAQSelection: adminOnly(handleDeleteFAQSelection),
+  handleDeleteFAQFromCategory: adminOnly(handleDeleteFAQFromCategory),
+  handleConfirmDeleteFAQ: adminOnly(handleConfirmDeleteFAQ),
+  handleCancel: adminOnly(handleCancel),
   handleReopenRequest,
   handleResendToStudents,
   handleUnassign,
+  reopenRequest,
+  resendRequest,
+  unassignRequest,
+  adminOnly,
+  deleteStudentChatMessage,
+  sendToStudentChat,
   adminStates
 };
\ No newline at end of file
@@ -0,0 +1,273 @@
+const { isAdmin, requireAdminChat, findUserByIdentifier, formatUser, notifyAdminChatAboutChange } = require('./common');
+const { adminOnly } = require('./admin');
+const { logAction } = require('../logger');
+const User = require('../models/user');
+const Request = require('../models/request');
+const { transitionRequest } = require('../utils/requestLocks');
+const { recordRequestEvent } = require('../utils/requestEvents');
+const i18n = require('../i18n');
+const { t, tAdmin, formatDate } = require('../utils/i18nHelper');
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse ban duration like 30m, 12h, 7d, 2w
+ * @param {String} value - Duration string
+ * @returns {Number|null} - Duration in milliseconds or null if not a duration
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)([mhdw])$/i.exec(value || '');
+  if (!match) return null;
+
+  const amount = parseInt(match[1], 10);
+  if (amount <= 0) return null;
+
+  return amount * DURATION_UNITS[match[2].toLowerCase()];
+};
+
+/**
+ * Handle /ban command
+ * Usage: /ban <telegramId|@username> [duration] [reason]
+ *        duration: 30m, 12h, 7d, 2w (permanent if omitted)
+ */
+const handleBan = async (ctx) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    const args = ctx.message.text.split(/\s+/).slice(1);
+
+    if (args.length === 0) {
+      await ctx.reply(t(ctx, 'ban.usage'));
+      return;
+    }
+
+    const target = await findUserByIdentifier(args[0]);
+
+    if (!target) {
+      await ctx.reply(t(ctx, 'browser.errors.user_not_found', { user: args[0] }));
+      return;
+    }
+
+    if (isAdmin(target)) {
+      await ctx.reply(t(ctx, 'ban.cannot_ban_admin'));
+      return;
+    }
+
+    const durationMs = parseDuration(args[1]);
+    const reasonArgs = durationMs ? args.slice(2) : args.slice(1);
+    const reason = reasonArgs.join(' ').trim() || null;
+
+    target.isBanned = true;
+    target.banReason = reason;
+    target.bannedBy = admin._id;
+    target.bannedAt = new Date();
+    target.banExpiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+    await target.save();
+
+    let message = target.banExpiresAt
+      ? t(ctx, 'ban.banned_until', { user: formatUser(target), date: target.banExpiresAt })
+      : t(ctx, 'ban.banned_permanently', { user: formatUser(target) });
+    if (reason) {
+      message += '\n' + t(ctx, 'ban.reason', { reason });
+    }
+
+    const pendingCount = await Request.countDocuments({ userId: target._id, status: 'pending' });
+    const extra = {};
+
+    if (pendingCount > 0) {
+      message += '\n\n' + t(ctx, 'ban.pending_requests', { count: pendingCount });
+      extra.reply_markup = {
+        inline_keyboard: [
+          [{ text: t(ctx, 'ban.decline_pending_button', { count: pendingCount }), callback_data: `ban_decline_pending:${target._id}` }]
+        ]
+      };
+    }
+
+    await ctx.reply(message, extra);
+
+    logAction('admin_banned_user', {
+      adminId: admin._id,
+      userId: target._id,
+      reason,
+      expiresAt: target.banExpiresAt
+    });
+  } catch (error) {
+    console.error('Error handling ban command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle /unban command
+ * Usage: /unban <telegramId|@username>
+ */
+const handleUnban = async (ctx) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    const args = ctx.message.text.split(/\s+/).slice(1);
+
+    if (args.length === 0) {
+      await ctx.reply(t(ctx, 'ban.unban_usage'));
+      return;
+    }
+
+    const target = await findUserByIdentifier(args[0]);
+
+    if (!target) {
+      await ctx.reply(t(ctx, 'browser.errors.user_not_found', { user: args[0] }));
+      return;
+    }
+
+    if (!target.isBanned) {
+      await ctx.reply(t(ctx, 'ban.not_banned', { user: formatUser(target) }));
+      return;
+    }
+
+    target.isBanned = false;
+    target.banReason = null;
+    target.bannedBy = null;
+    target.bannedAt = null;
+    target.banExpiresAt = null;
+    await target.save();
+
+    await ctx.reply(t(ctx, 'ban.unbanned', { user: formatUser(target) }));
+
+    logAction('admin_unbanned_user', {
+      adminId: admin._id,
+      userId: target._id
+    });
+  } catch (error) {
+    console.error('Error handling unban command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle /banned command - list banned users
+ */
+const handleListBanned = async (ctx) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    // Expired bans are lifted lazily by the middleware, hide them here
+    const bannedUsers = await User.find({
+      isBanned: true,
+      $or: [{ banExpiresAt: null }, { banExpiresAt: { $gt: new Date() } }]
+    })
+      .sort({ bannedAt: -1 })
+      .populate('bannedBy');
+
+    if (bannedUsers.length === 0) {
+      await ctx.reply(t(ctx, 'ban.no_banned'));
+      return;
+    }
+
+    let message = t(ctx, 'ban.list_title', { count: bannedUsers.length }) + '\n\n';
+
+    bannedUsers.forEach((user, index) => {
+      message += `${index + 1}. ${formatUser(user)}\n`;
+      message += `   ${t(ctx, 'ban.until', { date: user.banExpiresAt ? formatDate(ctx, user.banExpiresAt, 'datetime') : t(ctx, 'ban.permanent') })}\n`;
+      if (user.banReason) {
+        message += `   ${t(ctx, 'ban.reason', { reason: user.banReason })}\n`;
+      }
+      if (user.bannedBy) {
+        message += `   ${t(ctx, 'ban.banned_by', { admin: formatUser(user.bannedBy) })}\n`;
+      }
+      message += '\n';
+    });
+
+    await ctx.reply(message);
+    logAction('admin_listed_banned', { adminId: admin._id });
+  } catch (error) {
+    console.error('Error handling banned list command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Tell the requester that a request was declined because of the ban.
+ * Banned users cannot message the bot, but the notice still reaches them, as for any other decline.
+ */
+const notifyBannedRequester = async (bot, target, request) => {
+  try {
+    await bot.telegram.sendMessage(
+      target.telegramId,
+      i18n.t('notifications.request_declined', target.language, {
+        category: request.categoryId.getName(target.language),
+        reason: request.adminComment
+      })
+    );
+  } catch (error) {
+    console.error(`Error notifying banned user about declined request #${request._id}:`, error.message);
+  }
+};
+
+/**
+ * Handle "Отклонить обращения" button after /ban - decline all pending requests of the banned user
+ */
+const handleDeclineBannedPending = async (ctx, bot) => {
+  try {
+    const userId = ctx.callbackQuery.data.split(':')[1];
+    const admin = ctx.state.admin;
+
+    const pendingRequests = await Request.find({ userId, status: 'pending' });
+    const target = await User.findById(userId);
+    let declinedCount = 0;
+
+    for (const request of pendingRequests) {
+      // Atomic: skips requests that another admin is processing right now
+      const declined = await transitionRequest(request._id, 'pending', {
+        status: 'declined',
+        adminComment: i18n.t('ban.decline_comment', target ? target.language : undefined)
+      }, { adminId: ctx.from.id });
+
+      if (declined) {
+        declinedCount++;
+        await recordRequestEvent(declined, 'declined', {
+          actor: admin,
+          actorRole: 'admin',
+          text: declined.adminComment
+        });
+
+        // The moderation card would otherwise keep buttons that only fail with "already processed"
+        await notifyAdminChatAboutChange(bot, declined, tAdmin('review.request_declined_banned', { id: declined._id }));
+        if (target) {
+          await declined.populate('categoryId');
+          await notifyBannedRequester(bot, target, declined);
+        }
+      }
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(
+      ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'ban.declined_pending', { count: declinedCount, total: pendingRequests.length }),
+      { reply_markup: { inline_keyboard: [] } }
+    );
+
+    logAction('admin_declined_banned_user_requests', {
+      adminId: admin._id,
+      userId,
+      declinedCount
+    });
+  } catch (error) {
+    console.error('Error handling decline banned user requests:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+module.exports = {
+  handleBan,
+  handleUnban,
+  handleListBanned,
+  handleDeclineBannedPending: adminOnly(handleDeclineBannedPending),
+  parseDuration
+};
@@ -1,6 +1,8 @@
 const { getOrCreateUser, isAdmin } = require('./common');
 const { logAction } = require('../logger');
 const Category = require('../models/category');
+const { getDeadlineConfig } = require('../utils/deadlines');
+const { t } = require('../utils/i18nHelper');
 
 /**
  * Handle /categories command - list all categories
@@ -11,31 +13,91 @@ const handleListCategories = async (ctx) => {
     
     // Check if user is admin
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
     
     const categories = await Category.find().sort({ name: 1 });
     
     if (categories.length === 0) {
-      await ctx.reply('В базе данных нет категорий.');
+      await ctx.reply(t(ctx, 'admin.no_categories'));
       return;
     }
     
-    let message = '📋 Список категорий:\n\n';
+    const { deadlineHours } = getDeadlineConfig();
+    let message = t(ctx, 'admin.categories_title') + '\n\n';
     
     categories.forEach((category, index) => {
-      message += `${index + 1}. ${category.name} (${category.hashtag})\n`;
+      const deadline = category.assignmentDeadlineHours
+        ? t(ctx, 'admin.deadline_hours', { hours: category.assignmentDeadlineHours })
+        : t(ctx, 'admin.deadline_default', { hours: deadlineHours });
+      message += `${index + 1}. ${category.name} (${category.hashtag}) — ${t(ctx, 'admin.deadline_label', { deadline })}\n`;
     });
     
     await ctx.reply(message);
     await logAction('admin_listed_categories', { userId: user._id });
   } catch (error) {
     console.error('Error handling list categories:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle /deadline command - set answer deadline for a category
+ * Usage: /deadline <#hashtag> <hours|default>
+ */
+const handleSetDeadline = async (ctx) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+
+    if (!isAdmin(user)) {
+      await ctx.reply(t(ctx, 'errors.admin_only'));
+      return;
+    }
+
+    const [hashtag, value] = ctx.message.text.split(/\s+/).slice(1);
+
+    if (!hashtag || !value) {
+      await ctx.reply(t(ctx, 'admin.deadline_usage'));
+      return;
+    }
+
+    const category = await Category.findOne({ hashtag: hashtag.startsWith('#') ? hashtag : `#${hashtag}` });
+
+    if (!category) {
+      await ctx.reply(t(ctx, 'browser.errors.category_not_found', { hashtag }));
+      return;
+    }
+
+    if (value === 'default') {
+      category.assignmentDeadlineHours = null;
+    } else {
+      const hours = parseInt(value, 10);
+      if (!/^\d+$/.test(value) || hours < 1) {
+        await ctx.reply(t(ctx, 'admin.deadline_invalid'));
+        return;
+      }
+      category.assignmentDeadlineHours = hours;
+    }
+
+    await category.save();
+
+    const deadline = category.assignmentDeadlineHours
+      ? t(ctx, 'admin.deadline_hours', { hours: category.assignmentDeadlineHours })
+      : t(ctx, 'admin.deadline_default', { hours: getDeadlineConfig().deadlineHours });
+    await ctx.reply(t(ctx, 'admin.deadline_set', { category: category.name, hashtag: category.hashtag, deadline }));
+    await logAction('admin_set_category_deadline', {
+      userId: user._id,
+      categoryId: category._id,
+      hours: category.assignmentDeadlineHours
+    });
+  } catch (error) {
+    console.error('Error handling set deadline:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
 module.exports = {
-  handleListCategories
+  handleListCategories,
+  handleSetDeadline
 };
\ No newline at end of file
@@ -1,7 +1,9 @@
 const { Markup } = require('telegraf');
 const User = require('../models/user');
 const { logAction } = require('../logger');
+const i18n = require('../i18n');
 const { t } = require('../utils/i18nHelper');
+const { getOwnerTelegramIds, isOwnerTelegramId, getBaseRole, changeUserRole } = require('../utils/roles');
 
 /**
  * Create or update user in database
@@ -27,6 +29,15 @@ const getOrCreateUser = async (ctx) => {
       logAction('user_registered', { userId: user._id });
     }
 
+    // Owners are configured via OWNER_TELEGRAM_IDS and synced on every contact:
+    // listed users become owners, owners removed from the list lose the role
+    if (user.role !== 'owner' && isOwnerTelegramId(user.telegramId)) {
+      await changeUserRole(user, 'owner', null, 'bootstrap');
+    } else if (user.role === 'owner' && !isOwnerTelegramId(user.telegramId) && getOwnerTelegramIds().length > 0) {
+      // An empty list is more likely a broken deployment than a decision to remove all owners
+      await changeUserRole(user, getBaseRole(user), null, 'bootstrap');
+    }
+
     return user;
   } catch (error) {
     console.error('Error getting or creating user:', error);
@@ -34,6 +45,30 @@ const getOrCreateUser = async (ctx) => {
   }
 };
 
+/**
+ * Find user by Telegram ID or @username
+ * @param {String} identifier - Telegram ID or @username
+ * @returns {Promise<Object|null>} - User object
+ */
+const findUserByIdentifier = async (identifier) => {
+  if (/^\d+$/.test(identifier)) {
+    return User.findOne({ telegramId: parseInt(identifier, 10) });
+  }
+
+  const username = identifier.replace(/^@/, '');
+  const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return User.findOne({ username: new RegExp(`^${escaped}$`, 'i') });
+};
+
+/**
+ * Format user for admin messages: @username (telegramId) or telegramId
+ * @param {Object} user - User object
+ * @returns {String} - Display name
+ */
+const formatUser = (user) => {
+  return user.username ? `@${user.username} (${user.telegramId})` : `${user.telegramId}`;
+};
+
 /**
  * Check if context is in a group chat (admin or student)
  * @param {Object} ctx - Telegram context
@@ -58,7 +93,7 @@ const getMainMenuKeyboard = (ctx) => {
 
   return Markup.keyboard([
     [t(ctx, 'buttons.ask_question')],
-    // [t(ctx, 'buttons.faq')],
+    [t(ctx, 'buttons.faq')],
     [t(ctx, 'buttons.my_requests')],
     [t(ctx, 'buttons.help'), '🌐 Language']
   ]).resize();
@@ -113,12 +148,129 @@ const safeReply = async (ctx, text, keyboard = null) => {
 };
 
 /**
- * Check if user is admin
+ * Send request attachments (photos/documents) to a chat using their Telegram file IDs
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Number|String} chatId - Target chat ID
+ * @param {Object} request - Request document
+ * @returns {Promise<void>}
+ */
+const sendRequestAttachments = async (bot, chatId, request) => {
+  if (!request.attachments || request.attachments.length === 0) return;
+
+  const total = request.attachments.length;
+
+  for (const [index, attachment] of request.attachments.entries()) {
+    const caption = `📎 #${request._id} (${index + 1}/${total})`;
+    try {
+      if (attachment.type === 'photo') {
+        await bot.telegram.sendPhoto(chatId, attachment.fileId, { caption });
+      } else {
+        await bot.telegram.sendDocument(chatId, attachment.fileId, { caption });
+      }
+    } catch (error) {
+      console.error(`Error sending attachment ${index + 1} of request #${request._id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Remove moderation buttons from the request's admin chat message and post a note under it
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} request - Request document
+ * @param {String} text - Note for the admin chat
+ */
+const notifyAdminChatAboutChange = async (bot, request, text) => {
+  const adminChatId = process.env.ADMIN_CHAT_ID;
+  const extra = {};
+
+  if (request.adminChatMessageId) {
+    try {
+      await bot.telegram.editMessageReplyMarkup(adminChatId, request.adminChatMessageId, undefined, { inline_keyboard: [] });
+    } catch (error) {
+      // Buttons were already removed when the request was approved
+    }
+    extra.reply_to_message_id = request.adminChatMessageId;
+    extra.allow_sending_without_reply = true;
+  }
+
+  await bot.telegram.sendMessage(adminChatId, text, extra);
+};
+
+/**
+ * Format the question and answer of a parent request for admins and students
+ * reviewing a follow-up question
+ * @param {Object} parent - Parent request document
+ * @param {String} locale - Language of the chat the message goes to
+ * @returns {String} - Message text
+ */
+const formatPreviousExchange = (parent, locale) => {
+  const truncate = (text) => (text && text.length > 1500 ? `${text.slice(0, 1500)}…` : text);
+
+  let message = i18n.t('previous_exchange.title', locale, { id: parent._id }) + '\n\n';
+  message += `${i18n.t('previous_exchange.question_label', locale)}\n${truncate(parent.text)}\n`;
+  if (parent.answerText) {
+    message += `\n${i18n.t('previous_exchange.answer_label', locale)}\n${truncate(parent.answerText)}\n`;
+  }
+
+  return message;
+};
+
+/**
+ * Check if user is admin (owners have all admin rights)
  * @param {Object} user - User object
  * @returns {Boolean} - Is admin
  */
 const isAdmin = (user) => {
-  return user.role === 'admin';
+  return user.role === 'admin' || user.role === 'owner';
+};
+
+/**
+ * Check if user is owner
+ * @param {Object} user - User object
+ * @returns {Boolean} - Is owner
+ */
+const isOwner = (user) => {
+  return user.role === 'owner';
+};
+
+/**
+ * Ensure the current user has admin role, replying with an error otherwise
+ * @param {Object} ctx - Telegram context
+ * @returns {Promise<Object|null>} - Admin user or null if not allowed
+ */
+const ensureAdmin = async (ctx) => {
+  const user = await getOrCreateUser(ctx);
+
+  if (isAdmin(user)) {
+    return user;
+  }
+
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(t(ctx, 'errors.admin_only'));
+  } else {
+    await ctx.reply(t(ctx, 'errors.admin_only'));
+  }
+  return null;
+};
+
+/**
+ * Check that the command is used by an admin in the admin chat
+ * @returns {Promise<Object|null>} - Admin user or null if not allowed
+ */
+const requireAdminChat = async (ctx) => {
+  if (ctx.chat.id.toString() !== process.env.ADMIN_CHAT_ID) {
+    await ctx.reply(t(ctx, 'errors.admin_chat_only'));
+    return null;
+  }
+
+  const user = await getOrCreateUser(ctx);
+
+  if (!isAdmin(user)) {
+    await ctx.reply(t(ctx, 'errors.admin_only'));
+    return null;
+  }
+
+  return user;
 };
 
 /**
@@ -130,6 +282,15 @@ const isStudent = (user) => {
   return user.role === 'student';
 };
 
+/**
+ * Check if user passed student verification and may claim requests
+ * @param {Object} user - User object
+ * @returns {Boolean} - Is verified student
+ */
+const isVerifiedStudent = (user) => {
+  return user.studentStatus === 'approved';
+};
+
 /**
  * Check if user is in student chat (can take requests)
  * @param {Object} ctx - Telegram context
@@ -150,12 +311,21 @@ const canTakeRequests = (ctx) => {
 
 module.exports = {
   getOrCreateUser,
+  findUserByIdentifier,
+  formatUser,
   getMainMenuKeyboard,
   getStudentMenuKeyboard,
   getBackKeyboard,
   safeReply,
+  sendRequestAttachments,
+  notifyAdminChatAboutChange,
+  formatPreviousExchange,
   isAdmin,
+  isOwner,
+  ensureAdmin,
+  requireAdminChat,
   isStudent,
+  isVerifiedStudent,
   isInStudentChat,
   canTakeRequests,
   isGroupChat
@@ -1,7 +1,29 @@
+const { Markup } = require('telegraf');
 const { getOrCreateUser, isAdmin } = require('./common');
 const { logAction } = require('../logger');
 const FAQ = require('../models/faq');
 const Category = require('../models/category');
+const { t } = require('../utils/i18nHelper');
+const { searchFAQs } = require('../utils/faqMatcher');
+
+// Results listed in a private chat search
+const MAX_CHAT_RESULTS = 5;
+
+// Telegram allows up to 50 inline results, a short list is easier to scan
+const MAX_INLINE_RESULTS = 20;
+
+// Inline answers are cached by Telegram for this many seconds
+const INLINE_CACHE_SECONDS = 60;
+
+const INLINE_DESCRIPTION_LENGTH = 100;
+
+// Telegram message limit is 4096 characters, leave room for the question
+const MAX_ANSWER_LENGTH = 3500;
+
+const truncate = (text, length) => {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > length ? `${singleLine.substring(0, length - 1)}…` : singleLine;
+};
 
 /**
  * Handle /faqs command - list all FAQs
@@ -12,23 +34,23 @@ const handleListFAQs = async (ctx) => {
     
     // Check if user is admin
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
     
     const categories = await Category.find().sort({ name: 1 });
     
     if (categories.length === 0) {
-      await ctx.reply('В базе данных нет категорий.');
+      await ctx.reply(t(ctx, 'admin.no_categories'));
       return;
     }
     
-    let message = '📋 Список категорий FAQ:\n\n';
+    let message = t(ctx, 'admin.faq_categories_title') + '\n\n';
     
     for (const category of categories) {
       const faqs = await FAQ.find({ categoryId: category._id });
       
-      message += `📁 ${category.name} (${category.hashtag}) - ${faqs.length} вопросов\n`;
+      message += `📁 ${category.name} (${category.hashtag}) - ${t(ctx, 'admin.faq_count', { count: faqs.length })}\n`;
       
       if (faqs.length > 0) {
         faqs.forEach((faq, index) => {
@@ -48,10 +70,111 @@ const handleListFAQs = async (ctx) => {
     await logAction('admin_listed_faqs', { userId: user._id });
   } catch (error) {
     console.error('Error handling list FAQs:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Format an FAQ entry as a message
+ */
+const formatFAQ = (ctx, faq) => {
+  const fullAnswer = faq.getAnswer(ctx.locale);
+  const answer = fullAnswer.length > MAX_ANSWER_LENGTH
+    ? fullAnswer.substring(0, MAX_ANSWER_LENGTH - 1) + '…'
+    : fullAnswer;
+
+  return `${t(ctx, 'faq.question_label')} ${faq.getQuestion(ctx.locale)}\n\n${t(ctx, 'faq.answer_label')} ${answer}`;
+};
+
+/**
+ * Search FAQ by free text in a private chat and list matching questions as buttons
+ */
+const replyWithFAQSearch = async (ctx, query) => {
+  const user = await getOrCreateUser(ctx);
+  const faqs = await searchFAQs(query, MAX_CHAT_RESULTS, ctx.locale);
+
+  await logAction('user_searched_faq', { userId: user._id, query, results: faqs.length });
+
+  if (faqs.length === 0) {
+    await ctx.reply(t(ctx, 'faq.nothing_found'));
+    return;
+  }
+
+  let message = t(ctx, 'faq.search_results') + '\n\n';
+  faqs.forEach((faq, index) => {
+    message += `${index + 1}. ${faq.getQuestion(ctx.locale)}\n`;
+  });
+
+  const keyboard = faqs.map((faq, index) => [
+    Markup.button.callback(`${index + 1}. ${truncate(faq.getQuestion(ctx.locale), 50)}`, `faq_show:${faq._id}`)
+  ]);
+
+  await ctx.reply(message, Markup.inlineKeyboard(keyboard));
+};
+
+/**
+ * Handle FAQ search result button (callback faq_show:<faqId>)
+ */
+const handleShowFAQ = async (ctx) => {
+  try {
+    const faqId = ctx.match[1];
+    const faq = await FAQ.findById(faqId);
+
+    if (!faq) {
+      await ctx.answerCbQuery(t(ctx, 'faq.not_found'));
+      return;
+    }
+
+    const user = await getOrCreateUser(ctx);
+
+    await ctx.answerCbQuery();
+    await ctx.reply(formatFAQ(ctx, faq));
+
+    await logAction('user_viewed_faq', { userId: user._id, faqId: faq._id });
+  } catch (error) {
+    console.error('Error showing FAQ:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle inline mode (@bot <query>): FAQ entries matching the query, or the newest ones for an empty query
+ */
+const handleInlineQuery = async (ctx) => {
+  try {
+    const query = ctx.inlineQuery.query.trim();
+
+    const faqs = query
+      ? await searchFAQs(query, MAX_INLINE_RESULTS, ctx.locale)
+      : await FAQ.find().sort({ updatedAt: -1 }).limit(MAX_INLINE_RESULTS);
+
+    const results = faqs.map(faq => ({
+      type: 'article',
+      id: faq._id.toString(),
+      title: faq.getQuestion(ctx.locale),
+      description: truncate(faq.getAnswer(ctx.locale), INLINE_DESCRIPTION_LENGTH),
+      input_message_content: {
+        message_text: formatFAQ(ctx, faq)
+      }
+    }));
+
+    const extra = { cache_time: INLINE_CACHE_SECONDS, is_personal: true };
+    if (results.length === 0) {
+      extra.button = { text: t(ctx, 'faq.inline_ask_bot'), start_parameter: 'faq' };
+    }
+
+    await ctx.answerInlineQuery(results, extra);
+
+    await logAction('user_inline_faq_query', { telegramId: ctx.from.id, query, results: results.length });
+  } catch (error) {
+    console.error('Error handling inline query:', error);
   }
 };
 
 module.exports = {
-  handleListFAQs
-};
\ No newline at end of file
+  handleListFAQs,
+  formatFAQ,
+  replyWithFAQSearch,
+  handleShowFAQ,
+  handleInlineQuery
+};
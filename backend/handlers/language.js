@@ -1,6 +1,12 @@
 const { getOrCreateUser, isGroupChat } = require('./common');
 const { t } = require('../utils/i18nHelper');
 const { logAction } = require('../logger');
+const { getCurrentOffer, needsOfferAcceptance, acceptOffer } = require('../utils/offers');
+
+/**
+ * Offer version from offer:accept:<version> / offer:decline:<version>, 0 for buttons sent before offer versions
+ */
+const getCallbackOfferVersion = (ctx) => parseInt(ctx.callbackQuery.data.split(':')[2], 10) || 0;
 
 /**
  * Handle /language command - show language selection
@@ -9,14 +15,15 @@ const handleLanguageSelection = async (ctx) => {
     try {
         // Don't allow language selection in group chats
         if (isGroupChat(ctx)) {
-            await ctx.reply('Смена языка доступна только в личных сообщениях.');
+            await ctx.reply(t(ctx, 'language.private_only'));
             return;
         }
 
         const keyboard = [
             [{ text: '🇷🇺 Русский', callback_data: 'lang:ru' }],
             [{ text: '🇺🇿 O\'zbek', callback_data: 'lang:uz' }],
-            [{ text: '🇺🇸 English', callback_data: 'lang:en' }]
+            [{ text: '🇺🇸 English', callback_data: 'lang:en' }],
+            [{ text: '🇰🇿 Қазақша', callback_data: 'lang:kk' }]
         ];
 
         await ctx.reply(
@@ -112,14 +119,24 @@ const handleOnboardingLanguage = async (ctx) => {
 const handleOfferAccept = async (ctx) => {
     try {
         const user = await getOrCreateUser(ctx);
+        const version = getCallbackOfferVersion(ctx);
 
         // Save offer acceptance
-        user.offerAccepted = true;
-        await user.save();
+        await acceptOffer(user, version);
 
         const { getMainMenuKeyboard, getStudentMenuKeyboard, isStudent } = require('./common');
+        const { sendOfferMessage } = require('./start');
 
         await ctx.answerCbQuery();
+
+        // A newer version was published after this message was sent - ask for that one too
+        if (needsOfferAcceptance(user, await getCurrentOffer())) {
+            await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+            await sendOfferMessage(ctx, user);
+            logAction('offer_accepted', { userId: user._id, version, outdated: true });
+            return;
+        }
+
         await ctx.editMessageText(
             t(ctx, 'onboarding.offer_accepted'),
             { reply_markup: { inline_keyboard: [] } }
@@ -139,7 +156,7 @@ const handleOfferAccept = async (ctx) => {
 
         await ctx.reply(welcomeMessage, keyboard);
 
-        logAction('offer_accepted', { userId: user._id });
+        logAction('offer_accepted', { userId: user._id, version });
     } catch (error) {
         console.error('Error handling offer accept:', error);
         await ctx.answerCbQuery(t(ctx, 'errors.general'));
@@ -153,14 +170,14 @@ const handleOfferDecline = async (ctx) => {
     try {
         await ctx.answerCbQuery();
 
-        const declineText = t(ctx, 'onboarding.offer_declined');
+        const { getOfferMessage } = require('./start');
+        const offer = await getCurrentOffer();
+        const { offerText, keyboard } = getOfferMessage(ctx, offer);
 
-        const keyboard = [
-            [
-                { text: t(ctx, 'onboarding.accept'), callback_data: 'offer:accept' },
-                { text: t(ctx, 'onboarding.decline'), callback_data: 'offer:decline' }
-            ]
-        ];
+        // Published versions are not in the locale files, keep their text in the message
+        const declineText = offer
+            ? offerText + '\n\n' + t(ctx, 'onboarding.offer_version_declined')
+            : t(ctx, 'onboarding.offer_declined');
 
         await ctx.editMessageText(declineText, {
             parse_mode: 'Markdown',
@@ -168,7 +185,7 @@ const handleOfferDecline = async (ctx) => {
             disable_web_page_preview: true
         });
 
-        logAction('offer_declined', { userId: ctx.from.id });
+        logAction('offer_declined', { userId: ctx.from.id, version: getCallbackOfferVersion(ctx) });
     } catch (error) {
         console.error('Error handling offer decline:', error);
         await ctx.answerCbQuery(t(ctx, 'errors.general'));
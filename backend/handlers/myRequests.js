@@ -0,0 +1,305 @@
+const { Markup } = require('telegraf');
+const { getOrCreateUser, getMainMenuKeyboard } = require('./common');
+const Request = require('../models/request');
+const { logAction } = require('../logger');
+const { t, formatDate } = require('../utils/i18nHelper');
+const { getRequestTimeline } = require('../utils/requestEvents');
+
+const PAGE_SIZE = 5;
+const PREVIEW_LENGTH = 60;
+
+// Telegram message limit is 4096 characters, leave room for formatting
+const MAX_MESSAGE_LENGTH = 3500;
+
+// Status filter -> statuses it includes (null means all requests)
+const STATUS_FILTERS = {
+  all: null,
+  active: ['pending', 'approved', 'assigned', 'answered'],
+  closed: ['closed'],
+  declined: ['declined', 'withdrawn']
+};
+
+// Timeline events shown to the requester; internal review steps between admins and students are left out
+const USER_TIMELINE_EVENTS = ['submitted', 'edited', 'approved', 'declined', 'assigned', 'answered', 'reopened', 'closed', 'withdrawn', 'merged'];
+
+const truncate = (text, length) => {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > length ? `${singleLine.substring(0, length - 1)}…` : singleLine;
+};
+
+/**
+ * Parse "<filter>:<page>" callback arguments, falling back to the first page of all requests
+ */
+const parseListPosition = (filter, page) => ({
+  filter: Object.prototype.hasOwnProperty.call(STATUS_FILTERS, filter) ? filter : 'all',
+  page: parseInt(page, 10) || 1
+});
+
+/**
+ * Render one page of the user's requests
+ * @returns {Promise<Object>} - { text, keyboard }
+ */
+const renderRequestsPage = async (ctx, user, filter, page) => {
+  const query = { userId: user._id };
+  if (STATUS_FILTERS[filter]) {
+    query.status = { $in: STATUS_FILTERS[filter] };
+  }
+
+  const total = await Request.countDocuments(query);
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+  const skip = (currentPage - 1) * PAGE_SIZE;
+
+  const requests = await Request.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(PAGE_SIZE)
+    .populate('categoryId');
+
+  let text = t(ctx, 'lists.my_requests_title') + '\n';
+  text += t(ctx, 'my_requests.filter_label', { filter: t(ctx, `my_requests.filters.${filter}`) }) + '\n\n';
+
+  if (requests.length === 0) {
+    text += t(ctx, 'my_requests.empty_filter');
+  }
+
+  const keyboard = [];
+
+  requests.forEach((request, index) => {
+    const number = skip + index + 1;
+
+    text += `${number}. ${request.categoryId.getName(ctx.locale)} - ${t(ctx, `statuses.${request.status}`)}\n`;
+    text += `   ${t(ctx, 'lists.request_date')} ${formatDate(ctx, request.createdAt)}\n`;
+    text += `   ${truncate(request.text, PREVIEW_LENGTH)}\n\n`;
+
+    keyboard.push([Markup.button.callback(
+      t(ctx, 'my_requests.open_button', { number, category: request.categoryId.getName(ctx.locale) }),
+      `myreq_view:${request._id}:${filter}:${currentPage}`
+    )]);
+  });
+
+  if (totalPages > 1) {
+    const navigation = [];
+    if (currentPage > 1) {
+      navigation.push(Markup.button.callback('◀️', `myreq:${filter}:${currentPage - 1}`));
+    }
+    navigation.push(Markup.button.callback(`${currentPage}/${totalPages}`, 'myreq_noop'));
+    if (currentPage < totalPages) {
+      navigation.push(Markup.button.callback('▶️', `myreq:${filter}:${currentPage + 1}`));
+    }
+    keyboard.push(navigation);
+  }
+
+  keyboard.push(Object.keys(STATUS_FILTERS).map(key => Markup.button.callback(
+    (key === filter ? '• ' : '') + t(ctx, `my_requests.filters.${key}`),
+    `myreq:${key}:1`
+  )));
+
+  return { text, keyboard: Markup.inlineKeyboard(keyboard) };
+};
+
+/**
+ * Build detail view sections: header, full text, answer or decline comment, timeline
+ */
+const formatRequestDetails = async (ctx, request) => {
+  let header = t(ctx, 'my_requests.details_title', { id: request._id }) + '\n';
+  header += `${t(ctx, 'my_requests.category_label')} ${request.categoryId.getName(ctx.locale)}\n`;
+  header += `${t(ctx, 'my_requests.status_label')} ${t(ctx, `statuses.${request.status}`)}\n`;
+  header += `${t(ctx, 'lists.request_date')} ${formatDate(ctx, request.createdAt)}`;
+
+  if (request.parentRequestId) {
+    header += '\n' + t(ctx, 'my_requests.followup_of', { id: request.parentRequestId });
+  }
+
+  if (request.attachments && request.attachments.length > 0) {
+    header += '\n' + t(ctx, 'lists.attachments_count', { count: request.attachments.length });
+  }
+
+  const sections = [header, `${t(ctx, 'my_requests.text_label')}\n${request.text}`];
+
+  if (request.status === 'closed' && request.answerText) {
+    sections.push(`${t(ctx, 'lists.answer_label')}\n${request.answerText}`);
+  }
+
+  if (request.status === 'declined' && request.adminComment) {
+    sections.push(`${t(ctx, 'lists.comment_label')} ${request.adminComment}`);
+  }
+
+  if (request.rating && request.rating.score) {
+    sections.push(t(ctx, 'my_requests.rating', { score: request.rating.score }));
+  }
+
+  const events = (await getRequestTimeline(request._id))
+    .filter(event => USER_TIMELINE_EVENTS.includes(event.type));
+
+  if (events.length > 0) {
+    const lines = events.map(event =>
+      `${formatDate(ctx, event.createdAt, 'datetime')} — ${t(ctx, `my_requests.events.${event.type}`)}`
+    );
+    sections.push(t(ctx, 'my_requests.timeline_title') + '\n' + lines.join('\n'));
+  }
+
+  return sections;
+};
+
+/**
+ * Join sections into as few messages as possible, splitting sections that alone exceed the limit
+ */
+const splitIntoMessages = (sections) => {
+  const messages = [];
+  let message = '';
+
+  sections.forEach(section => {
+    for (let offset = 0; offset < section.length; offset += MAX_MESSAGE_LENGTH) {
+      const part = section.slice(offset, offset + MAX_MESSAGE_LENGTH);
+      if (message && message.length + part.length + 2 > MAX_MESSAGE_LENGTH) {
+        messages.push(message);
+        message = '';
+      }
+      message += (message ? '\n\n' : '') + part;
+    }
+  });
+  messages.push(message);
+
+  return messages;
+};
+
+/**
+ * Buttons under the detail view
+ */
+const getDetailsKeyboard = (ctx, request, filter, page) => {
+  const keyboard = [];
+
+  if (Request.EDITABLE_STATUSES.includes(request.status)) {
+    keyboard.push([
+      Markup.button.callback(t(ctx, 'buttons.edit_request'), `edit_request:${request._id}`),
+      Markup.button.callback(t(ctx, 'buttons.withdraw_request'), `withdraw:${request._id}`)
+    ]);
+  }
+
+  if (request.status === 'closed') {
+    keyboard.push([Markup.button.callback(t(ctx, 'buttons.ask_followup'), `followup:${request._id}`)]);
+  }
+
+  if (request.parentRequestId) {
+    keyboard.push([Markup.button.callback(
+      t(ctx, 'my_requests.open_parent'),
+      `myreq_view:${request.parentRequestId}:${filter}:${page}`
+    )]);
+  }
+
+  keyboard.push([Markup.button.callback(t(ctx, 'my_requests.back_to_list'), `myreq:${filter}:${page}`)]);
+
+  return Markup.inlineKeyboard(keyboard);
+};
+
+/**
+ * Edit the list message in place; pressing the current filter again leaves the message unchanged
+ */
+const editListMessage = async (ctx, text, extra) => {
+  try {
+    await ctx.editMessageText(text, extra);
+  } catch (error) {
+    if (!error.description || !error.description.includes('message is not modified')) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Handle "Мои обращения" / "Mening murojaatlarim" action
+ */
+const handleMyRequests = async (ctx) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+
+    const total = await Request.countDocuments({ userId: user._id });
+
+    if (total === 0) {
+      await ctx.reply(t(ctx, 'lists.no_requests'));
+      await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+      return;
+    }
+
+    const { text, keyboard } = await renderRequestsPage(ctx, user, 'all', 1);
+    await ctx.reply(text, keyboard);
+
+    await logAction('user_viewed_requests', { userId: user._id });
+  } catch (error) {
+    console.error('Error handling my requests:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+    await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+  }
+};
+
+/**
+ * Handle list page / filter buttons (callback myreq:<filter>:<page>)
+ */
+const handleMyRequestsPage = async (ctx) => {
+  try {
+    const [, filterArg, pageArg] = ctx.callbackQuery.data.split(':');
+    const { filter, page } = parseListPosition(filterArg, pageArg);
+    const user = await getOrCreateUser(ctx);
+
+    const { text, keyboard } = await renderRequestsPage(ctx, user, filter, page);
+
+    await ctx.answerCbQuery();
+    await editListMessage(ctx, text, keyboard);
+  } catch (error) {
+    console.error('Error handling my requests page:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle request detail button (callback myreq_view:<requestId>:<filter>:<page>)
+ */
+const handleMyRequestDetails = async (ctx) => {
+  try {
+    const [, requestId, filterArg, pageArg] = ctx.callbackQuery.data.split(':');
+    const { filter, page } = parseListPosition(filterArg, pageArg);
+    const user = await getOrCreateUser(ctx);
+
+    const request = await Request.findOne({ _id: requestId, userId: user._id }).populate('categoryId');
+
+    if (!request) {
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_found'));
+      return;
+    }
+
+    const messages = splitIntoMessages(await formatRequestDetails(ctx, request));
+    const keyboard = getDetailsKeyboard(ctx, request, filter, page);
+
+    await ctx.answerCbQuery();
+
+    // The list message turns into the detail view; long requests continue in new messages
+    if (messages.length === 1) {
+      await editListMessage(ctx, messages[0], keyboard);
+    } else {
+      await editListMessage(ctx, messages[0]);
+      for (const part of messages.slice(1, -1)) {
+        await ctx.reply(part);
+      }
+      await ctx.reply(messages[messages.length - 1], keyboard);
+    }
+
+    await logAction('user_viewed_request_details', { userId: user._id, requestId: request._id });
+  } catch (error) {
+    console.error('Error handling my request details:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle the page counter button, which does nothing
+ */
+const handleMyRequestsNoop = async (ctx) => {
+  await ctx.answerCbQuery();
+};
+
+module.exports = {
+  handleMyRequests,
+  handleMyRequestsPage,
+  handleMyRequestDetails,
+  handleMyRequestsNoop
+};
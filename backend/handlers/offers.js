@@ -0,0 +1,176 @@
+const { requireAdminChat, formatUser } = require('./common');
+const { logAction } = require('../logger');
+const User = require('../models/user');
+const i18n = require('../i18n');
+const { t, formatDate } = require('../utils/i18nHelper');
+const { publishOfferVersion, listOfferVersions, countOfferAcceptances } = require('../utils/offers');
+
+/**
+ * Split the offer texts of /offer publish into locales
+ * Each text starts with a line "<locale>: ..." and goes on until the next locale line
+ * @returns {Object|null} - Text per locale code or null if there is text outside a locale
+ */
+const parseOfferTexts = (body) => {
+  const texts = {};
+  let locale = null;
+
+  for (const line of body.split('\n')) {
+    const match = /^([a-z]{2}):\s?(.*)$/.exec(line);
+
+    if (match && i18n.isLocaleSupported(match[1])) {
+      locale = match[1];
+      texts[locale] = match[2];
+    } else if (locale) {
+      texts[locale] += '\n' + line;
+    } else if (line.trim()) {
+      return null;
+    }
+  }
+
+  Object.keys(texts).forEach(code => {
+    texts[code] = texts[code].trim();
+    if (!texts[code]) delete texts[code];
+  });
+
+  return texts;
+};
+
+/**
+ * List published offer versions
+ */
+const listOffers = async (ctx) => {
+  const versions = await listOfferVersions();
+
+  if (versions.length === 0) {
+    await ctx.reply(t(ctx, 'offers.list_empty'));
+    return;
+  }
+
+  const now = new Date();
+  // Versions are sorted newest first, the first one in effect is the current one
+  const current = versions.find(version => version.effectiveAt <= now);
+
+  let message = t(ctx, 'offers.list_title', { count: versions.length }) + '\n\n';
+
+  for (const version of versions) {
+    const status = version.effectiveAt > now
+      ? t(ctx, 'offers.status_scheduled')
+      : version === current ? t(ctx, 'offers.status_current') : t(ctx, 'offers.status_previous');
+
+    message += t(ctx, 'offers.list_item', { version: version.version, date: version.effectiveAt, status }) + '\n';
+    message += `   ${t(ctx, 'offers.locales', { locales: Array.from(version.texts.keys()).join(', ') })}\n`;
+    message += `   ${t(ctx, 'offers.accepted_count', { count: await countOfferAcceptances(version.version) })}\n`;
+    if (version.publishedBy) {
+      message += `   ${t(ctx, 'offers.published_by', { admin: formatUser(version.publishedBy), date: formatDate(ctx, version.createdAt, 'datetime') })}\n`;
+    }
+    message += '\n';
+  }
+
+  await ctx.reply(message);
+};
+
+/**
+ * Publish a new offer version after showing the admin how each text looks
+ */
+const publishOffer = async (ctx, admin, dateArg, body) => {
+  let effectiveAt = new Date();
+
+  if (dateArg) {
+    // The day starts at midnight in the clinic time zone, not the server's
+    effectiveAt = i18n.parseDate(dateArg);
+    if (!effectiveAt) {
+      await ctx.reply(t(ctx, 'offers.invalid_date', { value: dateArg }));
+      return;
+    }
+  }
+
+  const texts = parseOfferTexts(body);
+
+  if (!texts || Object.keys(texts).length === 0) {
+    await ctx.reply(t(ctx, 'offers.usage'));
+    return;
+  }
+
+  if (!texts[i18n.defaultLocale]) {
+    await ctx.reply(t(ctx, 'offers.default_locale_required', { locale: i18n.defaultLocale }));
+    return;
+  }
+
+  // Users get the offer with Markdown, a text Telegram cannot parse would leave them without the buttons
+  for (const [locale, text] of Object.entries(texts)) {
+    try {
+      await ctx.reply(t(ctx, 'offers.preview', { locale }) + '\n\n' + text, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      if (!error.description || !error.description.includes('can\'t parse entities')) throw error;
+      await ctx.reply(t(ctx, 'offers.invalid_markdown', { locale }));
+      return;
+    }
+  }
+
+  const offer = await publishOfferVersion(texts, effectiveAt, admin);
+  const usersCount = await User.countDocuments({ offerAccepted: true });
+
+  let message = effectiveAt > new Date()
+    ? t(ctx, 'offers.scheduled', { version: offer.version, date: effectiveAt })
+    : t(ctx, 'offers.published', { version: offer.version });
+  message += '\n' + t(ctx, 'offers.reaccept_note', { count: usersCount });
+
+  const missingLocales = i18n.getSupportedLocales().filter(locale => !texts[locale]);
+  if (missingLocales.length > 0) {
+    message += '\n' + t(ctx, 'offers.missing_locales', { locales: missingLocales.join(', '), locale: i18n.defaultLocale });
+  }
+
+  await ctx.reply(message);
+
+  logAction('admin_published_offer', {
+    adminId: admin._id,
+    version: offer.version,
+    effectiveAt,
+    locales: Object.keys(texts)
+  });
+};
+
+/**
+ * Handle /offer command - public offer versions
+ * Usage: /offer - list versions
+ *        /offer publish [YYYY-MM-DD]
+ *        ru: <text>
+ *        uz: <text> ... - publish a new version, in effect from the date (right away if omitted)
+ */
+const handleOffer = async (ctx) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    const match = /^\/\S+(?:[ \t]+(\S+))?(?:[ \t]+(\S+))?[ \t]*(?:\n([\s\S]*))?$/.exec(ctx.message.text.trim());
+
+    if (!match) {
+      await ctx.reply(t(ctx, 'offers.usage'));
+      return;
+    }
+
+    const [, action, dateArg, body] = match;
+
+    if (!action) {
+      await listOffers(ctx);
+      return;
+    }
+
+    if (action !== 'publish' || !body) {
+      await ctx.reply(t(ctx, 'offers.usage'));
+      return;
+    }
+
+    await publishOffer(ctx, admin, dateArg, body);
+  } catch (error) {
+    console.error('Error handling offer command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+module.exports = {
+  handleOffer
+};
@@ -1,10 +1,356 @@
-const { getOrCreateUser, isAdmin } = require('./common');
+const mongoose = require('mongoose');
+const { Markup } = require('telegraf');
+const { getOrCreateUser, isAdmin, findUserByIdentifier, formatUser } = require('./common');
+const { adminOnly, reopenRequest, unassignRequest, resendRequest } = require('./admin');
 const { logAction } = require('../logger');
+const { t, formatDate, formatNumber } = require('../utils/i18nHelper');
+const i18n = require('../i18n');
 const Request = require('../models/request');
 const User = require('../models/user');
+const Category = require('../models/category');
+const { StateStore } = require('../state');
+const { getRequestTimeline } = require('../utils/requestEvents');
+const { getRatingSummary, getLowRatingThreshold } = require('../utils/ratings');
+const { getDeflectionSummary } = require('../utils/faqMatcher');
+
+// Telegram message limit is 4096 characters, leave room for formatting
+const MAX_MESSAGE_LENGTH = 3500;
+const MAX_EVENT_TEXT_LENGTH = 300;
+const MAX_DETAIL_TEXT_LENGTH = 1000;
+
+const BROWSER_PAGE_SIZE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Request browser filters, keyed by "<chatId>:<messageId>" of the browser message
+const browserStates = new StateStore('request_browser', { ttlMs: DAY_MS });
+
+const EMPTY_FILTERS = {
+  status: null,
+  categoryId: null,
+  studentId: null,
+  userId: null,
+  from: null,
+  to: null
+};
+
+// Statuses in lifecycle order, labelled by statuses.<status>
+const STATUSES = ['pending', 'approved', 'assigned', 'answered', 'closed', 'declined', 'withdrawn'];
+
+// [days, label key] for the period picker
+const PERIOD_OPTIONS = [
+  [1, 'browser.periods.day'],
+  [7, 'browser.periods.week'],
+  [30, 'browser.periods.month'],
+  ['all', 'browser.periods.all']
+];
+
+// Existing admin actions reused by the browser buttons
+const BROWSER_ACTIONS = {
+  reopen: reopenRequest,
+  unassign: unassignRequest,
+  resend: resendRequest
+};
+
+const SEARCH_LIMIT = 10;
+const SNIPPET_RADIUS = 60;
+const FILTER_ARG_PATTERN = /^(status|category|student|user|from|to):/i;
 
 /**
- * Handle /requests command - list all requests for admins
+ * Parse /requests arguments into browser filters
+ * @returns {Promise<Object>} - { filters, labels, page } or { error }
+ */
+const parseBrowserArgs = async (ctx, args) => {
+  const filters = { ...EMPTY_FILTERS };
+  const labels = {};
+  let page = 1;
+
+  for (const arg of args) {
+    // Legacy form: /requests <page>
+    if (/^\d+$/.test(arg)) {
+      page = parseInt(arg, 10);
+      continue;
+    }
+
+    const separator = arg.indexOf(':');
+    const key = separator > 0 ? arg.slice(0, separator).toLowerCase() : null;
+    const value = separator > 0 ? arg.slice(separator + 1) : '';
+
+    if (!key || !value) {
+      return { error: t(ctx, 'browser.errors.unparsable_filter', { filter: arg }) };
+    }
+
+    switch (key) {
+      case 'status':
+        if (!STATUSES.includes(value)) {
+          return { error: t(ctx, 'browser.errors.unknown_status', { status: value, statuses: STATUSES.join(', ') }) };
+        }
+        filters.status = value;
+        break;
+      case 'category': {
+        const hashtag = value.startsWith('#') ? value : `#${value}`;
+        const category = await Category.findOne({ hashtag });
+        if (!category) {
+          return { error: t(ctx, 'browser.errors.category_not_found', { hashtag }) };
+        }
+        filters.categoryId = category._id.toString();
+        labels.category = category.hashtag;
+        break;
+      }
+      case 'student':
+      case 'user': {
+        const found = await findUserByIdentifier(value);
+        if (!found) {
+          return { error: t(ctx, 'browser.errors.user_not_found', { user: value }) };
+        }
+        filters[`${key}Id`] = found._id.toString();
+        labels[key] = formatUser(found);
+        break;
+      }
+      case 'from':
+      case 'to': {
+        const date = i18n.parseDate(value);
+        if (!date) {
+          return { error: t(ctx, 'browser.errors.invalid_date', { date: value }) };
+        }
+        // "to" includes the whole day
+        filters[key] = (key === 'to' ? i18n.startOfDay(date, 1) : date).toISOString();
+        break;
+      }
+      default:
+        return { error: t(ctx, 'browser.errors.unknown_filter', { filter: key }) };
+    }
+  }
+
+  return { filters, labels, page };
+};
+
+/**
+ * Build Mongo query from browser filters; ids are cast explicitly because aggregate() does not cast
+ */
+const buildBrowserQuery = (filters) => {
+  const query = {};
+
+  if (filters.status) query.status = filters.status;
+  if (filters.categoryId) query.categoryId = new mongoose.Types.ObjectId(filters.categoryId);
+  if (filters.studentId) query.studentId = new mongoose.Types.ObjectId(filters.studentId);
+  if (filters.userId) query.userId = new mongoose.Types.ObjectId(filters.userId);
+
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lt = new Date(filters.to);
+  }
+
+  return query;
+};
+
+const describeFilters = (ctx, browser) => {
+  const { filters, labels } = browser;
+  const parts = [];
+
+  if (filters.status) parts.push(t(ctx, 'browser.filters.status', { status: t(ctx, `statuses.${filters.status}`) }));
+  if (filters.categoryId) parts.push(t(ctx, 'browser.filters.category', { category: labels.category }));
+  if (filters.studentId) parts.push(t(ctx, 'browser.filters.student', { student: labels.student }));
+  if (filters.userId) parts.push(t(ctx, 'browser.filters.user', { user: labels.user }));
+  if (filters.from) parts.push(t(ctx, 'browser.filters.from', { date: formatDate(ctx, filters.from) }));
+  if (filters.to) parts.push(t(ctx, 'browser.filters.to', { date: formatDate(ctx, i18n.startOfDay(new Date(filters.to), -1)) }));
+
+  return parts.length > 0 ? parts.join('; ') : t(ctx, 'browser.filters.none');
+};
+
+/**
+ * Admin actions available for a request in the browser
+ */
+const getItemButtons = (request, number) => {
+  const buttons = [Markup.button.callback(`🔍 ${number}`, `rb:view:${request._id}`)];
+
+  // Reopening drops the answer and unassigning takes the request from the student - both ask for confirmation first
+  if (['declined', 'closed', 'assigned', 'answered'].includes(request.status)) {
+    buttons.push(Markup.button.callback(`🔁 ${number}`, `rb:confirm:reopen:${request._id}`));
+  }
+  if (['assigned', 'answered'].includes(request.status)) {
+    buttons.push(Markup.button.callback(`↩️ ${number}`, `rb:confirm:unassign:${request._id}`));
+  }
+  if (request.status === 'approved') {
+    buttons.push(Markup.button.callback(`📤 ${number}`, `rb:resend:${request._id}`));
+  }
+
+  return buttons;
+};
+
+/**
+ * Render the current browser page
+ * @returns {Promise<Object>} - { text, keyboard, page }
+ */
+const renderBrowser = async (ctx, browser) => {
+  const query = buildBrowserQuery(browser.filters);
+
+  // One aggregation instead of a countDocuments call per status
+  const statusCounts = await Request.aggregate([
+    { $match: query },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const total = statusCounts.reduce((sum, { count }) => sum + count, 0);
+
+  const totalPages = Math.max(1, Math.ceil(total / BROWSER_PAGE_SIZE));
+  const page = Math.min(Math.max(1, browser.page), totalPages);
+  const skip = (page - 1) * BROWSER_PAGE_SIZE;
+
+  const requests = await Request.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(BROWSER_PAGE_SIZE)
+    .populate('userId')
+    .populate('categoryId')
+    .populate('studentId');
+
+  let message = t(ctx, 'browser.title') + '\n';
+  message += t(ctx, 'browser.filters_label', { filters: describeFilters(ctx, browser) }) + '\n';
+  message += t(ctx, 'browser.found', { count: total });
+  if (statusCounts.length > 0) {
+    const breakdown = STATUSES
+      .map(status => [status, statusCounts.find(({ _id }) => _id === status)])
+      .filter(([, entry]) => entry)
+      .map(([status, entry]) => `${t(ctx, `statuses.${status}`)}: ${entry.count}`);
+    message += `\n${breakdown.join('\n')}`;
+  }
+  message += '\n\n' + t(ctx, 'browser.page', { page, total: totalPages }) + '\n\n';
+
+  const keyboard = [];
+
+  if (requests.length === 0) {
+    message += t(ctx, 'browser.empty');
+  } else {
+    requests.forEach((request, index) => {
+      const number = skip + index + 1;
+
+      message += `${number}. #${request._id} - ${t(ctx, `statuses.${request.status}`)}\n`;
+      message += `   ${t(ctx, 'browser.user_label')} ${formatActor(ctx, request.userId)}\n`;
+      message += `   ${t(ctx, 'browser.category_label')} ${request.categoryId.name} ${request.categoryId.hashtag}\n`;
+      message += `   ${t(ctx, 'browser.date_label')} ${formatDate(ctx, request.createdAt)}\n`;
+
+      if (request.studentId) {
+        message += `   ${t(ctx, 'browser.student_label')} ${formatActor(ctx, request.studentId)}\n`;
+      }
+
+      message += '\n';
+      keyboard.push(getItemButtons(request, number));
+    });
+
+    message += t(ctx, 'browser.legend');
+  }
+
+  if (totalPages > 1) {
+    const navigation = [];
+    if (page > 1) navigation.push(Markup.button.callback('◀️', `rb:page:${page - 1}`));
+    navigation.push(Markup.button.callback(`${page}/${totalPages}`, 'rb:noop'));
+    if (page < totalPages) navigation.push(Markup.button.callback('▶️', `rb:page:${page + 1}`));
+    keyboard.push(navigation);
+  }
+
+  keyboard.push([
+    Markup.button.callback(t(ctx, 'browser.buttons.status'), 'rb:pick:status'),
+    Markup.button.callback(t(ctx, 'browser.buttons.category'), 'rb:pick:category'),
+    Markup.button.callback(t(ctx, 'browser.buttons.period'), 'rb:pick:period'),
+    Markup.button.callback(t(ctx, 'browser.buttons.reset'), 'rb:reset')
+  ]);
+
+  return { text: message, keyboard: Markup.inlineKeyboard(keyboard), page };
+};
+
+/**
+ * Keyboard for choosing a filter value
+ */
+const getPickerKeyboard = async (ctx, type, browser) => {
+  let options;
+
+  switch (type) {
+    case 'status':
+      options = STATUSES.map(status => [t(ctx, `statuses.${status}`), `rb:status:${status}`]);
+      options.push([t(ctx, 'browser.all_statuses'), 'rb:status:all']);
+      break;
+    case 'category': {
+      const categories = await Category.find().sort({ name: 1 });
+      options = categories.map(category => [`${category.name} ${category.hashtag}`, `rb:category:${category._id}`]);
+      options.push([t(ctx, 'browser.all_categories'), 'rb:category:all']);
+      break;
+    }
+    case 'period':
+      options = PERIOD_OPTIONS.map(([days, label]) => [t(ctx, label), `rb:period:${days}`]);
+      break;
+    default:
+      return null;
+  }
+
+  const keyboard = options.map(([label, data]) => [Markup.button.callback(label, data)]);
+  keyboard.push([Markup.button.callback('⬅️ ' + t(ctx, 'buttons.back'), `rb:page:${browser.page}`)]);
+
+  return Markup.inlineKeyboard(keyboard);
+};
+
+/**
+ * Full request card for the browser "details" button
+ */
+const formatRequestDetails = (ctx, request) => {
+  let message = t(ctx, 'browser.details.title', { id: request._id }) + '\n';
+  message += t(ctx, 'browser.details.status', { status: t(ctx, `statuses.${request.status}`) }) + '\n';
+  message += t(ctx, 'review.category', { category: request.categoryId.name, hashtag: request.categoryId.hashtag }) + '\n';
+  message += t(ctx, 'review.user', { user: formatActor(ctx, request.userId) }) + '\n';
+  if (request.studentId) {
+    message += t(ctx, 'browser.details.student', { student: formatActor(ctx, request.studentId) }) + '\n';
+  }
+  message += t(ctx, 'browser.details.created', { date: request.createdAt }) + '\n';
+  message += t(ctx, 'browser.details.updated', { date: request.updatedAt }) + '\n';
+  if (request.parentRequestId) {
+    message += t(ctx, 'browser.details.followup_of', { id: request.parentRequestId }) + '\n';
+  }
+  if (request.attachments && request.attachments.length > 0) {
+    message += t(ctx, 'review.attachments_count', { count: request.attachments.length }) + '\n';
+  }
+  if (request.rating && request.rating.score) {
+    message += t(ctx, 'browser.details.rating', { score: request.rating.score }) + '\n';
+  }
+
+  message += `\n${t(ctx, 'review.request_text')}\n${truncateDetail(request.text)}\n`;
+
+  if (request.answerText) {
+    message += `\n${t(ctx, 'review.answer_label')}\n${truncateDetail(request.answerText)}\n`;
+  }
+  if (request.adminComment) {
+    message += `\n${t(ctx, 'student.admin_comment_label')}\n${truncateDetail(request.adminComment)}\n`;
+  }
+
+  return message;
+};
+
+const truncateDetail = (text) => {
+  if (text.length <= MAX_DETAIL_TEXT_LENGTH) return text;
+  return `${text.slice(0, MAX_DETAIL_TEXT_LENGTH)}…`;
+};
+
+const getBrowserKey = (ctx) => `${ctx.chat.id}:${ctx.callbackQuery.message.message_id}`;
+
+/**
+ * Re-render the browser message after a filter change or an action
+ */
+const refreshBrowser = async (ctx, key, browser) => {
+  const { text, keyboard, page } = await renderBrowser(ctx, browser);
+  browser.page = page;
+  await browserStates.set(key, browser);
+
+  try {
+    await ctx.editMessageText(text, keyboard);
+  } catch (error) {
+    if (!error.description || !error.description.includes('message is not modified')) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Handle /requests command - open interactive request browser for admins
+ * Usage: /requests [status:<status>] [category:#hashtag] [student:<id|@username>] [user:<id|@username>]
+ *                  [from:YYYY-MM-DD] [to:YYYY-MM-DD]
  */
 const handleListRequests = async (ctx) => {
   try {
@@ -12,89 +358,265 @@ const handleListRequests = async (ctx) => {
 
     // Check if user is admin
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
-    // Get page parameter (if exists)
-    const args = ctx.message.text.split(' ');
-    const page = parseInt(args[1]) || 1;
-    const limit = 10;
-    const skip = (page - 1) * limit;
+    const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+    const parsed = await parseBrowserArgs(ctx, args);
 
-    // Get requests count by status
-    const pendingCount = await Request.countDocuments({ status: 'pending' });
-    const approvedCount = await Request.countDocuments({ status: 'approved' });
-    const assignedCount = await Request.countDocuments({ status: 'assigned' });
-    const answeredCount = await Request.countDocuments({ status: 'answered' });
-    const closedCount = await Request.countDocuments({ status: 'closed' });
-    const declinedCount = await Request.countDocuments({ status: 'declined' });
-    const totalCount = await Request.countDocuments();
+    if (parsed.error) {
+      await ctx.reply(`${parsed.error}\n\n${t(ctx, 'browser.usage')}`);
+      return;
+    }
 
-    // Get requests for current page
-    const requests = await Request.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('userId')
-      .populate('categoryId')
-      .populate('studentId');
-
-    let message = `📊 Статистика обращений:\n`;
-    message += `⏳ На рассмотрении: ${pendingCount}\n`;
-    message += `👨‍💼 Ожидают исполнителя: ${approvedCount}\n`;
-    message += `🔄 В обработке: ${assignedCount}\n`;
-    message += `✅ На проверке: ${answeredCount}\n`;
-    message += `✅ Закрыто: ${closedCount}\n`;
-    message += `❌ Отклонено: ${declinedCount}\n`;
-    message += `Всего: ${totalCount}\n\n`;
-
-    message += `📋 Список обращений (страница ${page}):\n\n`;
-
-    if (requests.length === 0) {
-      message += 'Нет обращений для отображения.';
-    } else {
-      requests.forEach((request, index) => {
-        const statusMap = {
-          'pending': '⏳ На рассмотрении',
-          'approved': '👨‍💼 Ожидает исполнителя',
-          'declined': '❌ Отклонено',
-          'assigned': '🔄 В обработке',
-          'answered': '✅ Ответ на проверке',
-          'closed': '✅ Закрыто'
-        };
-
-        const date = request.createdAt.toLocaleDateString('ru-RU');
-        const username = request.userId.username
-          ? `@${request.userId.username}`
-          : `${request.userId.telegramId}`;
-
-        message += `${skip + index + 1}. #${request._id} - ${statusMap[request.status]}\n`;
-        message += `   Пользователь: ${username}\n`;
-        message += `   Категория: ${request.categoryId.name} ${request.categoryId.hashtag}\n`;
-        message += `   Дата: ${date}\n`;
-
-        if (request.studentId) {
-          const executorName = request.studentId.username
-            ? `@${request.studentId.username}`
-            : `${request.studentId.telegramId}`;
-
-          message += `   Исполнитель: ${executorName}\n`;
+    const browser = { filters: parsed.filters, labels: parsed.labels, page: parsed.page };
+    const { text, keyboard, page } = await renderBrowser(ctx, browser);
+    browser.page = page;
+
+    const sent = await ctx.reply(text, keyboard);
+    await browserStates.set(`${ctx.chat.id}:${sent.message_id}`, browser);
+
+    logAction('admin_listed_requests', { userId: user._id, filters: browser.filters });
+  } catch (error) {
+    console.error('Error handling list requests:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle request browser buttons (callback rb:<action>[:<value>])
+ */
+const handleRequestBrowserCallback = async (ctx, bot) => {
+  try {
+    const [, action, value, confirmRequestId] = ctx.callbackQuery.data.split(':');
+    const admin = ctx.state.admin;
+
+    if (action === 'noop') {
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    // Request cards and history don't depend on the browser state
+    if (action === 'view' || action === 'history') {
+      await ctx.answerCbQuery();
+      if (action === 'history') {
+        await sendRequestHistory(ctx, value);
+        return;
+      }
+
+      const request = await Request.findById(value)
+        .populate('userId')
+        .populate('categoryId')
+        .populate('studentId');
+
+      if (!request) {
+        await ctx.reply(t(ctx, 'admin.request_id_not_found', { id: value }));
+        return;
+      }
+
+      await ctx.reply(formatRequestDetails(ctx, request), Markup.inlineKeyboard([
+        [Markup.button.callback(t(ctx, 'browser.buttons.history'), `rb:history:${request._id}`)]
+      ]));
+      logAction('admin_viewed_request_details', { adminId: admin._id, requestId: request._id });
+      return;
+    }
+
+    const key = getBrowserKey(ctx);
+    const browser = await browserStates.get(key);
+
+    if (!browser) {
+      await ctx.answerCbQuery(t(ctx, 'browser.expired'));
+      return;
+    }
+
+    switch (action) {
+      case 'page':
+        browser.page = parseInt(value, 10) || 1;
+        break;
+      case 'pick': {
+        const keyboard = await getPickerKeyboard(ctx, value, browser);
+        await ctx.answerCbQuery();
+        if (keyboard) {
+          await ctx.editMessageReplyMarkup(keyboard.reply_markup);
+        }
+        return;
+      }
+      case 'status':
+        browser.filters.status = value === 'all' ? null : value;
+        browser.page = 1;
+        break;
+      case 'category': {
+        const category = value === 'all' ? null : await Category.findById(value);
+        browser.filters.categoryId = category ? category._id.toString() : null;
+        browser.labels.category = category ? category.hashtag : null;
+        browser.page = 1;
+        break;
+      }
+      case 'period':
+        // Whole clinic days, today included
+        browser.filters.from = value === 'all' ? null : i18n.startOfDay(Date.now(), 1 - parseInt(value, 10)).toISOString();
+        browser.filters.to = null;
+        browser.page = 1;
+        break;
+      case 'reset':
+        browser.filters = { ...EMPTY_FILTERS };
+        browser.labels = {};
+        browser.page = 1;
+        break;
+      case 'confirm': {
+        // rb:confirm:<action>:<requestId> - replace the page buttons with "Yes" / "Cancel"
+        if (!['reopen', 'unassign'].includes(value)) {
+          await ctx.answerCbQuery();
+          return;
         }
+        await ctx.answerCbQuery(t(ctx, 'browser.confirm.prompt'));
+        await ctx.editMessageReplyMarkup(Markup.inlineKeyboard([
+          [Markup.button.callback(t(ctx, `browser.confirm.${value}`, { id: confirmRequestId }), `rb:${value}:${confirmRequestId}`)],
+          [Markup.button.callback(t(ctx, 'buttons.cancel'), 'rb:cancel')]
+        ]).reply_markup);
+        return;
+      }
+      case 'cancel':
+        break;
+      case 'reopen':
+      case 'unassign':
+      case 'resend': {
+        await ctx.answerCbQuery();
+        const result = await BROWSER_ACTIONS[action](bot, value, admin);
+        await ctx.reply(result);
+        await refreshBrowser(ctx, key, browser);
+        return;
+      }
+      default:
+        await ctx.answerCbQuery();
+        return;
+    }
+
+    await ctx.answerCbQuery();
+    await refreshBrowser(ctx, key, browser);
+  } catch (error) {
+    console.error('Error handling request browser callback:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Cut a fragment of the text around the first word of the query that occurs in it
+ */
+const getSnippet = (text, words) => {
+  const lower = text.toLowerCase();
+  const position = words
+    .map(word => lower.indexOf(word.toLowerCase()))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
 
-        message += '\n';
-      });
+  if (position === undefined) return null;
 
-      // Add pagination info
-      const totalPages = Math.ceil(totalCount / limit);
-      message += `Страница ${page} из ${totalPages}. Используйте /requests <номер_страницы> для навигации.`;
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + SNIPPET_RADIUS);
+  const fragment = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+  return `${start > 0 ? '…' : ''}${fragment}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Best snippet for a search result: request text first, then the answer and admin comments
+ */
+const getSearchSnippet = (request, words) => {
+  const sources = [
+    ['📝', request.text],
+    ['✏️', request.answerText],
+    ['💬', request.adminComment],
+    ...(request.answerRevisions || []).map(revision => ['💬', revision.feedback])
+  ];
+
+  for (const [icon, text] of sources) {
+    const snippet = text && getSnippet(text, words);
+    if (snippet) return `${icon} ${snippet}`;
+  }
+
+  // Matched by a stemmed form only - show the beginning of the request
+  const beginning = request.text.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' ').trim();
+  return `📝 ${beginning}${request.text.length > SNIPPET_RADIUS * 2 ? '…' : ''}`;
+};
+
+/**
+ * Handle /search command - full-text search over requests, answers and admin comments
+ * Usage: /search <query> [status:<status>] [category:#hashtag] [from:YYYY-MM-DD]
+ */
+const handleSearchRequests = async (ctx) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+
+    if (!isAdmin(user)) {
+      await ctx.reply(t(ctx, 'errors.admin_only'));
+      return;
     }
 
-    await ctx.reply(message);
-    logAction('admin_listed_requests', { userId: user._id });
+    const args = ctx.message.text.split(/\s+/).slice(1).filter(Boolean);
+    const filterArgs = args.filter(arg => FILTER_ARG_PATTERN.test(arg));
+    const words = args.filter(arg => !FILTER_ARG_PATTERN.test(arg));
+
+    if (words.length === 0) {
+      await ctx.reply(t(ctx, 'search.usage'));
+      return;
+    }
+
+    const parsed = await parseBrowserArgs(ctx, filterArgs);
+
+    if (parsed.error) {
+      await ctx.reply(`${parsed.error}\n\n${t(ctx, 'search.usage')}`);
+      return;
+    }
+
+    const query = {
+      ...buildBrowserQuery(parsed.filters),
+      $text: { $search: words.join(' ') }
+    };
+
+    const total = await Request.countDocuments(query);
+
+    if (total === 0) {
+      await ctx.reply(t(ctx, 'search.nothing_found', { query: words.join(' ') }));
+      return;
+    }
+
+    const requests = await Request.find(query, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_LIMIT)
+      .populate('userId')
+      .populate('categoryId');
+
+    let message = t(ctx, 'search.title', { query: words.join(' ') });
+    if (filterArgs.length > 0) {
+      message += '\n' + t(ctx, 'search.filters', { filters: describeFilters(ctx, parsed) });
+    }
+    message += '\n' + (total > SEARCH_LIMIT
+      ? t(ctx, 'search.top_results', { shown: SEARCH_LIMIT, total })
+      : t(ctx, 'search.found', { count: total })) + '\n\n';
+
+    const keyboard = [];
+
+    requests.forEach((request, index) => {
+      message += `${index + 1}. #${request._id} - ${t(ctx, `statuses.${request.status}`)}\n`;
+      message += `   ${request.categoryId.name} ${request.categoryId.hashtag}, ${formatActor(ctx, request.userId)}, ${formatDate(ctx, request.createdAt)}\n`;
+      message += `   ${getSearchSnippet(request, words)}\n\n`;
+
+      keyboard.push([
+        Markup.button.callback(`🔍 ${index + 1}`, `rb:view:${request._id}`),
+        Markup.button.callback(`📜 ${index + 1}`, `rb:history:${request._id}`)
+      ]);
+    });
+
+    message += t(ctx, 'search.legend');
+
+    await ctx.reply(message, Markup.inlineKeyboard(keyboard));
+
+    logAction('admin_searched_requests', { userId: user._id, query: words.join(' '), filters: parsed.filters, total });
   } catch (error) {
-    console.error('Error handling list requests:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    console.error('Error handling search requests:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
@@ -107,12 +629,13 @@ const handleStats = async (ctx) => {
 
     // Check if user is admin
     if (!isAdmin(user)) {
-      await ctx.reply('Эта команда доступна только администраторам.');
+      await ctx.reply(t(ctx, 'errors.admin_only'));
       return;
     }
 
     // Get counts
     const usersCount = await User.countDocuments();
+    const ownerCount = await User.countDocuments({ role: 'owner' });
     const adminCount = await User.countDocuments({ role: 'admin' });
     const userCount = await User.countDocuments({ role: 'user' });
     const usersWithAssignments = await User.countDocuments({ currentAssignmentId: { $ne: null } });
@@ -124,33 +647,200 @@ const handleStats = async (ctx) => {
     const answeredCount = await Request.countDocuments({ status: 'answered' });
     const closedCount = await Request.countDocuments({ status: 'closed' });
     const declinedCount = await Request.countDocuments({ status: 'declined' });
+    const withdrawnCount = await Request.countDocuments({ status: 'withdrawn' });
 
-    let message = `📊 Статистика бота:\n\n`;
+    let message = t(ctx, 'stats.title') + '\n\n';
 
-    message += `👥 Пользователи:\n`;
-    message += `   Всего: ${usersCount}\n`;
-    message += `   Администраторы: ${adminCount}\n`;
-    message += `   Обычные пользователи: ${userCount}\n`;
-    message += `   Активных исполнителей: ${usersWithAssignments}\n\n`;
+    message += t(ctx, 'stats.users_title') + '\n';
+    message += `   ${t(ctx, 'stats.total', { count: usersCount })}\n`;
+    message += `   ${t(ctx, 'stats.owners', { count: ownerCount })}\n`;
+    message += `   ${t(ctx, 'stats.admins', { count: adminCount })}\n`;
+    message += `   ${t(ctx, 'stats.regular_users', { count: userCount })}\n`;
+    message += `   ${t(ctx, 'stats.active_students', { count: usersWithAssignments })}\n\n`;
 
-    message += `📨 Обращения:\n`;
-    message += `   Всего: ${totalRequests}\n`;
-    message += `   ⏳ На рассмотрении: ${pendingCount}\n`;
-    message += `   👨‍💼 Ожидают исполнителя: ${approvedCount}\n`;
-    message += `   🔄 В обработке: ${assignedCount}\n`;
-    message += `   ✅ На проверке: ${answeredCount}\n`;
-    message += `   ✅ Закрыто: ${closedCount}\n`;
-    message += `   ❌ Отклонено: ${declinedCount}\n`;
+    message += t(ctx, 'stats.requests_title') + '\n';
+    message += `   ${t(ctx, 'stats.total', { count: totalRequests })}\n`;
+    [
+      ['pending', pendingCount],
+      ['approved', approvedCount],
+      ['assigned', assignedCount],
+      ['answered', answeredCount],
+      ['closed', closedCount],
+      ['declined', declinedCount],
+      ['withdrawn', withdrawnCount]
+    ].forEach(([status, count]) => {
+      message += `   ${t(ctx, `statuses.${status}`)}: ${count}\n`;
+    });
+
+    const ratings = await getRatingSummary();
+    message += '\n' + t(ctx, 'stats.ratings_title') + '\n';
+    if (ratings.count === 0) {
+      message += `   ${t(ctx, 'stats.no_ratings')}\n`;
+    } else {
+      message += `   ${t(ctx, 'stats.average_rating', { average: formatNumber(ctx, ratings.average, { minimumFractionDigits: 1, maximumFractionDigits: 1 }), count: ratings.count, closed: closedCount })}\n`;
+      message += `   ${[5, 4, 3, 2, 1].map(score => `${score}⭐: ${ratings.distribution[score]}`).join(', ')}\n`;
+      message += `   ${t(ctx, 'stats.low_ratings', { threshold: getLowRatingThreshold(), count: ratings.low })}\n`;
+    }
+
+    const deflections = await getDeflectionSummary();
+    message += '\n' + t(ctx, 'stats.deflections_title') + '\n';
+    if (deflections.shown === 0) {
+      message += `   ${t(ctx, 'stats.no_deflections')}\n`;
+    } else {
+      const percent = Math.round(deflections.deflected / deflections.shown * 100);
+      message += `   ${t(ctx, 'stats.deflections_shown', { count: deflections.shown })}\n`;
+      message += `   ${t(ctx, 'stats.deflections_helped', { count: deflections.deflected, percent })}\n`;
+      message += `   ${t(ctx, 'stats.deflections_submitted', { count: deflections.submitted })}\n`;
+      if (deflections.topFaqs.length > 0) {
+        message += `   ${t(ctx, 'stats.deflections_top')}\n`;
+        deflections.topFaqs.forEach(({ question, count }) => {
+          message += `   • ${question} (${count})\n`;
+        });
+      }
+    }
 
     await ctx.reply(message);
     logAction('admin_viewed_stats', { userId: user._id });
   } catch (error) {
     console.error('Error handling stats command:', error);
-    await ctx.reply('Произошла ошибка. Пожалуйста, попробуйте еще раз позже.');
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+const formatActor = (ctx, user) => {
+  if (!user) return t(ctx, 'admin.unknown_student');
+  return user.username ? `@${user.username}` : `${user.telegramId}`;
+};
+
+const truncate = (text) => {
+  if (!text || text.length <= MAX_EVENT_TEXT_LENGTH) return text;
+  return `${text.slice(0, MAX_EVENT_TEXT_LENGTH)}…`;
+};
+
+/**
+ * Render a single timeline event
+ */
+const formatEvent = (ctx, event) => {
+  const vars = {
+    actor: event.actorId ? formatActor(ctx, event.actorId) : t(ctx, 'history.system'),
+    student: formatActor(ctx, event.studentId),
+    fromStatus: event.fromStatus,
+    text: truncate(event.text)
+  };
+
+  switch (event.type) {
+    case 'unassigned': {
+      const source = ['admin', 'student', 'deadline', 'suspension'].includes(event.source)
+        ? t(ctx, `history.unassign_sources.${event.source}`)
+        : event.source;
+      return t(ctx, 'history.events.unassigned', { student: vars.student, source }) +
+        (event.source === 'admin' || event.source === 'suspension' ? ` (${vars.actor})` : '');
+    }
+    case 'submitted':
+    case 'approved':
+    case 'declined':
+    case 'assigned':
+    case 'answered':
+    case 'answer_declined':
+    case 'reopened':
+    case 'edited':
+    case 'withdrawn':
+    case 'merged':
+    case 'closed':
+      return t(ctx, `history.events.${event.type}`, vars);
+    default:
+      return event.type;
+  }
+};
+
+/**
+ * Send request event timeline; shared by /history and the request browser
+ * @returns {Promise<Object|null>} - Request or null if not found
+ */
+const sendRequestHistory = async (ctx, requestId) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    await ctx.reply(t(ctx, 'history.invalid_id', { id: requestId }));
+    return null;
+  }
+
+  const request = await Request.findById(requestId)
+    .populate('userId')
+    .populate('categoryId');
+
+  if (!request) {
+    await ctx.reply(t(ctx, 'admin.request_id_not_found', { id: requestId }));
+    return null;
+  }
+
+  const events = await getRequestTimeline(request._id);
+
+  let message = t(ctx, 'history.title', { id: request._id }) + '\n';
+  message += t(ctx, 'review.category', { category: request.categoryId.name, hashtag: request.categoryId.hashtag }) + '\n';
+  message += t(ctx, 'review.user', { user: formatActor(ctx, request.userId) }) + '\n';
+  message += t(ctx, 'history.current_status', { status: request.status }) + '\n\n';
+
+  if (events.length === 0) {
+    message += t(ctx, 'history.no_events');
+    await ctx.reply(message);
+    return request;
+  }
+
+  const messages = [];
+  events.forEach((event, index) => {
+    const line = `${index + 1}. ${formatDate(ctx, event.createdAt, 'datetime')} — ${formatEvent(ctx, event)}\n`;
+    if (message.length + line.length > MAX_MESSAGE_LENGTH) {
+      messages.push(message);
+      message = '';
+    }
+    message += line;
+  });
+  messages.push(message);
+
+  for (const part of messages) {
+    await ctx.reply(part);
+  }
+
+  return request;
+};
+
+/**
+ * Handle /history <id> command - show request event timeline
+ */
+const handleRequestHistory = async (ctx) => {
+  try {
+    if (ctx.chat.id.toString() !== process.env.ADMIN_CHAT_ID) {
+      await ctx.reply(t(ctx, 'errors.admin_chat_only'));
+      return;
+    }
+
+    const user = await getOrCreateUser(ctx);
+
+    if (!isAdmin(user)) {
+      await ctx.reply(t(ctx, 'errors.admin_only'));
+      return;
+    }
+
+    const requestId = ctx.message.text.split(/\s+/)[1];
+
+    if (!requestId) {
+      await ctx.reply(t(ctx, 'history.usage'));
+      return;
+    }
+
+    const request = await sendRequestHistory(ctx, requestId);
+    if (!request) return;
+
+    logAction('admin_viewed_request_history', { userId: user._id, requestId: request._id });
+  } catch (error) {
+    console.error('Error handling request history:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
   }
 };
 
 module.exports = {
+  handleRequestHistory,
   handleListRequests,
+  handleSearchRequests,
+  handleRequestBrowserCallback: adminOnly(handleRequestBrowserCallback),
   handleStats
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+const { getOrCreateUser, isOwner, isAdmin, findUserByIdentifier, formatUser } = require('./common');
+const { logAction } = require('../logger');
+const User = require('../models/user');
+const RoleChange = require('../models/roleChange');
+const { changeUserRole, getBaseRole, isOwnerTelegramId } = require('../utils/roles');
+const { t, formatDate } = require('../utils/i18nHelper');
+
+/**
+ * Check that the command is used by an owner in the admin chat
+ * @returns {Promise<Object|null>} - Owner user or null if not allowed
+ */
+const requireOwner = async (ctx) => {
+  if (ctx.chat.id.toString() !== process.env.ADMIN_CHAT_ID) {
+    await ctx.reply(t(ctx, 'errors.admin_chat_only'));
+    return null;
+  }
+
+  const user = await getOrCreateUser(ctx);
+
+  if (!isOwner(user)) {
+    await ctx.reply(t(ctx, 'roles.owner_only'));
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Handle /admins command - list owners and admins with recent role changes
+ */
+const handleListAdmins = async (ctx) => {
+  try {
+    const owner = await requireOwner(ctx);
+    if (!owner) return;
+
+    const admins = await User.find({ role: { $in: ['owner', 'admin'] } }).sort({ role: -1, createdAt: 1 });
+
+    let message = t(ctx, 'roles.admins_title') + '\n\n';
+
+    admins.forEach((admin, index) => {
+      const roleLabel = t(ctx, admin.role === 'owner' ? 'roles.owner' : 'roles.admin');
+      message += `${index + 1}. ${formatUser(admin)} — ${roleLabel}\n`;
+    });
+
+    const changes = await RoleChange.find({
+      $or: [
+        { toRole: { $in: ['owner', 'admin'] } },
+        { fromRole: { $in: ['owner', 'admin'] } }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .populate('userId')
+      .populate('changedBy');
+
+    if (changes.length > 0) {
+      message += '\n' + t(ctx, 'roles.recent_changes') + '\n';
+      changes.forEach((change) => {
+        const target = change.userId ? formatUser(change.userId) : t(ctx, 'roles.deleted_user');
+        const author = change.changedBy ? formatUser(change.changedBy) : t(ctx, 'history.system');
+        message += `• ${formatDate(ctx, change.createdAt, 'datetime')}: ${target} ${change.fromRole} → ${change.toRole} (${author})\n`;
+      });
+    }
+
+    await ctx.reply(message);
+    logAction('owner_listed_admins', { ownerId: owner._id });
+  } catch (error) {
+    console.error('Error handling list admins command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle /promote command - grant admin role
+ * Usage: /promote <telegramId|@username>
+ */
+const handlePromote = async (ctx) => {
+  try {
+    const owner = await requireOwner(ctx);
+    if (!owner) return;
+
+    const args = ctx.message.text.split(/\s+/).slice(1);
+
+    if (args.length === 0) {
+      await ctx.reply(t(ctx, 'roles.promote_usage'));
+      return;
+    }
+
+    const target = await findUserByIdentifier(args[0]);
+
+    if (!target) {
+      await ctx.reply(t(ctx, 'roles.promote_user_not_found', { user: args[0] }));
+      return;
+    }
+
+    if (isAdmin(target)) {
+      await ctx.reply(t(ctx, 'roles.already_admin', { user: formatUser(target) }));
+      return;
+    }
+
+    await changeUserRole(target, 'admin', owner);
+
+    await ctx.reply(t(ctx, 'roles.promoted', { user: formatUser(target) }));
+  } catch (error) {
+    console.error('Error handling promote command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle /demote command - revoke admin role
+ * Usage: /demote <telegramId|@username>
+ */
+const handleDemote = async (ctx) => {
+  try {
+    const owner = await requireOwner(ctx);
+    if (!owner) return;
+
+    const args = ctx.message.text.split(/\s+/).slice(1);
+
+    if (args.length === 0) {
+      await ctx.reply(t(ctx, 'roles.demote_usage'));
+      return;
+    }
+
+    const target = await findUserByIdentifier(args[0]);
+
+    if (!target) {
+      await ctx.reply(t(ctx, 'roles.demote_user_not_found', { user: args[0] }));
+      return;
+    }
+
+    // Owners are managed only through OWNER_TELEGRAM_IDS; a stored owner no longer listed there can be demoted
+    if (isOwnerTelegramId(target.telegramId)) {
+      await ctx.reply(t(ctx, 'roles.cannot_demote_owner'));
+      return;
+    }
+
+    if (!isAdmin(target)) {
+      await ctx.reply(t(ctx, 'roles.not_admin', { user: formatUser(target) }));
+      return;
+    }
+
+    await changeUserRole(target, getBaseRole(target), owner);
+
+    await ctx.reply(t(ctx, 'roles.demoted', { user: formatUser(target) }));
+  } catch (error) {
+    console.error('Error handling demote command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+module.exports = {
+  handleListAdmins,
+  handlePromote,
+  handleDemote
+};
@@ -1,20 +1,23 @@
 const { getOrCreateUser, getMainMenuKeyboard, getStudentMenuKeyboard, isStudent, isGroupChat, safeReply } = require('./common');
 const { logAction } = require('../logger');
 const { t } = require('../utils/i18nHelper');
+const { getCurrentOffer, getOfferText, needsOfferAcceptance } = require('../utils/offers');
 
 /**
- * Send trilingual welcome message with language selection buttons
+ * Send multilingual welcome message with language selection buttons
  */
 const sendOnboardingWelcome = async (ctx) => {
   const welcomeText =
     '🇷🇺 Добро пожаловать в бот юридической клиники! Выберите язык.\n\n' +
     '🇺🇿 Huquqiy klinika botiga xush kelibsiz! Tilni tanlang.\n\n' +
-    '🇺🇸 Welcome to the Legal Clinic Bot! Choose your language.';
+    '🇺🇸 Welcome to the Legal Clinic Bot! Choose your language.\n\n' +
+    '🇰🇿 Заң клиникасының ботына қош келдіңіз! Тілді таңдаңыз.';
 
   const keyboard = [
     [{ text: '🇷🇺 Русский', callback_data: 'onboard_lang:ru' }],
     [{ text: '🇺🇿 O\'zbek', callback_data: 'onboard_lang:uz' }],
-    [{ text: '🇺🇸 English', callback_data: 'onboard_lang:en' }]
+    [{ text: '🇺🇸 English', callback_data: 'onboard_lang:en' }],
+    [{ text: '🇰🇿 Қазақша', callback_data: 'onboard_lang:kk' }]
   ];
 
   await ctx.reply(welcomeText, {
@@ -23,19 +26,38 @@ const sendOnboardingWelcome = async (ctx) => {
 };
 
 /**
- * Send offer message in user's chosen language
+ * Offer text and accept/decline buttons for the current offer version
+ * @param {Object|null} offer - Current offer version, null for the text from the locale files
  */
-const sendOfferMessage = async (ctx) => {
-  const offerText = t(ctx, 'onboarding.offer_text');
+const getOfferMessage = (ctx, offer) => {
+  const version = offer ? offer.version : 0;
+  const offerText = offer ? getOfferText(offer, ctx.locale) : t(ctx, 'onboarding.offer_text');
 
+  // The version is part of the buttons, so the user accepts the text they have read
   const keyboard = [
     [
-      { text: t(ctx, 'onboarding.accept'), callback_data: 'offer:accept' },
-      { text: t(ctx, 'onboarding.decline'), callback_data: 'offer:decline' }
+      { text: t(ctx, 'onboarding.accept'), callback_data: `offer:accept:${version}` },
+      { text: t(ctx, 'onboarding.decline'), callback_data: `offer:decline:${version}` }
     ]
   ];
 
-  await ctx.reply(offerText, {
+  return { offerText, keyboard };
+};
+
+/**
+ * Send offer message in user's chosen language
+ * @param {Object} [user] - User document, users who accepted an older version are told that the offer changed
+ */
+const sendOfferMessage = async (ctx, user = null) => {
+  const offer = await getCurrentOffer();
+  const { offerText, keyboard } = getOfferMessage(ctx, offer);
+  let text = offerText;
+
+  if (offer && user && user.offerAccepted) {
+    text = t(ctx, 'onboarding.offer_updated', { version: offer.version, date: offer.effectiveAt }) + '\n\n' + offerText;
+  }
+
+  await ctx.reply(text, {
     parse_mode: 'Markdown',
     reply_markup: { inline_keyboard: keyboard },
     disable_web_page_preview: true
@@ -51,12 +73,9 @@ const handleStart = async (ctx) => {
 
     // Use safeReply for group chat handling
     if (isGroupChat(ctx)) {
-      let welcomeMessage;
-      if (isStudent(user)) {
-        welcomeMessage = "Добро пожаловать, студент! Используйте команды для взаимодействия с ботом.";
-      } else {
-        welcomeMessage = "Добро пожаловать! Используйте команды для взаимодействия с ботом.";
-      }
+      const welcomeMessage = isStudent(user)
+        ? t(ctx, 'commands.start.group_welcome_student')
+        : t(ctx, 'commands.start.group_welcome');
       await safeReply(ctx, welcomeMessage);
       await logAction('user_start_command', { userId: user._id, role: user.role, chatType: 'group' });
       return;
@@ -69,6 +88,13 @@ const handleStart = async (ctx) => {
       return;
     }
 
+    // The offer changed since the user accepted it - ask again, the language is already known
+    if (needsOfferAcceptance(user, await getCurrentOffer())) {
+      await sendOfferMessage(ctx, user);
+      await logAction('user_start_command', { userId: user._id, role: user.role, chatType: 'private', offerUpdated: true });
+      return;
+    }
+
     // Private chat - offer accepted, show full menu
     let welcomeMessage;
     let keyboard;
@@ -90,4 +116,5 @@ const handleStart = async (ctx) => {
 };
 
 module.exports = handleStart;
-module.exports.sendOfferMessage = sendOfferMessage;
\ No newline at end of file
+module.exports.sendOfferMessage = sendOfferMessage;
+module.exports.getOfferMessage = getOfferMessage;
\ No newline at end of file
@@ -1,12 +1,22 @@
 const { Markup } = require('telegraf');
 const User = require('../models/user');
 const Request = require('../models/request');
-const { isStudent, getOrCreateUser, getStudentMenuKeyboard, canTakeRequests, isGroupChat } = require('./common');
+const { isStudent, isVerifiedStudent, getOrCreateUser, getStudentMenuKeyboard, canTakeRequests, isGroupChat, sendRequestAttachments, formatPreviousExchange } = require('./common');
 const { logAction, logWarn } = require('../logger');
-const { t } = require('../utils/i18nHelper');
+const { t, tAdmin, formatDate, formatNumber, getAdminChatLocale } = require('../utils/i18nHelper');
+const i18n = require('../i18n');
+const { claimRequestForStudent } = require('../utils/requestLocks');
+const { getAssignmentDeadlineHours } = require('../utils/deadlines');
+const { recordRequestEvent } = require('../utils/requestEvents');
+const { formatTextDiff } = require('../utils/textDiff');
+const { getRatingSummary } = require('../utils/ratings');
+const { StateStore } = require('../state');
 
-// Student state management (in-memory for simplicity)
-const studentStates = new Map();
+// Student state management (persisted via state store, see state/index.js)
+const studentStates = new StateStore('student');
+
+// Steps with text being written that a new offer version does not interrupt
+const WRITING_STATES = ['writing_answer', 'confirming_answer', 'entering_clarification'];
 
 /**
  * Handle "Взять в работу" button
@@ -15,7 +25,7 @@ const handleTakeRequest = async (ctx, bot) => {
   try {
     // Check if user is in student chat
     if (!canTakeRequests(ctx)) {
-      await ctx.answerCbQuery('Эта функция доступна только в студенческом чате.');
+      await ctx.answerCbQuery(t(ctx, 'errors.student_chat_only'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -26,11 +36,11 @@ const handleTakeRequest = async (ctx, bot) => {
     const requestId = ctx.callbackQuery.data.split(':')[1];
 
     // Get request
-    const request = await Request.findById(requestId)
+    let request = await Request.findById(requestId)
       .populate('categoryId');
 
     if (!request) {
-      await ctx.answerCbQuery('Обращение не найдено.');
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -39,7 +49,7 @@ const handleTakeRequest = async (ctx, bot) => {
     }
 
     if (request.status !== 'approved') {
-      await ctx.answerCbQuery('Это обращение уже взято в работу или находится в другом статусе.');
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_available'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -49,75 +59,101 @@ const handleTakeRequest = async (ctx, bot) => {
 
     const user = await getOrCreateUser(ctx);
 
-    // *** AUTO-ASSIGN STUDENT ROLE IF NOT ALREADY SET ***
-    if (user.role === 'user') {
-      user.role = 'student';
-      await user.save();
-      logAction('user_auto_became_student', { userId: user._id });
+    // Only students approved by an admin (see handlers/verification.js) can claim requests
+    if (!isVerifiedStudent(user)) {
+      const reasonKey = user.studentStatus === 'pending'
+        ? 'verification.take_pending'
+        : user.studentStatus === 'suspended'
+          ? 'verification.take_suspended'
+          : 'verification.take_not_verified';
+      // Answered in the student's own language rather than the student chat's
+      await ctx.answerCbQuery(i18n.t(reasonKey, user.language), { show_alert: true });
+      logAction('student_take_request_rejected', {
+        studentId: user._id,
+        requestId,
+        reason: `student_status_${user.studentStatus}`
+      });
+      return;
     }
 
-    // Check if user already has an active assignment
-    if (user.currentAssignmentId) {
-      await ctx.answerCbQuery(t(ctx, 'errors.already_has_assignment'));
-      await ctx.editMessageText(
-        ctx.callbackQuery.message.text,
-        { reply_markup: { inline_keyboard: [] } }
-      );
+    // Atomically claim the request: only one student can win, and only if they have no other assignment
+    const claim = await claimRequestForStudent(requestId, user);
+
+    if (claim.error) {
+      await ctx.answerCbQuery(t(ctx, claim.error));
+      if (claim.error === 'errors.request_already_taken') {
+        await ctx.editMessageText(
+          ctx.callbackQuery.message.text,
+          { reply_markup: { inline_keyboard: [] } }
+        );
+      }
+      logAction('student_take_request_rejected', {
+        studentId: user._id,
+        requestId,
+        reason: claim.error
+      });
       return;
     }
 
-// Update request with student
-    request.status = 'assigned';
-    request.studentId = user._id;
-    request.assignedAt = new Date();
-    await request.save();
+    await claim.request.populate('categoryId');
+    request = claim.request;
 
-    // Update user with active assignment
-    user.currentAssignmentId = request._id;
-    await user.save();
+    await recordRequestEvent(request, 'assigned', { actor: user, actorRole: 'student', student: user });
 
-    // Update message in student chat (clear tracked message ID since we're editing it)
-    request.studentChatMessageId = null;
-    await request.save();
-
-    const studentName = user.username ? `@${user.username}` : `${user.firstName || 'Студент'} ${user.lastName || ''}`;
+    const studentName = user.username ? `@${user.username}` : `${user.firstName || t(ctx, 'student.default_name')} ${user.lastName || ''}`;
     await ctx.editMessageText(
-      ctx.callbackQuery.message.text + `\n\nПринято в работу: ${studentName}`,
+      ctx.callbackQuery.message.text + '\n\n' + t(ctx, 'student_chat.taken_by', { student: studentName }),
       { reply_markup: { inline_keyboard: [] } }
     );
 
-    // Send request details to student in private chat (in Russian)
-    const detailMessage = `
-📨 Обращение #${request._id}
-📂 Категория: ${request.categoryId.name} ${request.categoryId.hashtag}
-
-📝 Текст обращения:
-${request.text}
-
-Введите ваш ответ на это обращение и отправьте его. После этого нажмите кнопку "Подтвердить отправку ответа".
-`;
+    // Send request details to student in private chat, in their own language
+    const locale = user.language;
+    let detailMessage = i18n.t('student.assignment_title', locale, { id: request._id }) + '\n';
+    detailMessage += i18n.t('student.category', locale, {
+      category: request.categoryId.getName(locale),
+      hashtag: request.categoryId.hashtag
+    }) + '\n';
+    if (request.parentRequestId) {
+      detailMessage += i18n.t('student.followup_note', locale) + '\n';
+    }
+    detailMessage += '\n' + i18n.t('student.request_text', locale) + '\n' + request.text + '\n';
+    if (request.attachments.length > 0) {
+      detailMessage += '\n' + i18n.t('student.attachments_below', locale, { count: request.attachments.length }) + '\n';
+    }
+    detailMessage += '\n' + i18n.t('student.deadline_note', locale, { hours: getAssignmentDeadlineHours(request.categoryId) });
+    detailMessage += '\n\n' + i18n.t('student.write_answer', locale, { button: i18n.t('buttons.confirm_answer', locale) });
 
+    // Buttons are matched in the student's private chat, which uses their language
     await bot.telegram.sendMessage(
       user.telegramId,
       detailMessage,
       Markup.keyboard([
-        ['Подтвердить отправку ответа'],
-        ['Изменить ответ'],
-        ['Отказаться от обращения']
+        [i18n.t('buttons.confirm_answer', locale)],
+        [i18n.t('buttons.edit_answer', locale)],
+        [i18n.t('buttons.ask_clarification', locale)],
+        [i18n.t('buttons.reject_assignment', locale)]
       ]).resize()
     );
 
+    await sendRequestAttachments(bot, user.telegramId, request);
+
+    if (request.parentRequestId) {
+      const parent = await Request.findById(request.parentRequestId);
+      if (parent) {
+        await bot.telegram.sendMessage(user.telegramId, formatPreviousExchange(parent, locale));
+      }
+    }
+
     // Set student state to writing answer
-    studentStates.set(user.telegramId, {
+    await studentStates.set(user.telegramId, {
       state: 'writing_answer',
       requestId: request._id
     });
 
-    await ctx.answerCbQuery('Обращение взято в работу. Проверьте личные сообщения.');
+    await ctx.answerCbQuery(i18n.t('student.request_taken', locale));
     logAction('student_took_request', {
       studentId: user._id,
-      requestId: request._id,
-      autoPromoted: user.role === 'student'
+      requestId: request._id
     });
   } catch (error) {
     console.error('Error handling take request:', error);
@@ -137,41 +173,53 @@ const handleMyAnswers = async (ctx) => {
       return;
     }
 
-    // Get all requests handled by this student
-    const requests = await Request.find({ studentId: user._id })
+    // Get all requests handled by this student (including ones later reassigned)
+    const requests = await Request.find({
+      $or: [{ studentId: user._id }, { 'answerRevisions.authorId': user._id }]
+    })
       .sort({ updatedAt: -1 })
       .populate('categoryId')
       .populate('userId');
 
     if (requests.length === 0) {
-      await ctx.reply('Вы пока не обработали ни одного обращения.');
+      await ctx.reply(t(ctx, 'student.no_answers'));
       if (!isGroupChat(ctx)) {
         await ctx.reply(t(ctx, 'lists.select_action'), getStudentMenuKeyboard(ctx));
       }
       return;
     }
 
-    let message = '📋 Ваши ответы на обращения:\n\n';
+    let message = t(ctx, 'student.my_answers_title') + '\n\n';
 
     requests.forEach((request, index) => {
-      const date = request.updatedAt.toLocaleDateString('ru-RU');
+      const date = formatDate(ctx, request.updatedAt);
       const userInfo = request.userId.username
         ? `@${request.userId.username}`
         : `ID:${request.userId.telegramId}`;
 
-      message += `${index + 1}. ${request.categoryId.name} - ${t(ctx, `statuses.${request.status}`)}\n`;
-      message += `   Пользователь: ${userInfo}\n`;
+      message += `${index + 1}. ${request.categoryId.getName(ctx.locale)} - ${t(ctx, `statuses.${request.status}`)}\n`;
+      message += `   ${t(ctx, 'student.user_label')} ${userInfo}\n`;
       message += `   ${t(ctx, 'lists.request_date')} ${date}\n`;
 
-      if (request.answerText) {
-        const truncatedAnswer = request.answerText.length > 150
-          ? request.answerText.substring(0, 147) + '...'
-          : request.answerText;
+      // Final approved version if there is one, otherwise the student's latest revision
+      const ownRevisions = request.answerRevisions.filter(r => r.authorId.toString() === user._id.toString());
+      const approved = request.answerRevisions.find(r => r.status === 'approved');
+      const shownRevision = approved || ownRevisions[ownRevisions.length - 1];
+      const answerText = shownRevision ? shownRevision.text : request.answerText;
+
+      if (answerText) {
+        const truncatedAnswer = answerText.length > 150
+          ? answerText.substring(0, 147) + '...'
+          : answerText;
         message += `   ${t(ctx, 'lists.answer_label')} ${truncatedAnswer}\n`;
       }
 
-      if (request.adminComment) {
-        message += `   💬 Комментарий администратора: ${request.adminComment}\n`;
+      if (ownRevisions.length > 1) {
+        message += `   ${t(ctx, 'student.revisions_count', { count: ownRevisions.length })}\n`;
+      }
+
+      if (request.adminComment && request.status !== 'closed') {
+        message += `   ${t(ctx, 'student.admin_comment_label')} ${request.adminComment}\n`;
       }
 
       message += '\n';
@@ -215,7 +263,7 @@ const handleCurrentAssignment = async (ctx) => {
       .populate('userId');
 
     if (!request) {
-      await ctx.reply('Текущее обращение не найдено.');
+      await ctx.reply(t(ctx, 'student.current_not_found'));
       // Clear invalid assignment
       user.currentAssignmentId = null;
       await user.save();
@@ -227,19 +275,19 @@ const handleCurrentAssignment = async (ctx) => {
       ? `@${request.userId.username}`
       : `ID:${request.userId.telegramId}`;
 
-    let message = `📨 Текущее обращение #${request._id}\n`;
-    message += `📂 Категория: ${request.categoryId.name} ${request.categoryId.hashtag}\n`;
-    message += `👤 Пользователь: ${userInfo}\n`;
-    message += `📊 Статус: ${t(ctx, `statuses.${request.status}`)}\n`;
-    message += `📅 Дата получения: ${request.createdAt.toLocaleDateString('ru-RU')}\n\n`;
-    message += `📝 Текст обращения:\n${request.text}\n`;
+    let message = t(ctx, 'student.current_title', { id: request._id }) + '\n';
+    message += t(ctx, 'student.category', { category: request.categoryId.getName(ctx.locale), hashtag: request.categoryId.hashtag }) + '\n';
+    message += `👤 ${t(ctx, 'student.user_label')} ${userInfo}\n`;
+    message += `${t(ctx, 'student.status_label')} ${t(ctx, `statuses.${request.status}`)}\n`;
+    message += `${t(ctx, 'student.received_label')} ${formatDate(ctx, request.createdAt)}\n\n`;
+    message += `${t(ctx, 'student.request_text')}\n${request.text}\n`;
 
     if (request.answerText) {
-      message += `\n✏️ Ваш ответ:\n${request.answerText}`;
+      message += `\n${t(ctx, 'student.your_answer_label')}\n${request.answerText}`;
     }
 
     if (request.adminComment) {
-      message += `\n💬 Комментарий администратора:\n${request.adminComment}`;
+      message += `\n${t(ctx, 'student.admin_comment_label')}\n${request.adminComment}`;
     }
 
     await ctx.reply(message);
@@ -291,15 +339,20 @@ const handleStudentStats = async (ctx) => {
       status: 'closed'
     });
 
-    let message = `📊 Ваша статистика:\n\n`;
-    message += `📨 Всего обращений: ${totalAssigned}\n`;
-    message += `🔄 В работе: ${inProgress}\n`;
-    message += `✅ На проверке: ${awaitingReview}\n`;
-    message += `✅ Завершено: ${completed}\n`;
+    let message = t(ctx, 'student.stats_title') + '\n\n';
+    message += t(ctx, 'student.stats_total', { count: totalAssigned }) + '\n';
+    message += t(ctx, 'student.stats_in_progress', { count: inProgress }) + '\n';
+    message += t(ctx, 'student.stats_in_review', { count: awaitingReview }) + '\n';
+    message += t(ctx, 'student.stats_completed', { count: completed }) + '\n';
 
     if (totalAssigned > 0) {
-      const completionRate = ((completed / totalAssigned) * 100).toFixed(1);
-      message += `\n📈 Процент завершения: ${completionRate}%`;
+      const completionRate = formatNumber(ctx, completed / totalAssigned * 100, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+      message += '\n' + t(ctx, 'student.stats_completion_rate', { rate: completionRate });
+    }
+
+    const ratings = await getRatingSummary({ studentId: user._id });
+    if (ratings.count > 0) {
+      message += '\n' + t(ctx, 'student.stats_rating', { average: formatNumber(ctx, ratings.average, { minimumFractionDigits: 1, maximumFractionDigits: 1 }), count: ratings.count });
     }
 
     await ctx.reply(message);
@@ -313,6 +366,160 @@ const handleStudentStats = async (ctx) => {
   }
 };
 
+/**
+ * Format changes of the latest answer revision against the previous one for the reviewing admin.
+ * Returns null for the first revision or when the previous one was written by another student.
+ */
+const formatRevisionDiff = (request) => {
+  const revisions = request.answerRevisions;
+  if (revisions.length < 2) return null;
+
+  const current = revisions[revisions.length - 1];
+  const previous = revisions[revisions.length - 2];
+  if (previous.authorId.toString() !== current.authorId.toString()) return null;
+
+  let message = tAdmin('review.revision_diff_title', { current: current.number, previous: previous.number }) + '\n';
+  if (previous.feedback) {
+    message += tAdmin('review.revision_feedback', { number: previous.number, feedback: previous.feedback }) + '\n';
+  }
+  message += tAdmin('review.diff_legend') + '\n\n';
+
+  const diff = formatTextDiff(previous.text, current.text);
+  message += diff.length > 3000 ? `${diff.slice(0, 3000)}…` : diff;
+
+  return message;
+};
+
+/**
+ * Format the student ↔ user clarification thread of a request for admins
+ */
+const formatClarificationThread = (request) => {
+  let message = tAdmin('review.clarifications_title', { id: request._id }) + '\n';
+
+  request.clarifications.forEach((entry) => {
+    const author = tAdmin(entry.author === 'student' ? 'review.author_student' : 'review.author_user');
+    const date = i18n.formatDate(entry.createdAt, getAdminChatLocale(), 'datetime');
+    message += `\n${author} (${date}):\n${entry.text}\n`;
+  });
+
+  return message;
+};
+
+/**
+ * Keyboard shown to a student while working on an answer
+ */
+const getAnswerKeyboard = (ctx, state) => {
+  if (state === 'confirming_answer') {
+    return Markup.keyboard([
+      [t(ctx, 'buttons.confirm_answer')],
+      [t(ctx, 'buttons.edit_answer')],
+      [t(ctx, 'buttons.ask_clarification')],
+      [t(ctx, 'buttons.reject_assignment')]
+    ]).resize();
+  }
+
+  return Markup.keyboard([
+    [t(ctx, 'buttons.ask_clarification')],
+    [t(ctx, 'buttons.reject_assignment')]
+  ]).resize();
+};
+
+/**
+ * Handle "Задать уточняющий вопрос" button - start writing a question for the requester
+ */
+const handleAskClarification = async (ctx) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const studentState = await studentStates.get(user.telegramId);
+
+    if (!user.currentAssignmentId || !studentState || !studentState.requestId) {
+      await ctx.reply(t(ctx, 'errors.no_active_assignment'));
+      return;
+    }
+
+    // Keep the previous state so the student can continue where they left off
+    await studentStates.set(user.telegramId, {
+      state: 'entering_clarification',
+      requestId: studentState.requestId,
+      previousState: studentState
+    });
+
+    await ctx.reply(
+      t(ctx, 'prompts.enter_clarification', { id: studentState.requestId }),
+      Markup.keyboard([[t(ctx, 'buttons.cancel')]]).resize()
+    );
+  } catch (error) {
+    console.error('Error handling ask clarification:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle clarification question text - relay it to the requester without student details
+ */
+const handleClarificationQuestion = async (ctx, bot) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const studentState = await studentStates.get(user.telegramId);
+
+    if (!studentState || studentState.state !== 'entering_clarification') {
+      return;
+    }
+
+    const previousState = studentState.previousState;
+    const questionText = ctx.message.text;
+
+    if (questionText === t(ctx, 'buttons.cancel')) {
+      await studentStates.set(user.telegramId, previousState);
+      await ctx.reply(t(ctx, 'lists.select_action'), getAnswerKeyboard(ctx, previousState.state));
+      return;
+    }
+
+    const request = await Request.findOne({
+      _id: studentState.requestId,
+      studentId: user._id,
+      status: { $in: ['assigned', 'answered'] }
+    }).populate('userId');
+
+    if (!request) {
+      await ctx.reply(t(ctx, 'errors.no_active_assignment'));
+      await studentStates.delete(user.telegramId);
+      return;
+    }
+
+    request.clarifications.push({ author: 'student', text: questionText });
+    await request.save();
+
+    // The requester only sees the request number, never the student's identity
+    const requester = request.userId;
+    await bot.telegram.sendMessage(
+      requester.telegramId,
+      i18n.t('clarification.question_received', requester.language, {
+        id: request._id,
+        question: questionText
+      }),
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: i18n.t('buttons.reply_clarification', requester.language), callback_data: `clarify_reply:${request._id}` }]
+          ]
+        }
+      }
+    );
+
+    await studentStates.set(user.telegramId, previousState);
+    await ctx.reply(t(ctx, 'success.clarification_sent'), getAnswerKeyboard(ctx, previousState.state));
+
+    logAction('student_asked_clarification', {
+      studentId: user._id,
+      requestId: request._id
+    });
+  } catch (error) {
+    console.error('Error handling clarification question:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
 /**
  * Handle student answer
  */
@@ -324,7 +531,7 @@ const handleStudentAnswer = async (ctx) => {
       return; // No active assignment
     }
 
-    const studentState = studentStates.get(user.telegramId);
+    const studentState = await studentStates.get(user.telegramId);
     if (!studentState || studentState.state !== 'writing_answer') {
       return;
     }
@@ -332,7 +539,7 @@ const handleStudentAnswer = async (ctx) => {
     const answerText = ctx.message.text;
 
     // Update student state
-    studentStates.set(user.telegramId, {
+    await studentStates.set(user.telegramId, {
       state: 'confirming_answer',
       requestId: studentState.requestId,
       answerText
@@ -343,6 +550,7 @@ const handleStudentAnswer = async (ctx) => {
       Markup.keyboard([
         [t(ctx, 'buttons.confirm_answer')],
         [t(ctx, 'buttons.edit_answer')],
+        [t(ctx, 'buttons.ask_clarification')],
         [t(ctx, 'buttons.reject_assignment')]
       ]).resize()
     );
@@ -364,9 +572,9 @@ const handleConfirmAnswer = async (ctx, bot) => {
       return;
     }
 
-    const studentState = studentStates.get(user.telegramId);
+    const studentState = await studentStates.get(user.telegramId);
     if (!studentState || studentState.state !== 'confirming_answer') {
-      await ctx.reply('Сначала напишите ответ на обращение.');
+      await ctx.reply(t(ctx, 'student.write_answer_first'));
       return;
     }
 
@@ -374,42 +582,62 @@ const handleConfirmAnswer = async (ctx, bot) => {
       .populate('categoryId');
 
     if (!request) {
-      await ctx.reply('Обращение не найдено.');
+      await ctx.reply(t(ctx, 'errors.request_not_found'));
       return;
     }
 
     // Update request with answer
     request.status = 'answered';
     request.answerText = studentState.answerText;
+    request.answerRevisions.push({
+      number: request.answerRevisions.length + 1,
+      text: studentState.answerText,
+      authorId: user._id
+    });
     await request.save();
 
+    const revisionNumber = request.answerRevisions.length;
+
+    await recordRequestEvent(request, 'answered', {
+      actor: user,
+      actorRole: 'student',
+      student: user,
+      text: request.answerText
+    });
+
     // Send answer to admin chat for approval
     const adminChatId = process.env.ADMIN_CHAT_ID;
-    const adminMessage = `
-📨 Ответ на обращение #${request._id}
-📂 Категория: ${request.categoryId.name} ${request.categoryId.hashtag}
-👨‍💼 Исполнитель: ${user.username ? `@${user.username}` : user.telegramId}
-
-📝 Текст обращения:
-${request.text}
+    let adminMessage = tAdmin('review.answer_title', { id: request._id }) + '\n';
+    adminMessage += tAdmin('review.category', { category: request.categoryId.name, hashtag: request.categoryId.hashtag }) + '\n';
+    adminMessage += tAdmin('review.student', { student: user.username ? `@${user.username}` : user.telegramId }) + '\n\n';
+    adminMessage += tAdmin('review.request_text') + '\n' + request.text + '\n\n';
+    adminMessage += (revisionNumber > 1
+      ? tAdmin('review.answer_revision_label', { number: revisionNumber })
+      : tAdmin('review.answer_label')) + '\n' + request.answerText;
+
+    // Clarification thread goes first as a separate message to stay within Telegram's length limit
+    if (request.clarifications.length > 0) {
+      await bot.telegram.sendMessage(adminChatId, formatClarificationThread(request));
+    }
 
-✏️ Ответ:
-${request.answerText}
-`;
+    const revisionDiff = formatRevisionDiff(request);
+    if (revisionDiff) {
+      await bot.telegram.sendMessage(adminChatId, revisionDiff);
+    }
 
     await bot.telegram.sendMessage(adminChatId, adminMessage, {
       reply_markup: {
         inline_keyboard: [
           [
-            { text: '✅ Подтвердить', callback_data: `approve_answer:${request._id}` },
-            { text: '❌ Отклонить', callback_data: `decline_answer:${request._id}` }
+            { text: tAdmin('buttons.approve'), callback_data: `approve_answer:${request._id}` },
+            { text: tAdmin('buttons.decline'), callback_data: `decline_answer:${request._id}` }
           ]
         ]
       }
     });
 
-    await ctx.reply('Ваш ответ отправлен на проверку администратору. Вы получите уведомление, когда ответ будет проверен.');
-    studentStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'student.answer_submitted'));
+    await studentStates.delete(user.telegramId);
 
     logAction('student_submitted_answer', {
       studentId: user._id,
@@ -433,20 +661,21 @@ const handleEditAnswer = async (ctx) => {
       return;
     }
 
-    const studentState = studentStates.get(user.telegramId);
+    const studentState = await studentStates.get(user.telegramId);
     if (!studentState) {
       return;
     }
 
     // Update student state
-    studentStates.set(user.telegramId, {
+    await studentStates.set(user.telegramId, {
       state: 'writing_answer',
       requestId: studentState.requestId
     });
 
     await ctx.reply(
-      'Введите ваш ответ заново:',
+      t(ctx, 'student.enter_answer_again'),
       Markup.keyboard([
+        [t(ctx, 'buttons.ask_clarification')],
         [t(ctx, 'buttons.reject_assignment')]
       ]).resize()
     );
@@ -467,7 +696,7 @@ const handleEditAnswerCallback = async (ctx) => {
       .populate('categoryId');
 
     if (!request) {
-      await ctx.answerCbQuery('Обращение не найдено.');
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -478,7 +707,7 @@ const handleEditAnswerCallback = async (ctx) => {
     const user = await getOrCreateUser(ctx);
 
     if (request.studentId.toString() !== user._id.toString()) {
-      await ctx.answerCbQuery('Это обращение назначено другому исполнителю.');
+      await ctx.answerCbQuery(t(ctx, 'student.assigned_to_other'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -487,15 +716,16 @@ const handleEditAnswerCallback = async (ctx) => {
     }
 
     // Update student state
-    studentStates.set(user.telegramId, {
+    await studentStates.set(user.telegramId, {
       state: 'writing_answer',
       requestId: request._id
     });
 
     await ctx.answerCbQuery();
     await ctx.reply(
-      'Введите ваш ответ заново:',
+      t(ctx, 'student.enter_answer_again'),
       Markup.keyboard([
+        [t(ctx, 'buttons.ask_clarification')],
         [t(ctx, 'buttons.reject_assignment')]
       ]).resize()
     );
@@ -539,7 +769,7 @@ const handleRejectAssignment = async (ctx, bot) => {
       .populate('categoryId');
 
     if (!request) {
-      await ctx.reply('Обращение не найдено.');
+      await ctx.reply(t(ctx, 'errors.request_not_found'));
       await ctx.editMessageText(
         ctx.callbackQuery.message.text,
         { reply_markup: { inline_keyboard: [] } }
@@ -548,47 +778,33 @@ const handleRejectAssignment = async (ctx, bot) => {
     }
 
     // Update request and user
+    const fromStatus = request.status;
     request.status = 'approved';
     request.studentId = null;
     request.assignedAt = null;
     await request.save();
 
+    await recordRequestEvent(request, 'unassigned', {
+      actor: user,
+      actorRole: 'student',
+      student: user,
+      fromStatus,
+      source: 'student'
+    });
+
     user.currentAssignmentId = null;
     await user.save();
 
-    // Send back to student chat and track message ID
-    const studentChatId = process.env.STUDENT_CHAT_ID;
-    const studentMessage = `
-📨 Обращение #${request._id} (возвращено в очередь)
-📂 Категория: ${request.categoryId.name} ${request.categoryId.hashtag}
-
-📝 Текст обращения:
-${request.text}
-`;
-
-    const sent = await bot.telegram.sendMessage(studentChatId, studentMessage, {
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: '🔄 Взять в работу', callback_data: `take_request:${request._id}` }
-          ]
-        ]
-      }
-    });
-
-    request.studentChatMessageId = sent.message_id;
-    await request.save();
+    // Send back to student chat and track message ID (required here: admin.js depends on this module)
+    const { sendToStudentChat } = require('./admin');
+    await sendToStudentChat(bot, request, 'returned');
 
     // Reset to main menu keyboard
     const { getMainMenuKeyboard } = require('./common');
-    if (ctx.callbackQuery) {
-      await ctx.reply('Вы отказались от обращения. Оно возвращено в общую очередь.');
-    } else {
-      await ctx.reply('Вы отказались от обращения. Оно возвращено в общую очередь.');
-    }
+    await ctx.reply(t(ctx, 'student.assignment_rejected'));
 
     await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
-    studentStates.delete(user.telegramId);
+    await studentStates.delete(user.telegramId);
 
     logAction('student_rejected_assignment', {
       studentId: user._id,
@@ -614,5 +830,9 @@ module.exports = {
   handleMyAnswers,
   handleCurrentAssignment,
   handleStudentStats,
-  studentStates
+  handleAskClarification,
+  handleClarificationQuestion,
+  formatClarificationThread,
+  studentStates,
+  WRITING_STATES
 };
\ No newline at end of file
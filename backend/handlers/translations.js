@@ -0,0 +1,196 @@
+const { requireAdminChat, formatUser } = require('./common');
+const { logAction } = require('../logger');
+const i18n = require('../i18n');
+const { t, formatDate } = require('../utils/i18nHelper');
+const {
+  setTranslationOverride,
+  removeTranslationOverride,
+  listTranslationOverrides
+} = require('../utils/translations');
+
+// Telegram message limit is 4096 characters, leave room for the header
+const MAX_MESSAGE_LENGTH = 3500;
+
+const PREVIEW_LENGTH = 60;
+
+const truncate = (text, length) => {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > length ? `${singleLine.substring(0, length - 1)}…` : singleLine;
+};
+
+/**
+ * Check the key and locale of a /text command
+ * @returns {Promise<Boolean>} - false if an error was already sent
+ */
+const validateKeyAndLocale = async (ctx, key, locale) => {
+  if (!i18n.isLocaleSupported(locale)) {
+    await ctx.reply(t(ctx, 'translations.unknown_locale', {
+      locale,
+      locales: i18n.getSupportedLocales().join(', ')
+    }));
+    return false;
+  }
+
+  if (i18n.getFileMessage(key, i18n.defaultLocale) === undefined) {
+    await ctx.reply(t(ctx, 'translations.unknown_key', { key }));
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Show the file text and the override of a message
+ */
+const showTranslation = async (ctx, key, locale) => {
+  const fileText = i18n.getFileMessage(key, locale);
+  const override = i18n.getOverride(key, locale);
+
+  let message = t(ctx, 'translations.title', { key, locale }) + '\n\n';
+  message += t(ctx, 'translations.file_text') + '\n' + (fileText !== undefined ? fileText : t(ctx, 'translations.not_translated'));
+
+  if (override !== undefined) {
+    message += '\n\n' + t(ctx, 'translations.override_text') + '\n' + override;
+  }
+
+  message += '\n\n' + t(ctx, 'translations.edit_hint', { key, locale });
+
+  await ctx.reply(message);
+};
+
+/**
+ * Replace a message with the admin's text
+ */
+const overrideTranslation = async (ctx, admin, key, locale, text) => {
+  const { unknownVariables, unknownReferences } = i18n.checkOverride(key, locale, text);
+
+  if (unknownVariables.length > 0) {
+    await ctx.reply(t(ctx, 'translations.unknown_variables', {
+      variables: unknownVariables.map(name => `{{${name}}}`).join(', ')
+    }));
+    return;
+  }
+
+  if (unknownReferences.length > 0) {
+    await ctx.reply(t(ctx, 'translations.unknown_references', {
+      references: unknownReferences.map(reference => `$t(${reference})`).join(', ')
+    }));
+    return;
+  }
+
+  await setTranslationOverride(key, locale, text, admin);
+  await ctx.reply(t(ctx, 'translations.saved', { key, locale }));
+
+  logAction('admin_overrode_translation', { adminId: admin._id, key, locale });
+};
+
+/**
+ * Go back to the text from the locale file
+ */
+const resetTranslation = async (ctx, admin, key, locale) => {
+  const removed = await removeTranslationOverride(key, locale);
+
+  if (!removed) {
+    await ctx.reply(t(ctx, 'translations.no_override', { key, locale }));
+    return;
+  }
+
+  await ctx.reply(t(ctx, 'translations.reset', { key, locale }));
+
+  logAction('admin_reset_translation', { adminId: admin._id, key, locale });
+};
+
+/**
+ * List all overridden messages
+ */
+const listTranslations = async (ctx) => {
+  const overrides = await listTranslationOverrides();
+
+  if (overrides.length === 0) {
+    await ctx.reply(t(ctx, 'translations.list_empty'));
+    return;
+  }
+
+  let message = t(ctx, 'translations.list_title', { count: overrides.length }) + '\n\n';
+  let shown = 0;
+
+  for (const override of overrides) {
+    let line = `• ${override.key} [${override.locale}]: ${truncate(override.text, PREVIEW_LENGTH)}\n`;
+    line += `   ${formatDate(ctx, override.updatedAt, 'datetime')}`;
+    if (override.updatedBy) {
+      line += `, ${formatUser(override.updatedBy)}`;
+    }
+    line += '\n';
+
+    if (message.length + line.length > MAX_MESSAGE_LENGTH) break;
+    message += line;
+    shown++;
+  }
+
+  if (shown < overrides.length) {
+    message += '\n' + t(ctx, 'translations.list_more', { count: overrides.length - shown });
+  }
+
+  await ctx.reply(message);
+};
+
+/**
+ * Handle /text command - view and override bot messages
+ * Usage: /text <key> <locale> - show the message
+ *        /text <key> <locale> <text> - replace the message
+ *        /text reset <key> <locale> - go back to the text from the locale file
+ *        /text list - list replaced messages
+ */
+const handleText = async (ctx) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    // Everything after the locale is the new text, line breaks included
+    const match = /^\/\S+\s+(\S+)(?:\s+(\S+))?(?:\s+([\s\S]+))?$/.exec(ctx.message.text.trim());
+
+    if (!match) {
+      await ctx.reply(t(ctx, 'translations.usage'));
+      return;
+    }
+
+    const [, first, second, rest] = match;
+
+    if (first === 'list' && !second) {
+      await listTranslations(ctx);
+      return;
+    }
+
+    if (first === 'reset') {
+      const key = second;
+      const locale = rest && rest.trim();
+      if (!key || !locale || /\s/.test(locale)) {
+        await ctx.reply(t(ctx, 'translations.usage'));
+        return;
+      }
+      if (!await validateKeyAndLocale(ctx, key, locale)) return;
+      await resetTranslation(ctx, admin, key, locale);
+      return;
+    }
+
+    if (!second) {
+      await ctx.reply(t(ctx, 'translations.usage'));
+      return;
+    }
+
+    if (!await validateKeyAndLocale(ctx, first, second)) return;
+
+    if (rest) {
+      await overrideTranslation(ctx, admin, first, second, rest.trim());
+    } else {
+      await showTranslation(ctx, first, second);
+    }
+  } catch (error) {
+    console.error('Error handling text command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+module.exports = {
+  handleText
+};
@@ -1,13 +1,59 @@
 const { Markup } = require('telegraf');
-const { getOrCreateUser, getMainMenuKeyboard, getStudentMenuKeyboard, getBackKeyboard } = require('./common');
+const { getOrCreateUser, getMainMenuKeyboard, getStudentMenuKeyboard, getBackKeyboard, sendRequestAttachments, notifyAdminChatAboutChange, formatPreviousExchange, isStudent } = require('./common');
 const Category = require('../models/category');
 const Request = require('../models/request');
 const FAQ = require('../models/faq');
+const FaqSuggestion = require('../models/faqSuggestion');
 const { logAction } = require('../logger');
-const { t } = require('../utils/i18nHelper');
+const { t, tAdmin, getAdminChatLocale } = require('../utils/i18nHelper');
+const i18n = require('../i18n');
+const { removeStoredAttachments } = require('../utils/attachments');
+const { recordRequestEvent } = require('../utils/requestEvents');
+const { getLowRatingThreshold } = require('../utils/ratings');
+const { transitionRequest } = require('../utils/requestLocks');
+const { findSimilarRequests } = require('../utils/duplicates');
+const { findMatchingFAQs } = require('../utils/faqMatcher');
+const { formatFAQ, replyWithFAQSearch } = require('./faq');
+const { deleteStudentChatMessage } = require('./admin');
+const { StateStore } = require('../state');
 
-// User state management (in-memory for simplicity)
-const userStates = new Map();
+// User state management (persisted via state store, see state/index.js)
+const userStates = new StateStore('user');
+
+// Maximum number of photos/documents attached to one request
+const MAX_REQUEST_ATTACHMENTS = 5;
+
+// Request composing steps in which photos and documents are accepted
+const ATTACHMENT_STATES = ['entering_request', 'confirming_request'];
+
+// Steps with text being written that a new offer version does not interrupt
+const WRITING_STATES = ['entering_request', 'confirming_request', 'reviewing_faq_suggestions', 'entering_clarification_reply'];
+
+// Long FAQ answers are cut in the suggestions shown before submitting a request
+const FAQ_ANSWER_PREVIEW_LENGTH = 600;
+
+/**
+ * Request text prompt with a hint about attachments
+ */
+const getEnterRequestPrompt = (ctx, parentRequestId = null) => {
+  const prompt = parentRequestId
+    ? t(ctx, 'prompts.enter_followup', { id: parentRequestId, min: Request.FOLLOWUP_MIN_TEXT_LENGTH })
+    : t(ctx, 'prompts.enter_request');
+  return prompt + '\n\n' + t(ctx, 'prompts.attachments_hint', { max: MAX_REQUEST_ATTACHMENTS });
+};
+
+/**
+ * Reply keyboard of category names in the user's language, with a back button
+ */
+const getCategoryKeyboard = (ctx, categories) => {
+  const names = categories
+    .map(category => category.getName(ctx.locale))
+    .sort((a, b) => a.localeCompare(b));
+
+  const keyboard = names.map(name => [name]);
+  keyboard.push([t(ctx, 'buttons.back')]);
+  return Markup.keyboard(keyboard).resize();
+};
 
 /**
  * Handle "Задать вопрос" / "Savol berish" action
@@ -15,7 +61,7 @@ const userStates = new Map();
 const handleAskQuestion = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const categories = await Category.find().sort({ name: 1 });
+    const categories = await Category.find();
 
     if (categories.length === 0) {
       await ctx.reply(t(ctx, 'errors.no_categories'));
@@ -23,19 +69,12 @@ const handleAskQuestion = async (ctx) => {
       return;
     }
 
-    // Create keyboard with categories
-    const keyboard = [];
-    categories.forEach(category => {
-      keyboard.push([category.name]);
-    });
-    keyboard.push([t(ctx, 'buttons.back')]);
-
     // Set user state to selecting category
-    userStates.set(user.telegramId, {
+    await userStates.set(user.telegramId, {
       state: 'selecting_category'
     });
 
-    await ctx.reply(t(ctx, 'prompts.select_category'), Markup.keyboard(keyboard).resize());
+    await ctx.reply(t(ctx, 'prompts.select_category'), getCategoryKeyboard(ctx, categories));
     await logAction('user_selecting_category', { userId: user._id });
   } catch (error) {
     console.error('Error handling ask question:', error);
@@ -52,19 +91,19 @@ const handleCategorySelection = async (ctx) => {
     const user = await getOrCreateUser(ctx);
     const categoryName = ctx.message.text;
 
-    const category = await Category.findOne({ name: categoryName });
+    const category = await Category.findByLocalizedName(categoryName, ctx.locale);
     if (!category) {
       await ctx.reply(t(ctx, 'errors.category_not_found'));
       return;
     }
 
     // Update user state with selected category
-    userStates.set(user.telegramId, {
+    await userStates.set(user.telegramId, {
       state: 'entering_request',
       categoryId: category._id
     });
 
-    await ctx.reply(t(ctx, 'prompts.enter_request'), getBackKeyboard(ctx));
+    await ctx.reply(getEnterRequestPrompt(ctx), getBackKeyboard(ctx));
     await logAction('user_selected_category', {
       userId: user._id,
       categoryId: category._id
@@ -76,6 +115,161 @@ const handleCategorySelection = async (ctx) => {
   }
 };
 
+/**
+ * Show the entered request for confirmation, warning about a similar earlier request
+ */
+const showRequestConfirmation = async (ctx, user, userState, requestText) => {
+  // Warn about resubmitting the same question; a follow-up is naturally close to its parent
+  const [duplicate] = await findSimilarRequests(user, requestText, { excludeIds: [userState.parentRequestId] });
+
+  // Update user state with request text
+  await userStates.set(user.telegramId, {
+    ...userState,
+    state: 'confirming_request',
+    requestText,
+    suggestionId: null,
+    possibleDuplicateOf: duplicate ? duplicate.request._id : null,
+    duplicateScore: duplicate ? duplicate.score : null
+  });
+
+  let confirmMessage = t(ctx, 'prompts.confirm_request') + '\n\n' + requestText;
+  if (userState.attachments && userState.attachments.length > 0) {
+    confirmMessage += '\n\n' + t(ctx, 'lists.attachments_count', { count: userState.attachments.length });
+  }
+  if (duplicate) {
+    confirmMessage += '\n\n' + t(ctx, 'duplicates.warning', {
+      id: duplicate.request._id,
+      date: duplicate.request.createdAt,
+      status: t(ctx, `statuses.${duplicate.request.status}`)
+    });
+  }
+
+  await ctx.reply(
+    confirmMessage,
+    Markup.keyboard([
+      [t(ctx, 'buttons.confirm')],
+      [t(ctx, 'buttons.edit')],
+      [t(ctx, 'buttons.back')]
+    ]).resize()
+  );
+};
+
+/**
+ * Offer FAQ answers of the selected category that may already cover the request
+ * @returns {Promise<Boolean>} - true if suggestions were shown
+ */
+const suggestFAQs = async (ctx, user, userState, requestText) => {
+  // Follow-ups ask about a specific answer, an FAQ entry won't help
+  if (userState.parentRequestId) return false;
+
+  const matches = await findMatchingFAQs(userState.categoryId, requestText, ctx.locale);
+  if (matches.length === 0) return false;
+
+  const suggestion = await FaqSuggestion.create({
+    userId: user._id,
+    categoryId: userState.categoryId,
+    faqIds: matches.map(({ faq }) => faq._id)
+  });
+
+  await userStates.set(user.telegramId, {
+    ...userState,
+    state: 'reviewing_faq_suggestions',
+    requestText,
+    suggestionId: suggestion._id.toString()
+  });
+
+  let message = t(ctx, 'faq_suggestions.title') + '\n\n';
+  matches.forEach(({ faq }, index) => {
+    const fullAnswer = faq.getAnswer(ctx.locale);
+    const answer = fullAnswer.length > FAQ_ANSWER_PREVIEW_LENGTH
+      ? fullAnswer.substring(0, FAQ_ANSWER_PREVIEW_LENGTH - 1) + '…'
+      : fullAnswer;
+    message += `${index + 1}. ❓ ${faq.getQuestion(ctx.locale)}\n${answer}\n\n`;
+  });
+
+  const keyboard = matches.map((match, index) => [
+    Markup.button.callback(t(ctx, 'faq_suggestions.helped', { number: index + 1 }), `faq_helped:${suggestion._id}:${index}`)
+  ]);
+  keyboard.push([Markup.button.callback(t(ctx, 'faq_suggestions.submit_anyway'), `faq_submit:${suggestion._id}`)]);
+
+  await ctx.reply(message.trim(), Markup.inlineKeyboard(keyboard));
+
+  await logAction('user_shown_faq_suggestions', {
+    userId: user._id,
+    suggestionId: suggestion._id,
+    faqIds: suggestion.faqIds
+  });
+
+  return true;
+};
+
+/**
+ * Handle "This answered my question" under FAQ suggestions (callback faq_helped:<suggestionId>:<index>)
+ */
+const handleFaqSuggestionHelped = async (ctx) => {
+  try {
+    const [, suggestionId, index] = ctx.callbackQuery.data.split(':');
+    const user = await getOrCreateUser(ctx);
+
+    const suggestion = await FaqSuggestion.findOne({ _id: suggestionId, userId: user._id });
+    const helpfulFaqId = suggestion ? suggestion.faqIds[parseInt(index, 10)] : null;
+
+    // Count each suggestion once, even if the user taps several buttons
+    const result = helpfulFaqId
+      ? await FaqSuggestion.updateOne({ _id: suggestion._id, outcome: 'shown' }, { $set: { outcome: 'deflected', helpfulFaqId } })
+      : null;
+
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+
+    if (!result || result.modifiedCount === 0) {
+      await ctx.answerCbQuery(t(ctx, 'faq_suggestions.expired'));
+      return;
+    }
+
+    const userState = await userStates.get(user.telegramId);
+    if (userState && userState.suggestionId === suggestionId) {
+      await userStates.delete(user.telegramId);
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.reply(t(ctx, 'faq_suggestions.glad_it_helped'));
+    await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+
+    await logAction('user_deflected_by_faq', { userId: user._id, suggestionId, faqId: helpfulFaqId });
+  } catch (error) {
+    console.error('Error handling FAQ suggestion helped:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle "I still want to submit" under FAQ suggestions (callback faq_submit:<suggestionId>)
+ */
+const handleFaqSuggestionSubmit = async (ctx) => {
+  try {
+    const suggestionId = ctx.callbackQuery.data.split(':')[1];
+    const user = await getOrCreateUser(ctx);
+    const userState = await userStates.get(user.telegramId);
+
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+
+    if (!userState || userState.state !== 'reviewing_faq_suggestions' || userState.suggestionId !== suggestionId) {
+      await ctx.answerCbQuery(t(ctx, 'faq_suggestions.expired'));
+      return;
+    }
+
+    await FaqSuggestion.updateOne({ _id: suggestionId, outcome: 'shown' }, { $set: { outcome: 'submitted' } });
+
+    await ctx.answerCbQuery();
+    await showRequestConfirmation(ctx, user, userState, userState.requestText);
+
+    await logAction('user_dismissed_faq_suggestions', { userId: user._id, suggestionId });
+  } catch (error) {
+    console.error('Error handling FAQ suggestion submit:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
 /**
  * Handle request text entry
  */
@@ -83,29 +277,18 @@ const handleRequestText = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
     const requestText = ctx.message.text;
+    const userState = await userStates.get(user.telegramId);
 
-    if (requestText.length < 150) {
-      await ctx.reply(t(ctx, 'errors.invalid_length', { min: 150 }));
+    const minLength = userState.parentRequestId ? Request.FOLLOWUP_MIN_TEXT_LENGTH : Request.MIN_TEXT_LENGTH;
+    if (requestText.length < minLength) {
+      await ctx.reply(t(ctx, 'errors.invalid_length', { min: minLength }));
       return;
     }
 
-    const userState = userStates.get(user.telegramId);
-
-    // Update user state with request text
-    userStates.set(user.telegramId, {
-      ...userState,
-      state: 'confirming_request',
-      requestText
-    });
-
-    await ctx.reply(
-      t(ctx, 'prompts.confirm_request') + '\n\n' + requestText,
-      Markup.keyboard([
-        [t(ctx, 'buttons.confirm')],
-        [t(ctx, 'buttons.edit')],
-        [t(ctx, 'buttons.back')]
-      ]).resize()
-    );
+    const suggested = await suggestFAQs(ctx, user, userState, requestText);
+    if (!suggested) {
+      await showRequestConfirmation(ctx, user, userState, requestText);
+    }
 
     await logAction('user_entered_request', {
       userId: user._id,
@@ -119,13 +302,187 @@ const handleRequestText = async (ctx) => {
   }
 };
 
+/**
+ * Handle photo/document sent while composing a request
+ */
+const handleRequestAttachment = async (ctx) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const userState = await userStates.get(user.telegramId);
+
+    if (!userState || !userState.categoryId) {
+      return;
+    }
+
+    const attachments = userState.attachments || [];
+
+    if (attachments.length >= MAX_REQUEST_ATTACHMENTS) {
+      await ctx.reply(t(ctx, 'errors.attachment_limit', { max: MAX_REQUEST_ATTACHMENTS }));
+      return;
+    }
+
+    let file;
+    if (ctx.message.photo) {
+      // Telegram sends several sizes of the same photo, the last one is the largest
+      const photo = ctx.message.photo[ctx.message.photo.length - 1];
+      file = {
+        type: 'photo',
+        fileId: photo.file_id,
+        originalName: `photo_${photo.file_unique_id}.jpg`,
+        mimeType: 'image/jpeg',
+        size: photo.file_size
+      };
+    } else {
+      const document = ctx.message.document;
+      file = {
+        type: 'document',
+        fileId: document.file_id,
+        originalName: document.file_name || `document_${document.file_unique_id}`,
+        mimeType: document.mime_type,
+        size: document.file_size
+      };
+    }
+
+    // Loaded on first use: the upload handler creates the uploads directory when it is required
+    const fileUpload = require('../src/multer');
+    const maxSizeMb = fileUpload.maxFileSize / (1024 * 1024);
+    if (file.size && file.size > fileUpload.maxFileSize) {
+      await ctx.reply(t(ctx, 'errors.attachment_too_large', { max: maxSizeMb }));
+      return;
+    }
+
+    // Download from Telegram and store through the upload handler (type filter + image processing)
+    let stored;
+    try {
+      const link = await ctx.telegram.getFileLink(file.fileId);
+      const response = await fetch(link.href);
+      if (!response.ok) {
+        throw new Error(`Telegram file download failed with status ${response.status}`);
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      stored = await fileUpload.saveBuffer(buffer, file.originalName);
+    } catch (uploadError) {
+      if (/not allowed|not supported/.test(uploadError.message)) {
+        await ctx.reply(t(ctx, 'errors.attachment_type'));
+        return;
+      }
+      if (/too large/.test(uploadError.message)) {
+        await ctx.reply(t(ctx, 'errors.attachment_too_large', { max: maxSizeMb }));
+        return;
+      }
+      throw uploadError;
+    }
+
+    // The download takes a while and the photos of an album arrive at the same time, so the attachment
+    // is appended atomically to the current state instead of writing back the state read above
+    const attachment = { ...file, storedPath: stored.path };
+    const updated = await userStates.push(user.telegramId, 'attachments', attachment, {
+      match: { state: ATTACHMENT_STATES, categoryId: userState.categoryId },
+      maxLength: MAX_REQUEST_ATTACHMENTS
+    });
+
+    if (!updated) {
+      await removeStoredAttachments([attachment]);
+
+      // Otherwise the request was sent or cancelled during the download
+      const current = await userStates.get(user.telegramId);
+      if (current && ATTACHMENT_STATES.includes(current.state)) {
+        await ctx.reply(t(ctx, 'errors.attachment_limit', { max: MAX_REQUEST_ATTACHMENTS }));
+      }
+      return;
+    }
+
+    await ctx.reply(t(ctx, 'success.attachment_added', {
+      count: updated.attachments.length,
+      max: MAX_REQUEST_ATTACHMENTS
+    }));
+
+    await logAction('user_attached_file', {
+      userId: user._id,
+      type: file.type,
+      fileName: stored.filename
+    });
+  } catch (error) {
+    console.error('Error handling request attachment:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Moderation message for a request in the admin chat
+ * @param {Object} request - Request document
+ * @param {Object} category - Request category
+ * @param {String} title - Title key under review.request_titles (new / edited request)
+ * @returns {String} - Message text
+ */
+const formatAdminRequestMessage = (request, category, title = 'new') => {
+  let message = tAdmin(`review.request_titles.${title}`, { id: request._id }) + '\n';
+  message += tAdmin('review.category', { category: category.name, hashtag: category.hashtag }) + '\n';
+  if (request.parentRequestId) {
+    message += tAdmin('review.followup_of', { id: request.parentRequestId }) + '\n';
+  }
+  if (request.possibleDuplicateOf) {
+    message += tAdmin('review.possible_duplicate', {
+      id: request.possibleDuplicateOf,
+      score: Math.round(request.duplicateScore * 100)
+    }) + '\n';
+  }
+  message += '\n' + tAdmin('review.request_text') + '\n' + request.text;
+  if (request.attachments.length > 0) {
+    message += '\n\n' + tAdmin('review.attachments_count', { count: request.attachments.length });
+  }
+
+  return message;
+};
+
+const getModerationKeyboard = (request) => {
+  const keyboard = [
+    [
+      { text: tAdmin('buttons.approve_request'), callback_data: `approve_request:${request._id}` },
+      { text: tAdmin('buttons.decline'), callback_data: `decline_request:${request._id}` }
+    ]
+  ];
+
+  if (request.possibleDuplicateOf) {
+    keyboard.push([
+      { text: tAdmin('buttons.resolve_duplicate', { id: request.possibleDuplicateOf }), callback_data: `decline_duplicate:${request._id}` }
+    ]);
+  }
+
+  return { inline_keyboard: keyboard };
+};
+
+/**
+ * Send a pending request to the admin chat for moderation and remember the message ID
+ */
+const sendRequestToAdminChat = async (bot, request, category, title) => {
+  const adminChatId = process.env.ADMIN_CHAT_ID;
+
+  // Previous question and answer go first so the admin has the context
+  if (request.parentRequestId) {
+    const parent = await Request.findById(request.parentRequestId);
+    if (parent) {
+      await bot.telegram.sendMessage(adminChatId, formatPreviousExchange(parent, getAdminChatLocale()));
+    }
+  }
+
+  const sent = await bot.telegram.sendMessage(adminChatId, formatAdminRequestMessage(request, category, title), {
+    reply_markup: getModerationKeyboard(request)
+  });
+
+  request.adminChatMessageId = sent.message_id;
+  await request.save();
+
+  await sendRequestAttachments(bot, adminChatId, request);
+};
+
 /**
  * Handle request confirmation
  */
 const handleRequestConfirmation = async (ctx, bot) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const userState = userStates.get(user.telegramId);
+    const userState = await userStates.get(user.telegramId);
 
     if (!userState || !userState.categoryId || !userState.requestText) {
       await ctx.reply(t(ctx, 'errors.general'));
@@ -140,34 +497,21 @@ const handleRequestConfirmation = async (ctx, bot) => {
       userId: user._id,
       categoryId: userState.categoryId,
       text: userState.requestText,
+      attachments: userState.attachments || [],
+      parentRequestId: userState.parentRequestId || null,
+      possibleDuplicateOf: userState.possibleDuplicateOf || null,
+      duplicateScore: userState.duplicateScore || null,
       status: 'pending'
     });
 
     await request.save();
 
-    // Send request to admin chat
-    const adminChatId = process.env.ADMIN_CHAT_ID;
-    const adminMessage = `
-📨 Новое обращение #${request._id}
-📂 Категория: ${category.name} ${category.hashtag}
-
-📝 Текст обращения:
-${userState.requestText}
-`;
-
-    await bot.telegram.sendMessage(adminChatId, adminMessage, {
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: '✅ Одобрить', callback_data: `approve_request:${request._id}` },
-            { text: '❌ Отклонить', callback_data: `decline_request:${request._id}` }
-          ]
-        ]
-      }
-    });
+    await recordRequestEvent(request, 'submitted', { actor: user, actorRole: 'user', text: request.text });
+
+    await sendRequestToAdminChat(bot, request, category);
 
     // Reset user state
-    userStates.delete(user.telegramId);
+    await userStates.delete(user.telegramId);
 
     await ctx.reply(t(ctx, 'success.request_sent'));
     await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
@@ -189,7 +533,7 @@ ${userState.requestText}
 const handleEditRequest = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const userState = userStates.get(user.telegramId);
+    const userState = await userStates.get(user.telegramId);
 
     if (!userState || !userState.categoryId) {
       await ctx.reply(t(ctx, 'errors.general'));
@@ -197,13 +541,15 @@ const handleEditRequest = async (ctx) => {
       return;
     }
 
-    // Update user state to allow re-entering request text
-    userStates.set(user.telegramId, {
+    // Update user state to allow re-entering request text (attachments are kept)
+    await userStates.set(user.telegramId, {
       state: 'entering_request',
-      categoryId: userState.categoryId
+      categoryId: userState.categoryId,
+      parentRequestId: userState.parentRequestId,
+      attachments: userState.attachments
     });
 
-    await ctx.reply(t(ctx, 'prompts.enter_request'), getBackKeyboard(ctx));
+    await ctx.reply(getEnterRequestPrompt(ctx, userState.parentRequestId), getBackKeyboard(ctx));
 
     await logAction('user_editing_request', {
       userId: user._id,
@@ -217,51 +563,474 @@ const handleEditRequest = async (ctx) => {
 };
 
 /**
- * Handle "Мои обращения" / "Mening murojaatlarim" action
+ * Handle "Ответить" button under a student's clarifying question
  */
-const handleMyRequests = async (ctx) => {
+const handleClarificationReplyStart = async (ctx) => {
   try {
+    const requestId = ctx.callbackQuery.data.split(':')[1];
     const user = await getOrCreateUser(ctx);
 
-    const requests = await Request.find({ userId: user._id })
-      .sort({ createdAt: -1 })
-      .populate('categoryId');
+    const request = await Request.findOne({ _id: requestId, userId: user._id });
 
-    if (requests.length === 0) {
-      await ctx.reply(t(ctx, 'lists.no_requests'));
+    if (!request || !['assigned', 'answered'].includes(request.status)) {
+      await ctx.answerCbQuery(t(ctx, 'errors.clarification_closed'));
+      return;
+    }
+
+    await userStates.set(user.telegramId, {
+      state: 'entering_clarification_reply',
+      requestId: request._id
+    });
+
+    await ctx.answerCbQuery();
+    await ctx.reply(t(ctx, 'prompts.enter_clarification_reply', { id: request._id }), getBackKeyboard(ctx));
+  } catch (error) {
+    console.error('Error handling clarification reply start:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Find user's request that can still be edited or withdrawn
+ */
+const findEditableRequest = async (requestId, user) => {
+  const request = await Request.findOne({ _id: requestId, userId: user._id });
+  return request && Request.EDITABLE_STATUSES.includes(request.status) ? request : null;
+};
+
+/**
+ * Handle "Withdraw" button in "My requests" (callback withdraw:<requestId>) - ask for confirmation
+ */
+const handleWithdrawRequest = async (ctx) => {
+  try {
+    const requestId = ctx.callbackQuery.data.split(':')[1];
+    const user = await getOrCreateUser(ctx);
+
+    const request = await findEditableRequest(requestId, user);
+
+    if (!request) {
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_editable'));
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.reply(
+      t(ctx, 'prompts.confirm_withdraw', { id: request._id }),
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback(t(ctx, 'buttons.withdraw_confirm'), `withdraw_confirm:${request._id}`),
+          Markup.button.callback(t(ctx, 'buttons.cancel'), 'withdraw_cancel')
+        ]
+      ])
+    );
+  } catch (error) {
+    console.error('Error handling withdraw request:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle withdraw confirmation (callback withdraw_confirm:<requestId>)
+ */
+const handleWithdrawConfirm = async (ctx, bot) => {
+  try {
+    const requestId = ctx.callbackQuery.data.split(':')[1];
+    const user = await getOrCreateUser(ctx);
+
+    const request = await findEditableRequest(requestId, user);
+    const withdrawn = request
+      ? await transitionRequest(request._id, { $in: Request.EDITABLE_STATUSES }, { status: 'withdrawn' })
+      : null;
+
+    if (!withdrawn) {
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_editable'));
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(t(ctx, 'success.request_withdrawn', { id: withdrawn._id }));
+
+    await recordRequestEvent(withdrawn, 'withdrawn', { actor: user, actorRole: 'user', fromStatus: request.status });
+
+    // Approved requests are waiting in the student chat - take them down
+    await deleteStudentChatMessage(bot, withdrawn);
+    await withdrawn.save();
+    await removeStoredAttachments(withdrawn.attachments);
+
+    await notifyAdminChatAboutChange(bot, withdrawn, tAdmin('review.request_withdrawn', { id: withdrawn._id }));
+
+    await logAction('user_withdrew_request', {
+      userId: user._id,
+      requestId: withdrawn._id,
+      previousStatus: request.status
+    });
+  } catch (error) {
+    console.error('Error handling withdraw confirmation:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle withdraw cancellation
+ */
+const handleWithdrawCancel = async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    await ctx.deleteMessage();
+  } catch (error) {
+    console.error('Error handling withdraw cancel:', error);
+  }
+};
+
+/**
+ * Handle "Edit" button in "My requests" (callback edit_request:<requestId>)
+ */
+const handleEditSubmittedRequest = async (ctx) => {
+  try {
+    const requestId = ctx.callbackQuery.data.split(':')[1];
+    const user = await getOrCreateUser(ctx);
+
+    const request = await findEditableRequest(requestId, user);
+
+    if (!request) {
+      await ctx.answerCbQuery(t(ctx, 'errors.request_not_editable'));
+      return;
+    }
+
+    await userStates.set(user.telegramId, {
+      state: 'editing_submitted_request',
+      requestId: request._id
+    });
+
+    const minLength = request.parentRequestId ? Request.FOLLOWUP_MIN_TEXT_LENGTH : Request.MIN_TEXT_LENGTH;
+
+    await ctx.answerCbQuery();
+    await ctx.reply(t(ctx, 'prompts.current_request_text') + '\n\n' + request.text);
+    await ctx.reply(t(ctx, 'prompts.edit_submitted_request', { id: request._id, min: minLength }), getBackKeyboard(ctx));
+  } catch (error) {
+    console.error('Error handling edit submitted request:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle new text of an already submitted request.
+ * The edited text needs moderation again, so an approved request goes back to pending.
+ */
+const handleSubmittedRequestText = async (ctx, bot) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const userState = await userStates.get(user.telegramId);
+
+    if (!userState || userState.state !== 'editing_submitted_request') {
+      return;
+    }
+
+    const request = await findEditableRequest(userState.requestId, user);
+
+    if (!request) {
+      await userStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'errors.request_not_editable'));
       await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
       return;
     }
 
-    let message = t(ctx, 'lists.my_requests_title') + '\n\n';
+    const text = ctx.message.text;
+    const minLength = request.parentRequestId ? Request.FOLLOWUP_MIN_TEXT_LENGTH : Request.MIN_TEXT_LENGTH;
 
-    requests.forEach((request, index) => {
-      const date = request.createdAt.toLocaleDateString('ru-RU');
+    if (text.length < minLength) {
+      await ctx.reply(t(ctx, 'errors.invalid_length', { min: minLength }));
+      return;
+    }
 
-      message += `${index + 1}. ${request.categoryId.name} - ${t(ctx, `statuses.${request.status}`)}\n`;
-      message += `   ${t(ctx, 'lists.request_date')} ${date}\n`;
+    // The update below bypasses schema validation
+    if (text.length > Request.MAX_TEXT_LENGTH) {
+      await ctx.reply(t(ctx, 'errors.request_too_long', { max: Request.MAX_TEXT_LENGTH }));
+      return;
+    }
+
+    const previousStatus = request.status;
+    // An admin typing a decline reason holds a review lock - they must not decline a text they have not seen
+    const updated = await transitionRequest(request._id, previousStatus, { text, status: 'pending' }, { adminId: null });
 
-      if (request.status === 'closed' && request.answerText) {
-        // Truncate long answers for better readability
-        const truncatedAnswer = request.answerText.length > 200
-          ? request.answerText.substring(0, 197) + '...'
-          : request.answerText;
-        message += `   ${t(ctx, 'lists.answer_label')} ${truncatedAnswer}\n`;
+    if (!updated) {
+      const current = await findEditableRequest(request._id, user);
+      if (current && current.status === previousStatus) {
+        // Still editable, so the review lock is in the way - keep the state to let the user send the text again
+        await ctx.reply(t(ctx, 'errors.request_under_review'));
+        return;
       }
 
-      if (request.status === 'declined' && request.adminComment) {
-        message += `   ${t(ctx, 'lists.comment_label')} ${request.adminComment}\n`;
+      await userStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'errors.request_not_editable'));
+      await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+      return;
+    }
+
+    await updated.populate('categoryId');
+    await recordRequestEvent(updated, 'edited', { actor: user, actorRole: 'user', text, fromStatus: previousStatus });
+
+    const adminChatId = process.env.ADMIN_CHAT_ID;
+    let updatedInPlace = false;
+
+    if (previousStatus === 'pending' && updated.adminChatMessageId) {
+      try {
+        await bot.telegram.editMessageText(
+          adminChatId,
+          updated.adminChatMessageId,
+          undefined,
+          formatAdminRequestMessage(updated, updated.categoryId, 'edited_in_place'),
+          { reply_markup: getModerationKeyboard(updated) }
+        );
+        updatedInPlace = true;
+      } catch (error) {
+        console.error(`Error editing admin chat message of request #${updated._id}:`, error.message);
+      }
+    }
+
+    if (!updatedInPlace) {
+      await deleteStudentChatMessage(bot, updated);
+      if (updated.adminChatMessageId) {
+        await notifyAdminChatAboutChange(bot, updated, tAdmin('review.request_edited', { id: updated._id }));
+      }
+      await sendRequestToAdminChat(bot, updated, updated.categoryId, 'edited');
+    }
+
+    await userStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'success.request_edited'));
+    await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+
+    await logAction('user_edited_submitted_request', {
+      userId: user._id,
+      requestId: updated._id,
+      previousStatus
+    });
+  } catch (error) {
+    console.error('Error handling submitted request text:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+    await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+  }
+};
+
+/**
+ * Handle "Ask a follow-up" button on a closed request (callback followup:<requestId>)
+ */
+const handleFollowUpStart = async (ctx) => {
+  try {
+    const requestId = ctx.callbackQuery.data.split(':')[1];
+    const user = await getOrCreateUser(ctx);
+
+    const parent = await Request.findOne({ _id: requestId, userId: user._id });
+
+    if (!parent || parent.status !== 'closed') {
+      await ctx.answerCbQuery(t(ctx, 'errors.followup_unavailable'));
+      return;
+    }
+
+    // Follow-up goes through the usual text → confirm flow in the parent's category
+    await userStates.set(user.telegramId, {
+      state: 'entering_request',
+      categoryId: parent.categoryId,
+      parentRequestId: parent._id,
+      attachments: []
+    });
+
+    await ctx.answerCbQuery();
+    await ctx.reply(getEnterRequestPrompt(ctx, parent._id), getBackKeyboard(ctx));
+
+    await logAction('user_started_followup', {
+      userId: user._id,
+      parentRequestId: parent._id
+    });
+  } catch (error) {
+    console.error('Error handling follow-up start:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Text of a low rating alert in the admin chat, with the requester's comment once they add one
+ */
+const formatLowRatingAlert = async (request, comment = null) => {
+  await request.populate(['userId', 'studentId', 'categoryId']);
+
+  const formatName = (user) => {
+    if (!user) return tAdmin('admin.unknown_student');
+    return user.username ? `@${user.username}` : `${user.telegramId}`;
+  };
+
+  let message = tAdmin('review.low_rating_title', { score: request.rating.score, id: request._id }) + '\n';
+  message += tAdmin('review.category', { category: request.categoryId.name, hashtag: request.categoryId.hashtag }) + '\n';
+  message += tAdmin('review.user', { user: formatName(request.userId) }) + '\n';
+  message += tAdmin('review.rated_student', { student: formatName(request.studentId) }) + '\n';
+  if (comment) {
+    message += '\n' + tAdmin('review.user_comment') + '\n' + comment;
+  } else {
+    message += '\n' + tAdmin('review.contact_user', { id: request._id });
+  }
+
+  return message;
+};
+
+/**
+ * Send a low rating to the admin chat for follow-up
+ * @returns {Promise<Object>} - Sent message, the comment is added to it later instead of sending a second alert
+ */
+const flagLowRating = async (bot, request) => {
+  return bot.telegram.sendMessage(process.env.ADMIN_CHAT_ID, await formatLowRatingAlert(request));
+};
+
+/**
+ * Handle rating buttons under a delivered answer (callback rate:<requestId>:<score>)
+ */
+const handleRateAnswer = async (ctx, bot) => {
+  try {
+    const [, requestId, scoreValue] = ctx.callbackQuery.data.split(':');
+    const score = parseInt(scoreValue, 10);
+    const user = await getOrCreateUser(ctx);
+
+    // Atomic: a request can be rated only once
+    const request = await Request.findOneAndUpdate(
+      { _id: requestId, userId: user._id, status: 'closed', 'rating.score': null },
+      { $set: { 'rating.score': score, 'rating.ratedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!request) {
+      await ctx.answerCbQuery(t(ctx, 'rating.already_rated'));
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(t(ctx, 'rating.thanks', { score: '⭐'.repeat(score) }));
+
+    // Admins are alerted right away, the requester may never send a comment
+    const isLow = score <= getLowRatingThreshold();
+    const alert = isLow ? await flagLowRating(bot, request) : null;
+
+    await userStates.set(user.telegramId, {
+      state: 'entering_rating_comment',
+      requestId: request._id,
+      lowRatingAlertId: alert ? alert.message_id : null
+    });
+    await ctx.reply(t(ctx, 'rating.comment_prompt'), getBackKeyboard(ctx, t(ctx, 'buttons.skip')));
+
+    await logAction('user_rated_answer', {
+      userId: user._id,
+      requestId: request._id,
+      score,
+      flagged: isLow
+    });
+  } catch (error) {
+    console.error('Error handling answer rating:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle optional comment after rating an answer
+ */
+const handleRatingComment = async (ctx, bot) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const userState = await userStates.get(user.telegramId);
+
+    if (!userState || userState.state !== 'entering_rating_comment') {
+      return;
+    }
+
+    await userStates.delete(user.telegramId);
+
+    if (ctx.message.text === t(ctx, 'buttons.skip')) {
+      await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+      return;
+    }
+
+    const comment = ctx.message.text;
+    const request = await Request.findOneAndUpdate(
+      { _id: userState.requestId, userId: user._id },
+      { $set: { 'rating.comment': comment } },
+      { new: true }
+    );
+
+    await ctx.reply(t(ctx, 'rating.comment_saved'));
+    await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+
+    if (request && userState.lowRatingAlertId) {
+      try {
+        await bot.telegram.editMessageText(
+          process.env.ADMIN_CHAT_ID,
+          userState.lowRatingAlertId,
+          undefined,
+          await formatLowRatingAlert(request, comment)
+        );
+      } catch (editError) {
+        console.error('Error adding comment to low rating alert:', editError);
       }
+    }
 
-      message += '\n';
+    await logAction('user_commented_rating', {
+      userId: user._id,
+      requestId: userState.requestId
     });
+  } catch (error) {
+    console.error('Error handling rating comment:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+    await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+  }
+};
+
+/**
+ * Handle requester's reply to a clarifying question - relay it to the assigned student
+ */
+const handleClarificationReply = async (ctx, bot) => {
+  try {
+    const user = await getOrCreateUser(ctx);
+    const userState = await userStates.get(user.telegramId);
+
+    if (!userState || userState.state !== 'entering_clarification_reply') {
+      return;
+    }
+
+    const replyText = ctx.message.text;
+
+    const request = await Request.findOne({
+      _id: userState.requestId,
+      userId: user._id,
+      status: { $in: ['assigned', 'answered'] }
+    }).populate('studentId');
+
+    if (!request || !request.studentId) {
+      await userStates.delete(user.telegramId);
+      await ctx.reply(t(ctx, 'errors.clarification_closed'));
+      await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+      return;
+    }
+
+    request.clarifications.push({ author: 'user', text: replyText });
+    await request.save();
+
+    const student = request.studentId;
+    await bot.telegram.sendMessage(
+      student.telegramId,
+      i18n.t('clarification.user_replied', student.language, {
+        id: request._id,
+        reply: replyText
+      })
+    );
 
-    await ctx.reply(message);
+    await userStates.delete(user.telegramId);
+    await ctx.reply(t(ctx, 'success.clarification_reply_sent'));
     await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
 
-    await logAction('user_viewed_requests', { userId: user._id });
+    await logAction('user_replied_clarification', {
+      userId: user._id,
+      requestId: request._id
+    });
   } catch (error) {
-    console.error('Error handling my requests:', error);
+    console.error('Error handling clarification reply:', error);
     await ctx.reply(t(ctx, 'errors.general'));
     await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
   }
@@ -273,7 +1042,7 @@ const handleMyRequests = async (ctx) => {
 const handleFAQ = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const categories = await Category.find().sort({ name: 1 });
+    const categories = await Category.find();
 
     if (categories.length === 0) {
       await ctx.reply(t(ctx, 'errors.no_categories'));
@@ -281,19 +1050,12 @@ const handleFAQ = async (ctx) => {
       return;
     }
 
-    // Create keyboard with categories
-    const keyboard = [];
-    categories.forEach(category => {
-      keyboard.push([category.name]);
-    });
-    keyboard.push([t(ctx, 'buttons.back')]);
-
     // Set user state to selecting FAQ category
-    userStates.set(user.telegramId, {
+    await userStates.set(user.telegramId, {
       state: 'selecting_faq_category'
     });
 
-    await ctx.reply(t(ctx, 'prompts.select_faq_category'), Markup.keyboard(keyboard).resize());
+    await ctx.reply(t(ctx, 'prompts.select_faq_category'), getCategoryKeyboard(ctx, categories));
     await logAction('user_viewing_faq', { userId: user._id });
   } catch (error) {
     console.error('Error handling FAQ:', error);
@@ -302,6 +1064,26 @@ const handleFAQ = async (ctx) => {
   }
 };
 
+/**
+ * Handle /faq [query] command (private chat): search right away or open the FAQ categories
+ */
+const handleFAQCommand = async (ctx) => {
+  try {
+    if (ctx.chat.type !== 'private') return;
+
+    const query = ctx.message.text.split(' ').slice(1).join(' ').trim();
+
+    if (!query) {
+      return handleFAQ(ctx);
+    }
+
+    await replyWithFAQSearch(ctx, query);
+  } catch (error) {
+    console.error('Error handling FAQ command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
 /**
  * Handle FAQ category selection
  */
@@ -310,9 +1092,10 @@ const handleFAQCategorySelection = async (ctx) => {
     const user = await getOrCreateUser(ctx);
     const categoryName = ctx.message.text;
 
-    const category = await Category.findOne({ name: categoryName });
+    // Anything that isn't a category name is a free-text search; the category keyboard stays open
+    const category = await Category.findByLocalizedName(categoryName, ctx.locale);
     if (!category) {
-      await ctx.reply(t(ctx, 'errors.category_not_found'));
+      await replyWithFAQSearch(ctx, categoryName);
       return;
     }
 
@@ -327,16 +1110,18 @@ const handleFAQCategorySelection = async (ctx) => {
     // Create keyboard with FAQs
     const keyboard = [];
     faqs.forEach(faq => {
-      keyboard.push([faq.question]);
+      keyboard.push([faq.getQuestion(ctx.locale)]);
     });
     keyboard.push([t(ctx, 'buttons.back')]);
 
     // Update user state with selected category
-    userStates.set(user.telegramId, {
+    await userStates.set(user.telegramId, {
       state: 'selecting_faq',
       categoryId: category._id,
+      // Store plain objects in the user's language so the state can be persisted
       faqs: faqs.reduce((acc, faq) => {
-        acc[faq.question] = faq;
+        const question = faq.getQuestion(ctx.locale);
+        acc[question] = { _id: faq._id, question, answer: faq.getAnswer(ctx.locale) };
         return acc;
       }, {})
     });
@@ -359,7 +1144,7 @@ const handleFAQCategorySelection = async (ctx) => {
 const handleFAQSelection = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const userState = userStates.get(user.telegramId);
+    const userState = await userStates.get(user.telegramId);
 
     if (!userState || !userState.faqs) {
       await ctx.reply(t(ctx, 'errors.general'));
@@ -376,7 +1161,7 @@ const handleFAQSelection = async (ctx) => {
     }
 
     // Send FAQ answer
-    await ctx.reply(`📌 Вопрос: ${faq.question}\n\n📝 Ответ: ${faq.answer}`);
+    await ctx.reply(formatFAQ(ctx, faq));
     await ctx.reply(t(ctx, 'lists.select_action'), getBackKeyboard(ctx));
 
     await logAction('user_viewed_faq', {
@@ -396,7 +1181,7 @@ const handleFAQSelection = async (ctx) => {
 const handleBack = async (ctx) => {
   try {
     const user = await getOrCreateUser(ctx);
-    const userState = userStates.get(user.telegramId);
+    const userState = await userStates.get(user.telegramId);
 
     if (!userState) {
       await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
@@ -407,36 +1192,41 @@ const handleBack = async (ctx) => {
     switch (userState.state) {
       case 'selecting_category':
       case 'selecting_faq_category':
-        userStates.delete(user.telegramId);
+        await userStates.delete(user.telegramId);
         await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
         break;
 
       case 'entering_request':
-        userStates.set(user.telegramId, { state: 'selecting_category' });
-        const categories = await Category.find().sort({ name: 1 });
-        const keyboard = categories.map(category => [category.name]);
-        keyboard.push([t(ctx, 'buttons.back')]);
-        await ctx.reply(t(ctx, 'prompts.select_category'), Markup.keyboard(keyboard).resize());
+        // Follow-ups keep the parent's category, so there is no category step to return to
+        if (userState.parentRequestId) {
+          await userStates.delete(user.telegramId);
+          await ctx.reply(t(ctx, 'lists.select_action'), getMainMenuKeyboard(ctx));
+          break;
+        }
+        await userStates.set(user.telegramId, { state: 'selecting_category' });
+        const categories = await Category.find();
+        await ctx.reply(t(ctx, 'prompts.select_category'), getCategoryKeyboard(ctx, categories));
         break;
 
       case 'confirming_request':
-        userStates.set(user.telegramId, {
+      case 'reviewing_faq_suggestions':
+        await userStates.set(user.telegramId, {
           state: 'entering_request',
-          categoryId: userState.categoryId
+          categoryId: userState.categoryId,
+          parentRequestId: userState.parentRequestId,
+          attachments: userState.attachments
         });
-        await ctx.reply(t(ctx, 'prompts.enter_request'), getBackKeyboard(ctx));
+        await ctx.reply(getEnterRequestPrompt(ctx, userState.parentRequestId), getBackKeyboard(ctx));
         break;
 
       case 'selecting_faq':
-        userStates.set(user.telegramId, { state: 'selecting_faq_category' });
-        const faqCategories = await Category.find().sort({ name: 1 });
-        const faqKeyboard = faqCategories.map(category => [category.name]);
-        faqKeyboard.push([t(ctx, 'buttons.back')]);
-        await ctx.reply(t(ctx, 'prompts.select_faq_category'), Markup.keyboard(faqKeyboard).resize());
+        await userStates.set(user.telegramId, { state: 'selecting_faq_category' });
+        const faqCategories = await Category.find();
+        await ctx.reply(t(ctx, 'prompts.select_faq_category'), getCategoryKeyboard(ctx, faqCategories));
         break;
 
       default:
-        userStates.delete(user.telegramId);
+        await userStates.delete(user.telegramId);
         if (isStudent(user)) {
           await ctx.reply(t(ctx, 'lists.select_action'), getStudentMenuKeyboard(ctx));
         } else {
@@ -477,13 +1267,28 @@ module.exports = {
   handleAskQuestion,
   handleCategorySelection,
   handleRequestText,
+  handleRequestAttachment,
   handleRequestConfirmation,
   handleEditRequest,
-  handleMyRequests,
+  handleClarificationReplyStart,
+  handleClarificationReply,
+  handleFollowUpStart,
+  handleFaqSuggestionHelped,
+  handleFaqSuggestionSubmit,
+  handleWithdrawRequest,
+  handleWithdrawConfirm,
+  handleWithdrawCancel,
+  handleEditSubmittedRequest,
+  handleSubmittedRequestText,
+  handleRateAnswer,
+  handleRatingComment,
   handleFAQ,
+  handleFAQCommand,
   handleFAQCategorySelection,
   handleFAQSelection,
   handleBack,
   handleHelp,
-  userStates
+  userStates,
+  ATTACHMENT_STATES,
+  WRITING_STATES
 };
\ No newline at end of file
@@ -0,0 +1,493 @@
+const { Markup } = require('telegraf');
+const User = require('../models/user');
+const Request = require('../models/request');
+const {
+  getOrCreateUser,
+  getMainMenuKeyboard,
+  getBackKeyboard,
+  ensureAdmin,
+  requireAdminChat,
+  findUserByIdentifier,
+  formatUser,
+  isGroupChat
+} = require('./common');
+const { deleteStudentChatMessage, sendToStudentChat } = require('./admin');
+const { studentStates } = require('./student');
+const { logAction } = require('../logger');
+const { t, tAdmin } = require('../utils/i18nHelper');
+const i18n = require('../i18n');
+const { transitionRequest } = require('../utils/requestLocks');
+const { recordRequestEvent } = require('../utils/requestEvents');
+const { changeUserRole } = require('../utils/roles');
+
+const MAX_STUDY_YEAR = 6;
+
+// Labelled by verification.student_statuses.<status>
+const STUDENT_STATUSES = ['pending', 'approved', 'rejected', 'suspended', 'retired'];
+
+/**
+ * Format student application for the admin chat
+ * @param {Object} user - Applicant user document
+ * @returns {String} - Message text
+ */
+const formatApplication = (user) => {
+  const profile = user.studentProfile;
+
+  return tAdmin('verification.application', {
+    user: formatUser(user),
+    fullName: profile.fullName,
+    university: profile.university,
+    year: profile.year,
+    specialization: profile.specialization
+  });
+};
+
+/**
+ * Notify student in their own language
+ */
+const notifyStudent = async (bot, user, key, vars = {}) => {
+  try {
+    await bot.telegram.sendMessage(user.telegramId, i18n.t(key, user.language, vars));
+  } catch (error) {
+    console.error(`Error notifying student ${user.telegramId}:`, error);
+  }
+};
+
+/**
+ * Handle /apply command - start student application in private chat
+ */
+const handleApply = async (ctx) => {
+  try {
+    if (isGroupChat(ctx)) {
+      await ctx.reply(t(ctx, 'verification.private_only'));
+      return;
+    }
+
+    const user = await getOrCreateUser(ctx);
+
+    if (user.studentStatus === 'approved') {
+      await ctx.reply(t(ctx, 'verification.already_verified'));
+      return;
+    }
+
+    if (user.studentStatus === 'pending') {
+      await ctx.reply(t(ctx, 'verification.already_pending'));
+      return;
+    }
+
+    if (user.studentStatus === 'suspended') {
+      await ctx.reply(t(ctx, 'verification.suspended'));
+      return;
+    }
+
+    await studentStates.set(user.telegramId, {
+      state: 'applying_name',
+      application: {}
+    });
+
+    await ctx.reply(t(ctx, 'verification.enter_name'), getBackKeyboard(ctx, t(ctx, 'buttons.cancel')));
+  } catch (error) {
+    console.error('Error handling apply command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle text input during student application
+ */
+const handleApplicationStep = async (ctx, bot) => {
+  try {
+    const state = await studentStates.get(ctx.from.id);
+    const text = ctx.message.text.trim();
+    const cancelKeyboard = getBackKeyboard(ctx, t(ctx, 'buttons.cancel'));
+
+    if (text === t(ctx, 'buttons.cancel')) {
+      await studentStates.delete(ctx.from.id);
+      await ctx.reply(t(ctx, 'verification.cancelled'), getMainMenuKeyboard(ctx));
+      return;
+    }
+
+    const application = state.application || {};
+
+    switch (state.state) {
+      case 'applying_name':
+        application.fullName = text;
+        await studentStates.set(ctx.from.id, { state: 'applying_university', application });
+        await ctx.reply(t(ctx, 'verification.enter_university'), cancelKeyboard);
+        return;
+
+      case 'applying_university':
+        application.university = text;
+        await studentStates.set(ctx.from.id, { state: 'applying_year', application });
+        await ctx.reply(t(ctx, 'verification.enter_year', { max: MAX_STUDY_YEAR }), cancelKeyboard);
+        return;
+
+      case 'applying_year': {
+        const year = parseInt(text, 10);
+        if (!/^\d+$/.test(text) || year < 1 || year > MAX_STUDY_YEAR) {
+          await ctx.reply(t(ctx, 'verification.invalid_year', { max: MAX_STUDY_YEAR }), cancelKeyboard);
+          return;
+        }
+        application.year = year;
+        await studentStates.set(ctx.from.id, { state: 'applying_specialization', application });
+        await ctx.reply(t(ctx, 'verification.enter_specialization'), cancelKeyboard);
+        return;
+      }
+
+      case 'applying_specialization':
+        application.specialization = text;
+        await studentStates.set(ctx.from.id, { state: 'confirming_application', application });
+        await ctx.reply(
+          t(ctx, 'verification.confirm', application),
+          Markup.keyboard([
+            [t(ctx, 'buttons.confirm')],
+            [t(ctx, 'buttons.cancel')]
+          ]).resize()
+        );
+        return;
+
+      case 'confirming_application':
+        if (text !== t(ctx, 'buttons.confirm')) {
+          return;
+        }
+        return submitApplication(ctx, bot, application);
+    }
+  } catch (error) {
+    console.error('Error handling application step:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Save confirmed application and send it to the admin chat for review
+ */
+const submitApplication = async (ctx, bot, application) => {
+  const user = await getOrCreateUser(ctx);
+
+  user.studentStatus = 'pending';
+  user.studentProfile = {
+    fullName: application.fullName,
+    university: application.university,
+    year: application.year,
+    specialization: application.specialization,
+    appliedAt: new Date(),
+    reviewedBy: null,
+    reviewedAt: null,
+    statusReason: null
+  };
+  await user.save();
+
+  await studentStates.delete(user.telegramId);
+
+  await bot.telegram.sendMessage(process.env.ADMIN_CHAT_ID, formatApplication(user), {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: tAdmin('buttons.approve'), callback_data: `verify_student:${user._id}` },
+          { text: tAdmin('buttons.decline'), callback_data: `reject_student:${user._id}` }
+        ]
+      ]
+    }
+  });
+
+  await ctx.reply(t(ctx, 'verification.submitted'), getMainMenuKeyboard(ctx));
+
+  logAction('student_applied', { userId: user._id });
+};
+
+/**
+ * Handle application review buttons in the admin chat
+ * @param {Boolean} approve - Approve or reject the application
+ */
+const reviewApplication = async (ctx, bot, approve) => {
+  try {
+    const admin = await ensureAdmin(ctx);
+    if (!admin) return;
+
+    const userId = ctx.callbackQuery.data.split(':')[1];
+
+    // Only one admin can decide on a pending application
+    const applicant = await User.findOneAndUpdate(
+      { _id: userId, studentStatus: 'pending' },
+      {
+        $set: {
+          studentStatus: approve ? 'approved' : 'rejected',
+          'studentProfile.reviewedBy': admin._id,
+          'studentProfile.reviewedAt': new Date(),
+          'studentProfile.statusReason': null
+        }
+      },
+      { new: true }
+    );
+
+    if (!applicant) {
+      await ctx.answerCbQuery(t(ctx, 'verification.already_reviewed'));
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+      return;
+    }
+
+    if (approve && applicant.role === 'user') {
+      await changeUserRole(applicant, 'student', admin, 'verification');
+    }
+
+    const adminName = admin.username ? `@${admin.username}` : admin.firstName;
+    const result = t(ctx, approve ? 'verification.approved_by' : 'verification.rejected_by', { admin: adminName });
+
+    await ctx.editMessageText(
+      ctx.callbackQuery.message.text + `\n\n${result}`,
+      { reply_markup: { inline_keyboard: [] } }
+    );
+    await ctx.answerCbQuery(t(ctx, approve ? 'verification.student_approved' : 'verification.application_rejected'));
+
+    await notifyStudent(bot, applicant, approve ? 'verification.approved' : 'verification.rejected');
+
+    logAction(approve ? 'admin_approved_student' : 'admin_rejected_student', {
+      adminId: admin._id,
+      userId: applicant._id
+    });
+  } catch (error) {
+    console.error('Error reviewing student application:', error);
+    await ctx.answerCbQuery(t(ctx, 'errors.general'));
+  }
+};
+
+const handleApproveStudent = (ctx, bot) => reviewApplication(ctx, bot, true);
+const handleRejectStudent = (ctx, bot) => reviewApplication(ctx, bot, false);
+
+/**
+ * Return the student's current assignment to the queue
+ * @returns {Promise<Object|null>} - Returned request or null if there was none
+ */
+const releaseCurrentAssignment = async (bot, student, admin) => {
+  if (!student.currentAssignmentId) return null;
+
+  const previous = await Request.findById(student.currentAssignmentId);
+  const request = await transitionRequest(
+    student.currentAssignmentId,
+    { $in: ['assigned', 'answered'] },
+    { status: 'approved', studentId: null, assignedAt: null, answerText: null }
+  );
+
+  student.currentAssignmentId = null;
+  await student.save();
+  await studentStates.delete(student.telegramId);
+
+  if (!request) return null;
+
+  await recordRequestEvent(request, 'unassigned', {
+    actor: admin,
+    actorRole: 'admin',
+    student,
+    fromStatus: previous ? previous.status : null,
+    source: 'suspension'
+  });
+
+  await request.populate('categoryId');
+  await deleteStudentChatMessage(bot, request);
+  await sendToStudentChat(bot, request, 'returned');
+
+  return request;
+};
+
+/**
+ * Shared implementation of /suspend and /retire
+ * @param {String} status - 'suspended' or 'retired'
+ */
+const deactivateStudent = async (ctx, bot, status) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    const command = status === 'suspended' ? 'suspend' : 'retire';
+    const args = ctx.message.text.split(/\s+/).slice(1);
+
+    if (args.length === 0) {
+      await ctx.reply(t(ctx, 'verification.deactivate_usage', { command }));
+      return;
+    }
+
+    const student = await findUserByIdentifier(args[0]);
+
+    if (!student) {
+      await ctx.reply(t(ctx, 'browser.errors.user_not_found', { user: args[0] }));
+      return;
+    }
+
+    if (student.studentStatus !== 'approved' && student.studentStatus !== 'suspended') {
+      await ctx.reply(t(ctx, 'verification.not_verified_student', { user: formatUser(student) }));
+      return;
+    }
+
+    const reason = args.slice(1).join(' ').trim() || null;
+
+    student.studentStatus = status;
+    student.studentProfile.statusReason = reason;
+    await student.save();
+
+    if (status === 'retired' && student.role === 'student') {
+      await changeUserRole(student, 'user', admin, 'verification');
+    }
+
+    const request = await releaseCurrentAssignment(bot, student, admin);
+
+    let message = t(ctx, status === 'suspended' ? 'verification.student_suspended' : 'verification.student_retired', {
+      user: formatUser(student)
+    });
+    if (reason) {
+      message += '\n' + t(ctx, 'ban.reason', { reason });
+    }
+    if (request) {
+      message += '\n' + t(ctx, 'verification.request_returned', { id: request._id });
+    }
+
+    await ctx.reply(message);
+
+    await notifyStudent(
+      bot,
+      student,
+      status === 'suspended' ? 'verification.suspended_notice' : 'verification.retired_notice',
+      { reason: reason || '—' }
+    );
+
+    logAction(status === 'suspended' ? 'admin_suspended_student' : 'admin_retired_student', {
+      adminId: admin._id,
+      userId: student._id,
+      reason,
+      releasedRequestId: request?._id
+    });
+  } catch (error) {
+    console.error(`Error handling ${status} student command:`, error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle /suspend command
+ * Usage: /suspend <telegramId|@username> [reason]
+ */
+const handleSuspendStudent = (ctx, bot) => deactivateStudent(ctx, bot, 'suspended');
+
+/**
+ * Handle /retire command
+ * Usage: /retire <telegramId|@username> [reason]
+ */
+const handleRetireStudent = (ctx, bot) => deactivateStudent(ctx, bot, 'retired');
+
+/**
+ * Handle /reinstate command - lift student suspension
+ * Usage: /reinstate <telegramId|@username>
+ */
+const handleReinstateStudent = async (ctx, bot) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    const args = ctx.message.text.split(/\s+/).slice(1);
+
+    if (args.length === 0) {
+      await ctx.reply(t(ctx, 'verification.reinstate_usage'));
+      return;
+    }
+
+    const student = await findUserByIdentifier(args[0]);
+
+    if (!student) {
+      await ctx.reply(t(ctx, 'browser.errors.user_not_found', { user: args[0] }));
+      return;
+    }
+
+    if (student.studentStatus !== 'suspended') {
+      await ctx.reply(t(ctx, 'verification.not_suspended', { user: formatUser(student) }));
+      return;
+    }
+
+    student.studentStatus = 'approved';
+    student.studentProfile.statusReason = null;
+    await student.save();
+
+    if (student.role === 'user') {
+      await changeUserRole(student, 'student', admin, 'verification');
+    }
+
+    await ctx.reply(t(ctx, 'verification.student_reinstated', { user: formatUser(student) }));
+    await notifyStudent(bot, student, 'verification.reinstated_notice');
+
+    logAction('admin_reinstated_student', { adminId: admin._id, userId: student._id });
+  } catch (error) {
+    console.error('Error handling reinstate student command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+/**
+ * Handle /students command - list students by verification status
+ * Usage: /students [pending|approved|suspended|retired|rejected]
+ */
+const handleListStudents = async (ctx) => {
+  try {
+    const admin = await requireAdminChat(ctx);
+    if (!admin) return;
+
+    const filter = ctx.message.text.split(/\s+/)[1];
+
+    if (filter && !STUDENT_STATUSES.includes(filter)) {
+      await ctx.reply(t(ctx, 'verification.unknown_status', { statuses: STUDENT_STATUSES.join(', ') }));
+      return;
+    }
+
+    const statuses = filter ? [filter] : ['pending', 'approved', 'suspended'];
+    const students = await User.find({ studentStatus: { $in: statuses } })
+      .sort({ studentStatus: 1, 'studentProfile.appliedAt': 1 });
+
+    if (students.length === 0) {
+      await ctx.reply(t(ctx, 'verification.no_students'));
+      return;
+    }
+
+    const closedCounts = await Request.aggregate([
+      { $match: { studentId: { $in: students.map(s => s._id) }, status: 'closed' } },
+      { $group: { _id: '$studentId', count: { $sum: 1 } } }
+    ]);
+    const closedByStudent = new Map(closedCounts.map(c => [c._id.toString(), c.count]));
+
+    let message = t(ctx, 'verification.students_title') + '\n\n';
+
+    for (const status of statuses) {
+      const group = students.filter(s => s.studentStatus === status);
+      if (group.length === 0) continue;
+
+      message += `${t(ctx, `verification.student_statuses.${status}`)} (${group.length}):\n`;
+      group.forEach((student) => {
+        const profile = student.studentProfile;
+        message += `• ${formatUser(student)} — ${t(ctx, 'verification.student_line', {
+          fullName: profile.fullName || '—',
+          university: profile.university || '—',
+          year: profile.year || '—',
+          closed: closedByStudent.get(student._id.toString()) || 0
+        })}`;
+        if (student.currentAssignmentId) {
+          message += t(ctx, 'verification.student_in_progress', { id: student.currentAssignmentId });
+        }
+        message += '\n';
+      });
+      message += '\n';
+    }
+
+    await ctx.reply(message);
+  } catch (error) {
+    console.error('Error handling list students command:', error);
+    await ctx.reply(t(ctx, 'errors.general'));
+  }
+};
+
+module.exports = {
+  handleApply,
+  handleApplicationStep,
+  handleApproveStudent,
+  handleRejectStudent,
+  handleSuspendStudent,
+  handleRetireStudent,
+  handleReinstateStudent,
+  handleListStudents,
+  releaseCurrentAssignment
+};
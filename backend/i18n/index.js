@@ -1,11 +1,167 @@
 const fs = require('fs');
 const path = require('path');
 
+// Source files and directories (relative to the backend root) scanned for t() calls by validate()
+const SOURCE_PATHS = ['index.js', 'handlers', 'middleware', 'utils', 'scheduler'];
+
+// t(ctx, 'key', { ... }), i18n.t('key', locale, { ... }) and the chat helpers below with a literal key;
+// the variables object is only captured when it has no nested braces
+const T_CALL_PATTERN = /\bt\(\s*ctx\s*,\s*(['"`])([\w.]+)(\$\{)?[^'"`]*\1(?:\s*,\s*\{([^{}]*)\})?/g;
+const I18N_T_CALL_PATTERN = /\bi18n\.t\(\s*(['"`])([\w.]+)(\$\{)?[^'"`]*\1(?:\s*,\s*[^,()]+(?:\([^()]*\))?\s*,\s*\{([^{}]*)\})?/g;
+// tAdmin('key', { ... }) and tStudentChat('key', { ... }) - messages for the admin and student group chats
+const CHAT_T_CALL_PATTERN = /\b(?:tAdmin|tStudentChat)\(\s*(['"`])([\w.]+)(\$\{)?[^'"`]*\1(?:\s*,\s*\{([^{}]*)\})?/g;
+
+// {{variable}} or {{variable, format}}
+const VARIABLE_PATTERN = /\{\{(\w+)(?:,\s*(\w+))?\}\}/g;
+
+// Start of an ICU plural block: {count, plural, one {...} few {...} many {...} other {...}}
+const PLURAL_PATTERN = /\{(\w+),\s*plural,/g;
+
+// $t(some.key) inserts another message of the same locale
+const REFERENCE_PATTERN = /\$t\(([\w.]+)\)/g;
+
+// Guards against messages referencing each other in a loop
+const MAX_REFERENCE_DEPTH = 5;
+
+// Editors save a file in several steps, reload once they are done
+const RELOAD_DELAY_MS = 300;
+
+// BCP 47 tags used for Intl formatting of each locale
+const INTL_LOCALES = {
+    ru: 'ru-RU',
+    uz: 'uz-Latn-UZ',
+    en: 'en-GB',
+    kk: 'kk-KZ'
+};
+
+// Intl.DateTimeFormat options for {{variable, date}}, {{variable, time}} and {{variable, datetime}}
+const DATE_FORMATS = {
+    date: { day: '2-digit', month: '2-digit', year: 'numeric' },
+    time: { hour: '2-digit', minute: '2-digit' },
+    datetime: { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' }
+};
+
+/**
+ * Flatten nested messages into { 'a.b.c': 'text' }
+ */
+const flattenMessages = (messages, prefix = '') => {
+    return Object.entries(messages).reduce((flat, [key, value]) => {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object') {
+            Object.assign(flat, flattenMessages(value, fullKey));
+        } else {
+            flat[fullKey] = value;
+        }
+        return flat;
+    }, {});
+};
+
+/**
+ * {{variable}} and {variable, plural, ...} names used in a message
+ */
+const getVariables = (message) => {
+    const text = String(message);
+    return [...new Set([
+        ...[...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]),
+        ...[...text.matchAll(PLURAL_PATTERN)].map(match => match[1])
+    ])];
+};
+
+/**
+ * Keys referenced from a message with $t(key)
+ */
+const getReferences = (message) => {
+    return [...String(message).matchAll(REFERENCE_PATTERN)].map(match => match[1]);
+};
+
+/**
+ * Variables of a message together with the variables of the messages it references
+ * @param {Object} messages - Flattened messages of one locale
+ */
+const getVariablesWithReferences = (messages, key, seen = new Set()) => {
+    if (seen.has(key) || typeof messages[key] !== 'string') return [];
+    seen.add(key);
+
+    const referenced = getReferences(messages[key])
+        .flatMap(reference => getVariablesWithReferences(messages, reference, seen));
+    return [...new Set([...getVariables(messages[key]), ...referenced])];
+};
+
+/**
+ * Index of the brace closing the one at `start`, or -1 if the braces are unbalanced
+ */
+const findClosingBrace = (text, start) => {
+    let depth = 0;
+    for (let index = start; index < text.length; index++) {
+        if (text[index] === '{') {
+            depth++;
+        } else if (text[index] === '}') {
+            depth--;
+            if (depth === 0) return index;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Branches of a plural block body like " one {# вопрос} few {# вопроса} other {# вопросов}"
+ * @returns {Object} - { '=0': text, one: text, ..., other: text }
+ */
+const parsePluralBranches = (body) => {
+    const branches = {};
+    const selectorPattern = /\s*(=\d+|zero|one|two|few|many|other)\s*\{/y;
+    let position = 0;
+
+    while (position < body.length) {
+        selectorPattern.lastIndex = position;
+        const match = selectorPattern.exec(body);
+        if (!match) break;
+
+        const open = selectorPattern.lastIndex - 1;
+        const close = findClosingBrace(body, open);
+        if (close === -1) break;
+
+        branches[match[1]] = body.slice(open + 1, close);
+        position = close + 1;
+    }
+
+    return branches;
+};
+
+/**
+ * Property names of an object literal body like "id: request._id, min"
+ */
+const getObjectLiteralKeys = (body) => {
+    return [...body.matchAll(/(?:^|,)\s*([A-Za-z_$][\w$]*)\s*(?=:|,|$)/g)].map(match => match[1]);
+};
+
+/**
+ * All .js files under the given paths
+ */
+const listSourceFiles = (rootDir, sourcePaths) => {
+    const files = [];
+    const walk = (fullPath) => {
+        if (!fs.existsSync(fullPath)) return;
+        if (fs.statSync(fullPath).isDirectory()) {
+            fs.readdirSync(fullPath).forEach(entry => walk(path.join(fullPath, entry)));
+        } else if (fullPath.endsWith('.js')) {
+            files.push(fullPath);
+        }
+    };
+    sourcePaths.forEach(sourcePath => walk(path.join(rootDir, sourcePath)));
+    return files;
+};
+
 class I18n {
     constructor() {
         this.locales = {};
         this.defaultLocale = 'ru';
         this.fallbackLocale = 'ru';
+        this.pluralRules = {};
+        this.invalidTimeZones = new Set();
+        // { locale: { 'a.b': text } } edited by admins with /text, stored in MongoDB
+        this.overrides = {};
+        this.watcher = null;
         this.loadLocales();
     }
 
@@ -25,6 +181,7 @@ class I18n {
             if (file.endsWith('.json')) {
                 const locale = file.replace('.json', '');
                 const filePath = path.join(localesDir, file);
+                // A file with a syntax error keeps its previously loaded version
                 try {
                     this.locales[locale] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
                     console.log(`Loaded locale: ${locale}`);
@@ -36,15 +193,112 @@ class I18n {
     }
 
     t(key, locale = this.defaultLocale, interpolations = {}) {
-        const messages = this.locales[locale] || this.locales[this.fallbackLocale];
-        const value = this.getNestedValue(messages, key);
+        const value = this.getMessage(key, locale);
 
         if (!value) {
             console.warn(`Translation missing: ${key} for locale: ${locale}`);
             return key; // Return key as fallback
         }
 
-        return this.interpolate(value, interpolations);
+        return this.interpolate(this.resolveReferences(value, locale), interpolations, locale);
+    }
+
+    /**
+     * Reload the locale files whenever they change, so copy fixes don't need a restart
+     */
+    watchLocales() {
+        if (this.watcher) return;
+
+        const localesDir = path.join(__dirname, 'locales');
+        let reloadTimer = null;
+
+        this.watcher = fs.watch(localesDir, (eventType, file) => {
+            if (file && !file.endsWith('.json')) return;
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => this.reloadLocales(), RELOAD_DELAY_MS);
+        });
+        this.watcher.on('error', error => console.error('Error watching locale files:', error.message));
+        // Watching alone shouldn't keep scripts that load i18n running
+        this.watcher.unref();
+    }
+
+    reloadLocales() {
+        this.loadLocales();
+
+        const problems = this.formatValidationReport(this.validate());
+        if (problems.length > 0) {
+            console.warn(`Locales reloaded with ${problems.length} problem(s):\n${problems.join('\n')}`);
+        } else {
+            console.log('Locales reloaded');
+        }
+    }
+
+    /**
+     * Raw message text: an admin override, then the locale file;
+     * keys not translated yet fall back to the default language instead of showing the raw key
+     * @returns {String|undefined}
+     */
+    getMessage(key, locale = this.defaultLocale) {
+        const supportedLocale = this.isLocaleSupported(locale) ? locale : this.fallbackLocale;
+        return this.getLocaleMessage(key, supportedLocale) || this.getLocaleMessage(key, this.fallbackLocale);
+    }
+
+    getLocaleMessage(key, locale) {
+        const override = this.getOverride(key, locale);
+        return override !== undefined ? override : this.getFileMessage(key, locale);
+    }
+
+    /**
+     * Admin override of a message
+     * @returns {String|undefined}
+     */
+    getOverride(key, locale) {
+        return this.overrides[locale] ? this.overrides[locale][key] : undefined;
+    }
+
+    /**
+     * Message text from the locale file, ignoring overrides
+     * @returns {String|undefined}
+     */
+    getFileMessage(key, locale) {
+        const value = this.getNestedValue(this.locales[locale], key);
+        return typeof value === 'string' ? value : undefined;
+    }
+
+    /**
+     * Replace all overrides, e.g. with the ones loaded from the database at startup
+     * @param {Array<Object>} overrides - [{ key, locale, text }]
+     */
+    setOverrides(overrides) {
+        this.overrides = {};
+        overrides.forEach(({ key, locale, text }) => this.setOverride(key, locale, text));
+    }
+
+    setOverride(key, locale, text) {
+        this.overrides[locale] = this.overrides[locale] || {};
+        this.overrides[locale][key] = text;
+    }
+
+    removeOverride(key, locale) {
+        if (this.overrides[locale]) {
+            delete this.overrides[locale][key];
+        }
+    }
+
+    /**
+     * Check an edited message against the locale file before it replaces the original
+     * @returns {Object} - { unknownVariables, unknownReferences } variables the original doesn't have
+     *   and $t(key) references to keys that don't exist
+     */
+    checkOverride(key, locale, text) {
+        const original = this.getFileMessage(key, locale) || this.getFileMessage(key, this.fallbackLocale) || '';
+        const allowed = getVariables(this.resolveReferences(original, locale));
+        const resolved = this.resolveReferences(text, locale);
+
+        return {
+            unknownVariables: getVariables(resolved).filter(name => !allowed.includes(name)),
+            unknownReferences: getReferences(resolved)
+        };
     }
 
     getNestedValue(obj, key) {
@@ -53,10 +307,188 @@ class I18n {
         }, obj);
     }
 
-    interpolate(template, values) {
-        return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-            return values[key] !== undefined ? values[key] : match;
+    /**
+     * Replace $t(key) with the referenced message of the same locale
+     */
+    resolveReferences(template, locale, depth = 0) {
+        return template.replace(REFERENCE_PATTERN, (match, key) => {
+            const value = depth < MAX_REFERENCE_DEPTH ? this.getMessage(key, locale) : undefined;
+            return value !== undefined ? this.resolveReferences(value, locale, depth + 1) : match;
+        });
+    }
+
+    /**
+     * Substitute plural blocks, then {{variable}} and {{variable, date|time|datetime|number}}
+     */
+    interpolate(template, values, locale = this.defaultLocale) {
+        return this.formatPlurals(template, values, locale).replace(VARIABLE_PATTERN, (match, key, format) => {
+            if (values[key] === undefined) return match;
+            return format ? this.formatValue(values[key], format, locale) : values[key];
+        });
+    }
+
+    /**
+     * Replace {count, plural, =0 {...} one {...} few {...} many {...} other {...}} with the branch
+     * matching the locale's plural rules; # in the branch is the formatted number.
+     * A # directly followed by {{ is left alone so "#{{id}}" still reads as a request number.
+     */
+    formatPlurals(template, values, locale) {
+        const pattern = new RegExp(PLURAL_PATTERN.source, 'g');
+        let result = '';
+        let position = 0;
+        let match;
+
+        while ((match = pattern.exec(template)) !== null) {
+            const end = findClosingBrace(template, match.index);
+            if (end === -1) break;
+
+            const count = Number(values[match[1]]);
+            if (values[match[1]] !== undefined && !Number.isNaN(count)) {
+                const branches = parsePluralBranches(template.slice(match.index + match[0].length, end));
+                const branch = branches[`=${count}`] ?? branches[this.getPluralRules(locale).select(count)] ?? branches.other ?? '';
+
+                result += template.slice(position, match.index) +
+                    this.formatPlurals(branch, values, locale).replace(/#(?!\{\{)/g, this.formatNumber(count, locale));
+                position = end + 1;
+            }
+
+            pattern.lastIndex = end + 1;
+        }
+
+        return result + template.slice(position);
+    }
+
+    getPluralRules(locale) {
+        const intlLocale = this.getIntlLocale(locale);
+        if (!this.pluralRules[intlLocale]) {
+            this.pluralRules[intlLocale] = new Intl.PluralRules(intlLocale);
+        }
+        return this.pluralRules[intlLocale];
+    }
+
+    /**
+     * Format a {{variable, format}} value; unknown formats and values that are not numbers or dates are left as is
+     */
+    formatValue(value, format, locale) {
+        if (format === 'number' && typeof value === 'number') {
+            return this.formatNumber(value, locale);
+        }
+        if (DATE_FORMATS[format]) {
+            return this.formatDate(value, locale, format);
+        }
+        return value;
+    }
+
+    /**
+     * Format a date in the clinic time zone
+     * @param {Date|String|Number} date - Date or anything new Date() accepts
+     * @param {String} locale - Locale code
+     * @param {String} style - 'date', 'time' or 'datetime'
+     * @returns {String} - Formatted date, or the value itself if it isn't a valid date
+     */
+    formatDate(date, locale = this.defaultLocale, style = 'date') {
+        const value = date instanceof Date ? date : new Date(date);
+        if (Number.isNaN(value.getTime())) return String(date);
+
+        return new Intl.DateTimeFormat(this.getIntlLocale(locale), {
+            ...(DATE_FORMATS[style] || DATE_FORMATS.date),
+            timeZone: this.getTimeZone()
+        }).format(value);
+    }
+
+    /**
+     * Start of a YYYY-MM-DD day in the clinic time zone
+     * @param {String} value - Date typed by an admin
+     * @returns {Date|null} - Midnight of that day, or null if the value isn't a valid date
+     */
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const utcMidnight = Date.UTC(year, month - 1, day);
+        const check = new Date(utcMidnight);
+        if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+        const timeZone = this.getTimeZone();
+        if (!timeZone) return new Date(year, month - 1, day);
+
+        // Shift by the zone offset, then once more with the offset at the result in case it differs (DST)
+        let time = utcMidnight - this.getTimeZoneOffset(utcMidnight, timeZone);
+        time = utcMidnight - this.getTimeZoneOffset(time, timeZone);
+        return new Date(time);
+    }
+
+    /**
+     * Start of the clinic day a moment falls on, moved by whole days
+     * @param {Date|Number} date - Moment inside the day
+     * @param {Number} days - Days to add, negative for earlier days
+     * @returns {Date} - Midnight of that day in the clinic time zone
+     */
+    startOfDay(date = Date.now(), days = 0) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: this.getTimeZone(),
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric'
+        }).formatToParts(new Date(date)).forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+
+        const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+        return this.parseDate(day.toISOString().slice(0, 10));
+    }
+
+    /**
+     * Offset of a time zone from UTC at a moment, in milliseconds
+     */
+    getTimeZoneOffset(time, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+            parts[type] = Number(value);
         });
+
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wallClock - Math.floor(time / 1000) * 1000;
+    }
+
+    /**
+     * Format a number with the locale's digit grouping and decimal separator
+     */
+    formatNumber(number, locale = this.defaultLocale, options = {}) {
+        return new Intl.NumberFormat(this.getIntlLocale(locale), options).format(number);
+    }
+
+    getIntlLocale(locale) {
+        const supported = this.isLocaleSupported(locale) ? locale : this.fallbackLocale;
+        return INTL_LOCALES[supported] || supported;
+    }
+
+    /**
+     * Clinic time zone (CLINIC_TIME_ZONE, e.g. Asia/Tashkent); the server time zone if unset or unknown
+     */
+    getTimeZone() {
+        const timeZone = process.env.CLINIC_TIME_ZONE;
+        if (!timeZone || this.invalidTimeZones.has(timeZone)) return undefined;
+
+        try {
+            new Intl.DateTimeFormat('en', { timeZone });
+            return timeZone;
+        } catch (error) {
+            console.warn(`Unknown CLINIC_TIME_ZONE "${timeZone}", using the server time zone`);
+            this.invalidTimeZones.add(timeZone);
+            return undefined;
+        }
     }
 
     getSupportedLocales() {
@@ -66,6 +498,144 @@ class I18n {
     isLocaleSupported(locale) {
         return this.locales.hasOwnProperty(locale);
     }
+
+    /**
+     * Check the locale files against the default locale and the t() calls in the source code
+     * @param {Object} options - { rootDir, sourcePaths } where to look for t() calls (the backend by default)
+     * @returns {Object} - {
+     *   missingKeys: { locale: [key] } keys of the default locale not translated,
+     *   extraKeys: { locale: [key] } keys the default locale doesn't have,
+     *   variableMismatches: [{ locale, key, missing, extra }] {{variables}} differing from the default locale,
+     *   unusedVariables: [{ file, line, key, variables }] variables passed to t() that the message doesn't use,
+     *   unknownKeys: [{ file, line, key }] keys used in t() calls that no locale has,
+     *   brokenReferences: [{ locale, key, reference }] $t(key) references to keys the locale doesn't have
+     * }
+     */
+    validate({ rootDir = path.join(__dirname, '..'), sourcePaths = SOURCE_PATHS } = {}) {
+        const report = {
+            missingKeys: {},
+            extraKeys: {},
+            variableMismatches: [],
+            unusedVariables: [],
+            unknownKeys: [],
+            brokenReferences: []
+        };
+
+        const defaultMessages = flattenMessages(this.locales[this.defaultLocale] || {});
+        const defaultKeys = Object.keys(defaultMessages);
+        const allKeys = new Set(defaultKeys);
+
+        Object.keys(this.locales).filter(locale => locale !== this.defaultLocale).forEach(locale => {
+            const messages = flattenMessages(this.locales[locale]);
+            const keys = Object.keys(messages);
+            keys.forEach(key => allKeys.add(key));
+
+            const missing = defaultKeys.filter(key => !(key in messages));
+            const extra = keys.filter(key => !(key in defaultMessages));
+            if (missing.length > 0) report.missingKeys[locale] = missing;
+            if (extra.length > 0) report.extraKeys[locale] = extra;
+
+            keys.filter(key => key in defaultMessages).forEach(key => {
+                const expected = getVariablesWithReferences(defaultMessages, key);
+                const actual = getVariablesWithReferences(messages, key);
+                const missingVariables = expected.filter(name => !actual.includes(name));
+                const extraVariables = actual.filter(name => !expected.includes(name));
+                if (missingVariables.length > 0 || extraVariables.length > 0) {
+                    report.variableMismatches.push({ locale, key, missing: missingVariables, extra: extraVariables });
+                }
+            });
+        });
+
+        Object.keys(this.locales).forEach(locale => {
+            const messages = flattenMessages(this.locales[locale]);
+            Object.entries(messages).forEach(([key, message]) => {
+                getReferences(message)
+                    .filter(reference => typeof messages[reference] !== 'string')
+                    .forEach(reference => report.brokenReferences.push({ locale, key, reference }));
+            });
+        });
+
+        listSourceFiles(rootDir, sourcePaths).forEach(file => {
+            const source = fs.readFileSync(file, 'utf8');
+            const relativeFile = path.relative(rootDir, file);
+
+            [T_CALL_PATTERN, I18N_T_CALL_PATTERN, CHAT_T_CALL_PATTERN].forEach(pattern => {
+                for (const match of source.matchAll(pattern)) {
+                    const [, , key, isTemplate, variablesBody] = match;
+                    const line = source.slice(0, match.index).split('\n').length;
+
+                    // `statuses.${status}`: only the static prefix can be checked
+                    if (isTemplate) {
+                        const prefix = key.replace(/\.$/, '');
+                        const known = [...allKeys].some(existing => existing.startsWith(`${prefix}.`));
+                        if (!known) report.unknownKeys.push({ file: relativeFile, line, key: `${key}*` });
+                        continue;
+                    }
+
+                    if (!allKeys.has(key)) {
+                        report.unknownKeys.push({ file: relativeFile, line, key });
+                        continue;
+                    }
+
+                    if (variablesBody !== undefined && key in defaultMessages) {
+                        const used = getVariablesWithReferences(defaultMessages, key);
+                        const unused = getObjectLiteralKeys(variablesBody).filter(name => !used.includes(name));
+                        if (unused.length > 0) {
+                            report.unusedVariables.push({ file: relativeFile, line, key, variables: unused });
+                        }
+                    }
+                }
+            });
+        });
+
+        return report;
+    }
+
+    /**
+     * Human-readable lines for a validate() report; empty when everything is fine
+     */
+    formatValidationReport(report) {
+        const lines = [];
+
+        Object.entries(report.missingKeys).forEach(([locale, keys]) => {
+            lines.push(`[${locale}] missing ${keys.length} key(s): ${keys.join(', ')}`);
+        });
+        Object.entries(report.extraKeys).forEach(([locale, keys]) => {
+            lines.push(`[${locale}] ${keys.length} key(s) not in ${this.defaultLocale}: ${keys.join(', ')}`);
+        });
+        report.variableMismatches.forEach(({ locale, key, missing, extra }) => {
+            const details = [];
+            if (missing.length > 0) details.push(`missing {{${missing.join('}}, {{')}}}`);
+            if (extra.length > 0) details.push(`unknown {{${extra.join('}}, {{')}}}`);
+            lines.push(`[${locale}] ${key}: ${details.join('; ')}`);
+        });
+        report.unusedVariables.forEach(({ file, line, key, variables }) => {
+            lines.push(`${file}:${line} ${key}: unused variable(s) ${variables.join(', ')}`);
+        });
+        report.unknownKeys.forEach(({ file, line, key }) => {
+            lines.push(`${file}:${line} unknown key ${key}`);
+        });
+        report.brokenReferences.forEach(({ locale, key, reference }) => {
+            lines.push(`[${locale}] ${key}: references unknown key $t(${reference})`);
+        });
+
+        return lines;
+    }
+}
+
+const i18n = new I18n();
+
+// CLI: node i18n/index.js (or npm run i18n:check) prints the problems and fails if there are any
+if (require.main === module) {
+    const problems = i18n.formatValidationReport(i18n.validate());
+
+    if (problems.length === 0) {
+        console.log('Locales are complete.');
+    } else {
+        problems.forEach(problem => console.log(problem));
+        console.log(`\n${problems.length} problem(s) found.`);
+        process.exitCode = 1;
+    }
 }
 
-module.exports = new I18n();
\ No newline at end of file
+module.exports = i18n;
\ No newline at end of file
@@ -1,20 +1,22 @@
 const User = require('../models/user');
+const { getAdminChatLocale, getStudentChatLocale } = require('../utils/i18nHelper');
 
 const detectUserLanguage = async (ctx, next) => {
     try {
         let userLocale = 'ru'; // Default
 
-        // Force Russian for admin and student chats
-        if (ctx.chat && (
-            ctx.chat.id.toString() === process.env.ADMIN_CHAT_ID ||
-            ctx.chat.id.toString() === process.env.STUDENT_CHAT_ID
-        )) {
-            ctx.locale = 'ru';
+        // Admin and student chats use their configured language (ADMIN_CHAT_LOCALE / STUDENT_CHAT_LOCALE)
+        if (ctx.chat && ctx.chat.id.toString() === process.env.ADMIN_CHAT_ID) {
+            ctx.locale = getAdminChatLocale();
+            return next();
+        }
+        if (ctx.chat && ctx.chat.id.toString() === process.env.STUDENT_CHAT_ID) {
+            ctx.locale = getStudentChatLocale();
             return next();
         }
 
-        // Only detect language for private chats
-        if (ctx.from && ctx.chat && ctx.chat.type === 'private') {
+        // Only detect language for private chats and inline queries (which have no chat)
+        if (ctx.from && (ctx.inlineQuery || (ctx.chat && ctx.chat.type === 'private'))) {
             const user = await User.findOne({ telegramId: ctx.from.id });
             if (user && user.language) {
                 userLocale = user.language;
@@ -8,15 +8,25 @@ const userHandlers = require('./handlers/user');
 const adminHandlers = require('./handlers/admin');
 const studentHandlers = require('./handlers/student');
 const categoryHandlers = require('./handlers/category');
-// const faqHandlers = require('./handlers/faq');
+const faqHandlers = require('./handlers/faq');
 const requestHandlers = require('./handlers/request');
 const helpHandlers = require('./handlers/help');
+const banHandlers = require('./handlers/ban');
+const roleHandlers = require('./handlers/roles');
+const verificationHandlers = require('./handlers/verification');
+const myRequestHandlers = require('./handlers/myRequests');
+const translationHandlers = require('./handlers/translations');
+const offerHandlers = require('./handlers/offers');
+const scheduler = require('./scheduler');
 
 // Import logger
 const { logAction, logUserMessage, logError, logInfo, logWarn } = require('./logger');
 
 // Import the translation helper
 const { t } = require('./utils/i18nHelper');
+const { loadTranslationOverrides } = require('./utils/translations');
+const { approveExistingStudents } = require('./utils/roles');
+const { getCurrentOffer, needsOfferAcceptance } = require('./utils/offers');
 
 // Check required environment variables
 const requiredEnvVars = ['BOT_TOKEN', 'MONGO_URI', 'ADMIN_CHAT_ID', 'STUDENT_CHAT_ID'];
@@ -34,18 +44,44 @@ const bot = new Telegraf(process.env.BOT_TOKEN);
 mongoose.connect(process.env.MONGO_URI)
   .then(() => {
     logInfo('Connected to MongoDB', { database: process.env.MONGO_URI.split('/').pop() });
+
+    // Students from before verification keep claiming requests without applying again
+    approveExistingStudents()
+      .then(count => {
+        if (count > 0) logInfo('Existing students marked as approved', { count });
+      })
+      .catch(err => logError(err, { context: 'Approving existing students failed' }));
+
+    // Translations edited with /text replace the texts from the locale files
+    return loadTranslationOverrides()
+      .then(count => logInfo('Translation overrides loaded', { count }))
+      .catch(err => logError(err, { context: 'Loading translation overrides failed' }));
   })
   .catch(err => {
     logError(err, { context: 'MongoDB connection failed' });
     process.exit(1);
   });
 
+// Report incomplete translations at startup (same check as `npm run i18n:check`)
+const i18n = require('./i18n');
+const localeProblems = i18n.formatValidationReport(i18n.validate());
+if (localeProblems.length > 0) {
+  logWarn('Locale check found problems', { problems: localeProblems });
+}
+
+// Pick up edits of the locale files (mounted as a volume) without a restart
+i18n.watchLocales();
+
 // Setup middleware
 bot.use(session());
 
 const { detectUserLanguage } = require('./i18n/middleware');
 bot.use(detectUserLanguage);
 
+// Ban check runs after language detection so the ban message is localized
+const { banCheckMiddleware } = require('./middleware/banCheck');
+bot.use(banCheckMiddleware);
+
 // Keyboard removal middleware for group chats
 bot.use(async (ctx, next) => {
   try {
@@ -54,7 +90,7 @@ bot.use(async (ctx, next) => {
     const isStudentChat = ctx.chat && ctx.chat.id.toString() === process.env.STUDENT_CHAT_ID;
 
     // If it's a group chat and there's a message with keyboard buttons (not commands or callbacks)
-    const adminState = ctx.from ? adminHandlers.adminStates.get(ctx.from.id) : null;
+    const adminState = ctx.from ? await adminHandlers.adminStates.get(ctx.from.id) : null;
     if ((isAdminChat || isStudentChat) && ctx.message && ctx.message.text && !ctx.message.text.startsWith('/') && !adminState?.state) {
       // Add context flag to force keyboard removal
       ctx.shouldRemoveKeyboard = true;
@@ -124,13 +160,21 @@ bot.action(/^lang:(.+)$/, languageHandlers.handleLanguageChange);
 // Onboarding: language selection during first /start
 bot.action(/onboard_lang:(.+)/, languageHandlers.handleOnboardingLanguage);
 // Onboarding: offer accept/decline
-bot.action('offer:accept', languageHandlers.handleOfferAccept);
-bot.action('offer:decline', languageHandlers.handleOfferDecline);
+bot.action(/^offer:accept(:\d+)?$/, languageHandlers.handleOfferAccept);
+bot.action(/^offer:decline(:\d+)?$/, languageHandlers.handleOfferDecline);
 
 bot.on('message', async (ctx, next) => {
   try {
-    // Skip if no text
-    if (!ctx.message.text) return next();
+    // Photos/documents are only accepted while the user is composing a request
+    if (!ctx.message.text) {
+      if (ctx.chat.type === 'private' && (ctx.message.photo || ctx.message.document)) {
+        const attachmentState = await userHandlers.userStates.get(ctx.from.id);
+        if (attachmentState && userHandlers.ATTACHMENT_STATES.includes(attachmentState.state)) {
+          return userHandlers.handleRequestAttachment(ctx);
+        }
+      }
+      return next();
+    }
     if (ctx.chat.type === 'private' && !ctx.message.text.startsWith('/start')) {
       const User = require('./models/user');
       const offerUser = await User.findOne({ telegramId: ctx.from.id });
@@ -138,6 +182,18 @@ bot.on('message', async (ctx, next) => {
         await ctx.reply(t(ctx, 'onboarding.offer_required'));
         return;
       }
+      // A newer offer version is in effect - the user has to accept it before going on.
+      // A request, an answer or a clarification being written is let through, the offer is asked once it is sent
+      if (offerUser && needsOfferAcceptance(offerUser, await getCurrentOffer())) {
+        const userState = await userHandlers.userStates.get(ctx.from.id);
+        const studentState = await studentHandlers.studentStates.get(ctx.from.id);
+        const writing = (userState && userHandlers.WRITING_STATES.includes(userState.state)) ||
+          (studentState && studentHandlers.WRITING_STATES.includes(studentState.state));
+        if (!writing) {
+          await startHandler.sendOfferMessage(ctx, offerUser);
+          return;
+        }
+      }
     }
 
     const messageText = ctx.message.text;
@@ -159,7 +215,7 @@ bot.on('message', async (ctx, next) => {
 
       // Admin state management (only in admin chat)
       if (isAdminChat) {
-        const adminState = adminHandlers.adminStates.get(ctx.from.id);
+        const adminState = await adminHandlers.adminStates.get(ctx.from.id);
         if (adminState) {
           switch (adminState.state) {
             case 'entering_decline_reason':
@@ -182,6 +238,10 @@ bot.on('message', async (ctx, next) => {
               return adminHandlers.handleNewFAQQuestion(ctx);
             case 'entering_new_faq_answer':
               return adminHandlers.handleNewFAQAnswer(ctx);
+            case 'entering_category_translation':
+              return adminHandlers.handleCategoryTranslation(ctx);
+            case 'entering_faq_translation':
+              return adminHandlers.handleFAQTranslation(ctx);
           }
         }
       }
@@ -214,12 +274,13 @@ bot.on('message', async (ctx, next) => {
     // === PRIORITY 2: STATE-BASED HANDLERS (Check states first) ===
 
     // User state management - check before button matching
-    const userState = userHandlers.userStates.get(ctx.from.id);
+    const userState = await userHandlers.userStates.get(ctx.from.id);
     if (userState) {
       switch (userState.state) {
         case 'selecting_category':
           return userHandlers.handleCategorySelection(ctx);
         case 'entering_request':
+        case 'reviewing_faq_suggestions':
           return userHandlers.handleRequestText(ctx);
         case 'confirming_request':
           // Only handle confirm/edit if user is in this state
@@ -234,24 +295,43 @@ bot.on('message', async (ctx, next) => {
           return userHandlers.handleFAQCategorySelection(ctx);
         case 'selecting_faq':
           return userHandlers.handleFAQSelection(ctx);
+        case 'entering_clarification_reply':
+          return userHandlers.handleClarificationReply(ctx, bot);
+        case 'editing_submitted_request':
+          return userHandlers.handleSubmittedRequestText(ctx, bot);
+        case 'entering_rating_comment':
+          return userHandlers.handleRatingComment(ctx, bot);
       }
     }
 
     // Student state management (private chat interactions)
-    const studentState = studentHandlers.studentStates.get(ctx.from.id);
+    const studentState = await studentHandlers.studentStates.get(ctx.from.id);
     if (studentState) {
       switch (studentState.state) {
         case 'writing_answer':
+          if (messageText === t(ctx, 'buttons.ask_clarification')) {
+            return studentHandlers.handleAskClarification(ctx);
+          }
           return studentHandlers.handleStudentAnswer(ctx);
+        case 'entering_clarification':
+          return studentHandlers.handleClarificationQuestion(ctx, bot);
+        case 'applying_name':
+        case 'applying_university':
+        case 'applying_year':
+        case 'applying_specialization':
+        case 'confirming_application':
+          return verificationHandlers.handleApplicationStep(ctx, bot);
         case 'confirming_answer':
-          // Handle Russian student buttons (hardcoded for consistency)
-          if (messageText === 'Подтвердить отправку ответа' || 'Javob yuborishni tasdiqlash') {
+          if (messageText === t(ctx, 'buttons.ask_clarification')) {
+            return studentHandlers.handleAskClarification(ctx);
+          }
+          if (messageText === t(ctx, 'buttons.confirm_answer')) {
             return studentHandlers.handleConfirmAnswer(ctx, bot);
           }
-          if (messageText === 'Изменить ответ' || "Javobni o'zgartirish") {
+          if (messageText === t(ctx, 'buttons.edit_answer')) {
             return studentHandlers.handleEditAnswer(ctx);
           }
-          if (messageText === 'Отказаться от обращения') {
+          if (messageText === t(ctx, 'buttons.reject_assignment')) {
             return studentHandlers.handleRejectAssignment(ctx, bot);
           }
           break;
@@ -269,12 +349,12 @@ bot.on('message', async (ctx, next) => {
         return userHandlers.handleAskQuestion(ctx);
       }
 
-      // if (messageText === t(ctx, 'buttons.faq')) {
-      //   return userHandlers.handleFAQ(ctx);
-      // }
+      if (messageText === t(ctx, 'buttons.faq')) {
+        return userHandlers.handleFAQ(ctx);
+      }
 
       if (messageText === t(ctx, 'buttons.my_requests')) {
-        return userHandlers.handleMyRequests(ctx);
+        return myRequestHandlers.handleMyRequests(ctx);
       }
 
       // Student menu buttons
@@ -316,7 +396,9 @@ bot.on('message', async (ctx, next) => {
 });
 
 // Admin commands (only work for admins)
-bot.command('getadmin', adminHandlers.handleGetAdmin);
+bot.command('admins', roleHandlers.handleListAdmins);
+bot.command('promote', roleHandlers.handlePromote);
+bot.command('demote', roleHandlers.handleDemote);
 bot.command('add_category', adminHandlers.handleAddCategory);
 bot.command('edit_category', adminHandlers.handleEditCategory);
 bot.command('delete_category', adminHandlers.handleDeleteCategory);
@@ -324,21 +406,35 @@ bot.command('add_faq', adminHandlers.handleAddFAQ);
 bot.command('edit_faq', adminHandlers.handleEditFAQ);
 bot.command('delete_faq', adminHandlers.handleDeleteFAQ);
 bot.command('categories', categoryHandlers.handleListCategories);
+bot.command('deadline', categoryHandlers.handleSetDeadline);
 bot.command('resend', (ctx) => adminHandlers.handleResendToStudents(ctx, bot));
 bot.command('unassign', (ctx) => adminHandlers.handleUnassign(ctx, bot));
 // bot.command('faqs', faqHandlers.handleListFAQs);
 bot.command('requests', requestHandlers.handleListRequests);
+bot.command('search', requestHandlers.handleSearchRequests);
+bot.command('history', requestHandlers.handleRequestHistory);
 bot.command('reopen', (ctx) => adminHandlers.handleReopenRequest(ctx, bot));
 bot.command('stats', requestHandlers.handleStats);
+bot.command('ban', banHandlers.handleBan);
+bot.command('unban', banHandlers.handleUnban);
+bot.command('banned', banHandlers.handleListBanned);
+bot.command('students', verificationHandlers.handleListStudents);
+bot.command('suspend', (ctx) => verificationHandlers.handleSuspendStudent(ctx, bot));
+bot.command('retire', (ctx) => verificationHandlers.handleRetireStudent(ctx, bot));
+bot.command('reinstate', (ctx) => verificationHandlers.handleReinstateStudent(ctx, bot));
+bot.command('text', translationHandlers.handleText);
+bot.command('offer', offerHandlers.handleOffer);
 
 // Admin callback handlers
 bot.action(/approve_request:(.+)/, (ctx) => adminHandlers.handleApproveRequest(ctx, bot));
 bot.action(/decline_request:(.+)/, adminHandlers.handleDeclineRequest);
+bot.action(/^decline_duplicate:(.+)$/, (ctx) => adminHandlers.handleDeclineDuplicate(ctx, bot));
 bot.action(/approve_answer:(.+)/, (ctx) => adminHandlers.handleApproveAnswer(ctx, bot));
 bot.action(/decline_answer:(.+)/, adminHandlers.handleDeclineAnswer);
 bot.action(/^edit_category:(.+)$/, adminHandlers.handleEditCategorySelection);
 bot.action(/edit_category_name:(.+)/, adminHandlers.handleEditCategoryName);
 bot.action(/edit_category_hashtag:(.+)/, adminHandlers.handleEditCategoryHashtag);
+bot.action(/^edit_category_translation:(.+)$/, adminHandlers.handleEditCategoryTranslation);
 bot.action(/^delete_category:(.+)$/, adminHandlers.handleDeleteCategorySelection);
 bot.action(/confirm_delete_category:(.+)/, adminHandlers.handleDeleteCategoryConfirmation);
 bot.action(/select_faq_category:(.+)/, adminHandlers.handleFAQCategorySelectionAdmin);
@@ -347,6 +443,7 @@ bot.action(/^edit_faq:(.+)$/, adminHandlers.handleEditFAQSelection);
 bot.action(/edit_faq_question:(.+)/, adminHandlers.handleEditFAQQuestion);
 bot.action(/edit_faq_answer:(.+)/, adminHandlers.handleEditFAQAnswer);
 bot.action(/edit_faq_category:(.+)/, adminHandlers.handleEditFAQCategory);
+bot.action(/^edit_faq_translation:(.+)$/, adminHandlers.handleEditFAQTranslation);
 bot.action(/set_faq_category:(.+)/, adminHandlers.handleSetFAQCategory);
 bot.action(/delete_faq_select_category:(.+)/, adminHandlers.handleDeleteFAQSelection);
 bot.action(/confirm_delete_faq:(.+)/, adminHandlers.handleConfirmDeleteFAQ);
@@ -355,12 +452,50 @@ bot.action('cancel_edit_category', adminHandlers.handleCancel);
 bot.action('cancel_delete_category', adminHandlers.handleCancel);
 bot.action('cancel_edit_faq', adminHandlers.handleCancel);
 bot.action('cancel_delete_faq', adminHandlers.handleCancel);
+bot.action(/^ban_decline_pending:(.+)$/, (ctx) => banHandlers.handleDeclineBannedPending(ctx, bot));
+bot.action(/^verify_student:(.+)$/, (ctx) => verificationHandlers.handleApproveStudent(ctx, bot));
+bot.action(/^reject_student:(.+)$/, (ctx) => verificationHandlers.handleRejectStudent(ctx, bot));
+bot.action(/^rb:(.+)$/, (ctx) => requestHandlers.handleRequestBrowserCallback(ctx, bot));
+
+// Student application (private chat)
+bot.command('apply', verificationHandlers.handleApply);
+
+// FAQ search (private chat) and inline mode (@bot <query> in any chat)
+bot.command('faq', userHandlers.handleFAQCommand);
+bot.on('inline_query', faqHandlers.handleInlineQuery);
 
 // Student callback handlers
 bot.action(/take_request:(.+)/, (ctx) => studentHandlers.handleTakeRequest(ctx, bot));
 bot.action(/edit_answer:(.+)/, studentHandlers.handleEditAnswerCallback);
 bot.action(/reject_assignment:(.+)/, (ctx) => studentHandlers.handleRejectAssignment(ctx, bot));
 
+// Clarification relay (requester side)
+bot.action(/^clarify_reply:(.+)$/, userHandlers.handleClarificationReplyStart);
+
+// FAQ search results (requester side)
+bot.action(/^faq_show:(.+)$/, faqHandlers.handleShowFAQ);
+
+// FAQ suggestions before submitting a request (requester side)
+bot.action(/^faq_helped:(.+)$/, userHandlers.handleFaqSuggestionHelped);
+bot.action(/^faq_submit:(.+)$/, userHandlers.handleFaqSuggestionSubmit);
+
+// Follow-up questions on closed requests (requester side)
+bot.action(/^followup:(.+)$/, userHandlers.handleFollowUpStart);
+
+// "My requests" list and detail view (requester side)
+bot.action(/^myreq:(.+)$/, myRequestHandlers.handleMyRequestsPage);
+bot.action(/^myreq_view:(.+)$/, myRequestHandlers.handleMyRequestDetails);
+bot.action('myreq_noop', myRequestHandlers.handleMyRequestsNoop);
+
+// Edit / withdraw submitted requests (requester side)
+bot.action(/^edit_request:(.+)$/, userHandlers.handleEditSubmittedRequest);
+bot.action(/^withdraw:(.+)$/, userHandlers.handleWithdrawRequest);
+bot.action(/^withdraw_confirm:(.+)$/, (ctx) => userHandlers.handleWithdrawConfirm(ctx, bot));
+bot.action('withdraw_cancel', userHandlers.handleWithdrawCancel);
+
+// Answer rating (requester side)
+bot.action(/^rate:(.+):([1-5])$/, (ctx) => userHandlers.handleRateAnswer(ctx, bot));
+
 // Enhanced error handling
 bot.catch((err, ctx) => {
   const errorContext = {
@@ -391,6 +526,7 @@ bot.catch((err, ctx) => {
 // Graceful shutdown handlers
 const gracefulShutdown = (signal) => {
   logInfo(`Bot shutting down due to ${signal}...`);
+  scheduler.stopScheduler();
 
   bot.stop(signal)
     .then(() => {
@@ -403,6 +539,9 @@ const gracefulShutdown = (signal) => {
     });
 };
 
+// Background jobs (assignment deadlines) only need bot.telegram, so they start alongside polling
+scheduler.startScheduler(bot);
+
 // Launch bot
 bot.launch()
   .then(() => {
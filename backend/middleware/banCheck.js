@@ -1,10 +1,29 @@
 const User = require('../models/user');
 const { logAction } = require('../logger');
+const { t } = require('../utils/i18nHelper');
+
+/**
+ * Build localized ban message with optional expiry date and reason
+ */
+const getBanMessage = (ctx, user) => {
+  let message = t(ctx, 'errors.banned');
+
+  if (user.banExpiresAt) {
+    message += '\n\n' + t(ctx, 'errors.banned_until', { date: user.banExpiresAt });
+  }
+
+  if (user.banReason) {
+    message += '\n' + t(ctx, 'errors.banned_reason', { reason: user.banReason });
+  }
+
+  return message;
+};
 
 /**
  * Middleware to check if user is banned.
  * Runs before all handlers. If user is banned, stops processing.
  * Skips group chats (admin/student chats) — ban only affects private bot usage.
+ * Temporary bans are lifted here once they expire.
  */
 const banCheckMiddleware = async (ctx, next) => {
   try {
@@ -25,6 +44,19 @@ const banCheckMiddleware = async (ctx, next) => {
       return next();
     }
 
+    // Temporary ban has expired — lift it and let the user through
+    if (user.isBanned && user.banExpiresAt && user.banExpiresAt <= new Date()) {
+      user.isBanned = false;
+      user.banReason = null;
+      user.bannedBy = null;
+      user.bannedAt = null;
+      user.banExpiresAt = null;
+      await user.save();
+
+      logAction('user_ban_expired', { telegramId: ctx.from.id });
+      return next();
+    }
+
     // If user is banned — block with message and stop processing
     if (user.isBanned) {
       logAction('banned_user_attempted_access', {
@@ -32,7 +64,16 @@ const banCheckMiddleware = async (ctx, next) => {
         username: ctx.from.username
       });
 
-      await ctx.reply('⛔ Ваш доступ к боту заблокирован. Если вы считаете, что это ошибка, свяжитесь с администрацией.');
+      // Inline queries have no chat to reply to
+      if (ctx.inlineQuery) {
+        await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+        return;
+      }
+
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery();
+      }
+      await ctx.reply(getBanMessage(ctx, user));
       return; // Do NOT call next() — stop processing
     }
 
@@ -44,4 +85,4 @@ const banCheckMiddleware = async (ctx, next) => {
   }
 };
 
-module.exports = { banCheckMiddleware };
\ No newline at end of file
+module.exports = { banCheckMiddleware };
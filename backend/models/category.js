@@ -6,13 +6,42 @@ const categorySchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Names in other languages by locale; name itself is in the default locale and is the fallback
+  nameTranslations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
   hashtag: {
     type: String,
     required: true,
     unique: true
+  },
+  // Hours a student has to answer before the request returns to the queue (null = ASSIGNMENT_DEADLINE_HOURS)
+  assignmentDeadlineHours: {
+    type: Number,
+    min: 1,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+/**
+ * Category name in a locale, falling back to the default locale
+ */
+categorySchema.methods.getName = function (locale) {
+  return (this.nameTranslations && this.nameTranslations.get(locale)) || this.name;
+};
+
+/**
+ * Find a category by its name in a locale (e.g. a pressed keyboard button); the default name always matches
+ */
+categorySchema.statics.findByLocalizedName = async function (text, locale) {
+  const categories = await this.find();
+  return categories.find(category => category.getName(locale) === text)
+    || categories.find(category => category.name === text)
+    || null;
+};
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const conversationStateSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+conversationStateSchema.index({ scope: 1, key: 1 }, { unique: true });
+// MongoDB removes expired documents in the background (roughly once a minute)
+conversationStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ConversationState', conversationStateSchema);
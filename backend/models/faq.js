@@ -9,6 +9,17 @@ const faqSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Question and answer in other languages by locale; question/answer are in the default locale and are the fallback
+  questionTranslations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  answerTranslations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
   categoryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -18,4 +29,18 @@ const faqSchema = new mongoose.Schema({
   timestamps: true
 });
 
+/**
+ * Question in a locale, falling back to the default locale
+ */
+faqSchema.methods.getQuestion = function (locale) {
+  return (this.questionTranslations && this.questionTranslations.get(locale)) || this.question;
+};
+
+/**
+ * Answer in a locale, falling back to the default locale
+ */
+faqSchema.methods.getAnswer = function (locale) {
+  return (this.answerTranslations && this.answerTranslations.get(locale)) || this.answer;
+};
+
 module.exports = mongoose.model('FAQ', faqSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// FAQ answers offered to a user before submitting a request, and what the user did next
+const faqSuggestionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  faqIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FAQ'
+  }],
+  // shown - no answer yet, deflected - an FAQ answered the question, submitted - the user sent the request anyway
+  outcome: {
+    type: String,
+    enum: ['shown', 'deflected', 'submitted'],
+    default: 'shown'
+  },
+  helpfulFaqId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FAQ',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FaqSuggestion', faqSuggestionSchema);
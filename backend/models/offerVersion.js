@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Published version of the public offer: users accept a version, a newer one asks them again
+const offerVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Offer text per locale code, users with a missing locale get the default-language text
+  texts: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  // Users are asked to accept the version from this moment on
+  effectiveAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('OfferVersion', offerVersionSchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+const MIN_TEXT_LENGTH = 150;
+// Follow-ups build on the parent request's context, so they may be short
+const FOLLOWUP_MIN_TEXT_LENGTH = 20;
+// Leaves room for the headers of the admin and student chat posts within Telegram's 4096 characters
+const MAX_TEXT_LENGTH = 3500;
+// The requester can still edit or withdraw a request until a student takes it
+const EDITABLE_STATUSES = ['pending', 'approved'];
+
 const requestSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,12 +22,35 @@ const requestSchema = new mongoose.Schema({
   text: {
     type: String,
     required: true,
-    minLength: 150,
-    maxLength: 3500
+    maxLength: MAX_TEXT_LENGTH,
+    validate: {
+      validator: function (value) {
+        const min = this.parentRequestId ? FOLLOWUP_MIN_TEXT_LENGTH : MIN_TEXT_LENGTH;
+        return value.length >= min;
+      },
+      message: 'Request text is too short'
+    }
+  },
+  // Set for follow-up questions asked on a closed request
+  parentRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    default: null,
+    index: true
+  },
+  // Earlier request of the same user with a similar text, found at submission (see utils/duplicates.js)
+  possibleDuplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    default: null
+  },
+  duplicateScore: {
+    type: Number,
+    default: null
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'declined', 'assigned', 'answered', 'closed'],
+    enum: ['pending', 'approved', 'declined', 'assigned', 'answered', 'closed', 'withdrawn'],
     default: 'pending'
   },
   studentId: {
@@ -31,20 +62,181 @@ const requestSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Latest submitted answer; every submitted version is kept in answerRevisions
   answerText: {
     type: String,
     default: null
   },
+  answerRevisions: [{
+    number: {
+      type: Number,
+      required: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['submitted', 'declined', 'approved'],
+      default: 'submitted'
+    },
+    // Admin comment that declined this revision and triggered the next one
+    feedback: {
+      type: String,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
 adminComment: {
     type: String,
     default: null
   },
+  attachments: [{
+    type: {
+      type: String,
+      enum: ['photo', 'document'],
+      required: true
+    },
+    // Telegram file_id - lets the bot resend the file without uploading it again
+    fileId: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String
+    },
+    mimeType: {
+      type: String
+    },
+    size: {
+      type: Number
+    },
+    // Local copy saved by src/multer.js
+    storedPath: {
+      type: String
+    }
+  }],
+  // Clarifying questions from the student and the requester's replies, relayed by the bot
+  clarifications: [{
+    author: {
+      type: String,
+      enum: ['student', 'user'],
+      required: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Requester's satisfaction rating, asked for once the answer is delivered
+  rating: {
+    score: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: null
+    },
+    comment: {
+      type: String,
+      default: null
+    },
+    ratedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Deadline escalations sent by the scheduler (see scheduler/assignmentDeadlines.js)
+  escalations: [{
+    type: {
+      type: String,
+      enum: ['reminder', 'overdue_warning', 'auto_unassigned'],
+      required: true
+    },
+    // Hours after assignment the escalation was scheduled for
+    step: {
+      type: Number,
+      required: true
+    },
+    // Escalations belong to one assignment; a new claim starts from scratch
+    assignedAt: {
+      type: Date,
+      required: true
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   studentChatMessageId: {
     type: Number,
     default: null
+  },
+  // Moderation message in the admin chat, updated when the user edits or withdraws a pending request
+  adminChatMessageId: {
+    type: Number,
+    default: null
+  },
+  // Set while an admin is entering a decline reason so that other admins cannot act on the request
+  reviewLock: {
+    adminId: {
+      type: Number,
+      default: null
+    },
+    lockedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Request', requestSchema);
\ No newline at end of file
+// Admin /search over the request, the answer and admin comments.
+// Most requests are in Russian, so Russian stemming is used for all of them.
+requestSchema.index(
+  {
+    text: 'text',
+    answerText: 'text',
+    adminComment: 'text',
+    'answerRevisions.feedback': 'text'
+  },
+  {
+    name: 'request_search',
+    default_language: 'russian',
+    weights: { text: 3, answerText: 2, adminComment: 1, 'answerRevisions.feedback': 1 }
+  }
+);
+
+const Request = mongoose.model('Request', requestSchema);
+Request.MIN_TEXT_LENGTH = MIN_TEXT_LENGTH;
+Request.FOLLOWUP_MIN_TEXT_LENGTH = FOLLOWUP_MIN_TEXT_LENGTH;
+Request.MAX_TEXT_LENGTH = MAX_TEXT_LENGTH;
+Request.EDITABLE_STATUSES = EDITABLE_STATUSES;
+
+module.exports = Request;
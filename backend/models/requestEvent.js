@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'submitted',
+  'edited',
+  'withdrawn',
+  'approved',
+  'declined',
+  'assigned',
+  'answered',
+  'answer_declined',
+  'reopened',
+  'unassigned',
+  'closed',
+  'merged'
+];
+
+// Append-only timeline of everything that happened to a request (see utils/requestEvents.js)
+const requestEventSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  // null for events triggered by the bot itself (e.g. deadline scheduler)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: ['user', 'student', 'admin', 'system'],
+    required: true
+  },
+  // Student the request was assigned to / taken from
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Decline reason, answer decline comment or answer text
+  text: {
+    type: String,
+    default: null
+  },
+  fromStatus: {
+    type: String,
+    default: null
+  },
+  // Why a request was unassigned: admin, student, deadline, suspension
+  source: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+requestEventSchema.index({ requestId: 1, createdAt: 1 });
+
+// Events are never changed once written
+requestEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function () {
+  throw new Error('Request events are append-only');
+});
+
+const RequestEvent = mongoose.model('RequestEvent', requestEventSchema);
+RequestEvent.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = RequestEvent;
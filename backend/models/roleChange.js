@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Audit record of every user role change
+const roleChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null for automatic changes (e.g. owner role synced from OWNER_TELEGRAM_IDS)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  fromRole: {
+    type: String,
+    required: true
+  },
+  toRole: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['command', 'bootstrap', 'auto', 'verification'],
+    default: 'command'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RoleChange', roleChangeSchema);
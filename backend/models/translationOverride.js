@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Translation edited by an admin with /text, shown instead of the text from the locale file
+const translationOverrideSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+translationOverrideSchema.index({ key: 1, locale: 1 }, { unique: true });
+
+module.exports = mongoose.model('TranslationOverride', translationOverrideSchema);
@@ -8,7 +8,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'student', 'admin'],
+    enum: ['user', 'student', 'admin', 'owner'],
     default: 'user'
   },
   firstName: {
@@ -29,10 +29,53 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  banReason: {
+    type: String,
+    default: null
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  // null means the ban is permanent
+  banExpiresAt: {
+    type: Date,
+    default: null
+  },
   offerAccepted: {
     type: Boolean,
     default: false
   },
+  // Offer version the user agreed to, null if accepted before offer versions were published
+  acceptedOfferVersion: {
+    type: Number,
+    default: null
+  },
+  offerAcceptedAt: {
+    type: Date,
+    default: null
+  },
+  // Student verification: users apply, admins approve before they can claim requests
+  studentStatus: {
+    type: String,
+    enum: ['none', 'pending', 'approved', 'rejected', 'suspended', 'retired'],
+    default: 'none'
+  },
+  studentProfile: {
+    fullName: { type: String, default: null },
+    university: { type: String, default: null },
+    year: { type: Number, default: null },
+    specialization: { type: String, default: null },
+    appliedAt: { type: Date, default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    statusReason: { type: String, default: null }
+  },
   currentAssignmentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Request',
@@ -0,0 +1,168 @@
+const Request = require('../models/request');
+const User = require('../models/user');
+const i18n = require('../i18n');
+const { logAction } = require('../logger');
+const { tAdmin } = require('../utils/i18nHelper');
+const { deleteStudentChatMessage, sendToStudentChat } = require('../handlers/admin');
+const { studentStates } = require('../handlers/student');
+const { HOUR_MS, getDeadlineConfig, getAssignmentDeadlineHours } = require('../utils/deadlines');
+const { recordRequestEvent } = require('../utils/requestEvents');
+
+/**
+ * Atomically record an escalation for the current assignment of a request.
+ * Returns null if the request was answered, unassigned or already escalated in the meantime.
+ */
+const recordEscalation = (request, type, step, update = {}) => {
+  return Request.findOneAndUpdate(
+    {
+      _id: request._id,
+      status: 'assigned',
+      assignedAt: request.assignedAt,
+      escalations: { $not: { $elemMatch: { type, step, assignedAt: request.assignedAt } } }
+    },
+    {
+      ...update,
+      $push: {
+        escalations: {
+          type,
+          step,
+          assignedAt: request.assignedAt,
+          studentId: request.studentId?._id
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+const formatStudent = (student) => {
+  if (!student) return tAdmin('admin.unknown_student');
+  return student.username ? `@${student.username}` : student.telegramId;
+};
+
+const sendSafely = async (bot, chatId, text) => {
+  try {
+    await bot.telegram.sendMessage(chatId, text);
+  } catch (error) {
+    console.error(`Error sending deadline notification to ${chatId}:`, error);
+  }
+};
+
+/**
+ * Take the request away from the student and post it to the student chat again
+ */
+const autoUnassign = async (bot, request, deadlineHours) => {
+  const student = request.studentId;
+
+  const updated = await recordEscalation(request, 'auto_unassigned', deadlineHours, {
+    $set: { status: 'approved', studentId: null, assignedAt: null, answerText: null }
+  });
+
+  if (!updated) return;
+
+  await recordRequestEvent(updated, 'unassigned', {
+    student,
+    fromStatus: 'assigned',
+    source: 'deadline'
+  });
+
+  if (student) {
+    await User.updateOne(
+      { _id: student._id, currentAssignmentId: request._id },
+      { $set: { currentAssignmentId: null } }
+    );
+    await studentStates.delete(student.telegramId);
+    await sendSafely(bot, student.telegramId, i18n.t('deadlines.auto_unassigned', student.language, {
+      id: request._id,
+      hours: deadlineHours
+    }));
+  }
+
+  await updated.populate('categoryId');
+  await deleteStudentChatMessage(bot, updated);
+  await sendToStudentChat(bot, updated, 'deadline_expired');
+
+  await sendSafely(
+    bot,
+    process.env.ADMIN_CHAT_ID,
+    tAdmin('deadlines.admin_auto_unassigned', { id: request._id, student: formatStudent(student), hours: deadlineHours })
+  );
+
+  logAction('request_auto_unassigned', {
+    requestId: request._id,
+    studentId: student?._id,
+    deadlineHours
+  });
+};
+
+/**
+ * Check a single assigned request and send due escalations
+ */
+const processAssignment = async (bot, request, config, now) => {
+  const elapsedHours = (now - request.assignedAt) / HOUR_MS;
+  const deadlineHours = getAssignmentDeadlineHours(request.categoryId);
+  const student = request.studentId;
+
+  if (elapsedHours >= deadlineHours) {
+    return autoUnassign(bot, request, deadlineHours);
+  }
+
+  if (config.overdueHours < deadlineHours && elapsedHours >= config.overdueHours) {
+    const warned = await recordEscalation(request, 'overdue_warning', config.overdueHours);
+    if (warned) {
+      const deadline = new Date(request.assignedAt.getTime() + deadlineHours * HOUR_MS);
+      await sendSafely(
+        bot,
+        process.env.ADMIN_CHAT_ID,
+        tAdmin('deadlines.admin_overdue_warning', {
+          id: request._id,
+          student: formatStudent(student),
+          hours: Math.floor(elapsedHours),
+          deadline
+        })
+      );
+      logAction('request_overdue_warning', { requestId: request._id, studentId: student?._id });
+    }
+  }
+
+  // If the bot was offline for a while, several reminders may be due at once - send only one
+  let reminded = false;
+  for (const step of config.reminderHours) {
+    if (step >= deadlineHours || elapsedHours < step) continue;
+    if (await recordEscalation(request, 'reminder', step)) {
+      reminded = true;
+    }
+  }
+
+  if (reminded && student) {
+    await sendSafely(bot, student.telegramId, i18n.t('deadlines.reminder', student.language, {
+      id: request._id,
+      hours: Math.max(1, Math.ceil(deadlineHours - elapsedHours))
+    }));
+    logAction('student_deadline_reminder', { requestId: request._id, studentId: student._id });
+  }
+};
+
+/**
+ * Scheduler job: remind students, warn admins and return overdue assignments to the queue
+ */
+const checkAssignmentDeadlines = async (bot) => {
+  const config = getDeadlineConfig();
+  const now = new Date();
+
+  const requests = await Request.find({ status: 'assigned', assignedAt: { $ne: null } })
+    .populate('categoryId')
+    .populate('studentId');
+
+  for (const request of requests) {
+    try {
+      await processAssignment(bot, request, config, now);
+    } catch (error) {
+      console.error(`Error checking deadline of request #${request._id}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  checkAssignmentDeadlines
+};
@@ -0,0 +1,24 @@
+const { logAction } = require('../logger');
+const { removeOrphanedAttachments } = require('../utils/attachments');
+
+// Scanning the uploads directory is not worth doing on every scheduler tick
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastRunAt = 0;
+
+/**
+ * Remove attachment files of abandoned request drafts (see utils/attachments.js for the retention rules)
+ */
+const cleanupOrphanedAttachments = async () => {
+  if (Date.now() - lastRunAt < CLEANUP_INTERVAL_MS) return;
+  lastRunAt = Date.now();
+
+  const removed = await removeOrphanedAttachments();
+  if (removed > 0) {
+    logAction('orphaned_attachments_removed', { count: removed });
+  }
+};
+
+module.exports = {
+  cleanupOrphanedAttachments
+};
@@ -0,0 +1,63 @@
+const { logInfo, logError } = require('../logger');
+const { checkAssignmentDeadlines } = require('./assignmentDeadlines');
+const { cleanupOrphanedAttachments } = require('./attachmentCleanup');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Periodic jobs, each called with the bot instance
+const jobs = [
+  { name: 'assignment_deadlines', run: checkAssignmentDeadlines },
+  { name: 'attachment_cleanup', run: cleanupOrphanedAttachments }
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * Run all jobs once; a tick is skipped while the previous one is still running
+ */
+const runJobs = async (bot) => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const job of jobs) {
+      try {
+        await job.run(bot);
+      } catch (error) {
+        logError(error, { context: `Scheduler job ${job.name} failed` });
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start running jobs every SCHEDULER_INTERVAL_MINUTES (5 by default)
+ * @param {Object} bot - Telegraf bot instance
+ */
+const startScheduler = (bot) => {
+  if (timer) return;
+
+  const minutes = parseFloat(process.env.SCHEDULER_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  timer = setInterval(() => runJobs(bot), minutes * 60 * 1000);
+
+  logInfo('Scheduler started', { intervalMinutes: minutes, jobs: jobs.map(job => job.name) });
+};
+
+/**
+ * Stop the scheduler (on shutdown)
+ */
+const stopScheduler = () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runJobs
+};
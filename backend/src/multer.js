@@ -26,6 +26,10 @@ class FileUploadHandler {
      */
     ensureUploadsDirectory() {
         try {
+            if (!fs.existsSync(this.uploadsDir)) {
+                fs.mkdirSync(this.uploadsDir, { recursive: true });
+            }
+
             // Check if uploads is a symlink (NFS setup)
             const stats = fs.lstatSync(this.uploadsDir);
             if (stats.isSymbolicLink()) {
@@ -216,6 +220,51 @@ class FileUploadHandler {
         }
     }
 
+    /**
+     * Save file contents received outside of an HTTP upload (e.g. downloaded from Telegram).
+     * Applies the same type filter, naming and image processing as multer uploads.
+     */
+    async saveBuffer(buffer, originalName, options = {}) {
+        const { processImages = true, imageOptions = {} } = options;
+
+        await new Promise((resolve, reject) => {
+            this.fileFilter(null, { originalname: originalName }, (error) => {
+                if (error) return reject(error);
+                resolve();
+            });
+        });
+
+        if (buffer.length > this.maxFileSize) {
+            throw new Error(`File too large. Maximum file size is ${this.maxFileSize / (1024 * 1024)}MB`);
+        }
+
+        const category = this.getFileCategory(originalName);
+        const filename = this.generateFilename(originalName);
+        const filePath = path.join(this.uploadsDir, category, filename);
+
+        fs.writeFileSync(filePath, buffer);
+
+        let storedPath = filePath;
+        let thumbnailPath = null;
+
+        // SVG is kept as is - sharp would rasterize it
+        const ext = path.extname(originalName).toLowerCase();
+        if (processImages && category === 'images' && ext !== '.svg') {
+            const processed = await this.processImage(filePath, imageOptions);
+            storedPath = processed.processedPath;
+            thumbnailPath = processed.thumbnailPath;
+        }
+
+        return {
+            filename: path.basename(storedPath),
+            originalName,
+            path: storedPath,
+            thumbnailPath,
+            category,
+            size: await this.getFileSize(storedPath)
+        };
+    }
+
     /**
      * Get file size
      */
@@ -340,7 +389,9 @@ module.exports = {
     multiple: (fieldName, maxCount) => fileHandler.multiple(fieldName, maxCount),
     processImage: (filePath, options) => fileHandler.processImage(filePath, options),
     validateAndGetMetadata: (file) => fileHandler.validateAndGetMetadata(file),
+    saveBuffer: (buffer, originalName, options) => fileHandler.saveBuffer(buffer, originalName, options),
     cleanupTempFiles: () => fileHandler.cleanupTempFiles(),
     errorHandler: (error, req, res, next) => fileHandler.errorHandler(error, req, res, next),
-    uploadsDir: fileHandler.uploadsDir
+    uploadsDir: fileHandler.uploadsDir,
+    maxFileSize: fileHandler.maxFileSize
 };
\ No newline at end of file
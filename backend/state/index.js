@@ -0,0 +1,99 @@
+const MemoryAdapter = require('./memoryAdapter');
+const MongoAdapter = require('./mongoAdapter');
+
+const DEFAULT_TTL_HOURS = 168; // 7 days - students may take several days to write an answer
+
+/**
+ * Create adapter selected by STATE_STORE env variable ('mongo' by default, or 'memory')
+ */
+const createAdapter = (type = process.env.STATE_STORE || 'mongo') => {
+  switch (type) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'mongo':
+      return new MongoAdapter();
+    default:
+      throw new Error(`Unknown state store: ${type}`);
+  }
+};
+
+let sharedAdapter = null;
+
+const getSharedAdapter = () => {
+  if (!sharedAdapter) {
+    sharedAdapter = createAdapter();
+  }
+  return sharedAdapter;
+};
+
+/**
+ * Conversation state store with a Map-like async API.
+ * Each handler module uses its own scope (user, student, admin),
+ * keyed by Telegram ID.
+ */
+class StateStore {
+  /**
+   * @param {String} scope - Namespace of the store (e.g. 'user')
+   * @param {Object} options - { adapter, ttlMs }
+   */
+  constructor(scope, options = {}) {
+    this.scope = scope;
+    this.adapter = options.adapter || null;
+    this.ttlMs = options.ttlMs ||
+      (parseFloat(process.env.STATE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 3600000;
+  }
+
+  getAdapter() {
+    // Resolved lazily so tests can swap the adapter before first use
+    return this.adapter || getSharedAdapter();
+  }
+
+  async get(telegramId) {
+    return this.getAdapter().get(this.scope, String(telegramId));
+  }
+
+  async set(telegramId, value) {
+    await this.getAdapter().set(this.scope, String(telegramId), value, this.ttlMs);
+    return this;
+  }
+
+  /**
+   * Atomically append an item to an array field of the state, so that concurrent updates
+   * (e.g. the photos of an album, which Telegram delivers as separate messages) do not overwrite each other
+   * @param {Number|String} telegramId - Telegram ID
+   * @param {String} field - Array field of the state
+   * @param {*} item - Item to append
+   * @param {Object} condition - { match: { field: value or [allowed values] }, maxLength } the state must satisfy
+   * @returns {Promise<Object|undefined>} - Updated state, or undefined if there is no state or it does not satisfy the condition
+   */
+  async push(telegramId, field, item, condition = {}) {
+    return this.getAdapter().push(this.scope, String(telegramId), field, item, condition, this.ttlMs);
+  }
+
+  async has(telegramId) {
+    return (await this.get(telegramId)) !== undefined;
+  }
+
+  async delete(telegramId) {
+    return this.getAdapter().delete(this.scope, String(telegramId));
+  }
+
+  async clear() {
+    await this.getAdapter().clear(this.scope);
+  }
+}
+
+/**
+ * Replace the adapter shared by all stores (e.g. with MemoryAdapter in tests)
+ */
+const setStateAdapter = (adapter) => {
+  sharedAdapter = adapter;
+};
+
+module.exports = {
+  StateStore,
+  MemoryAdapter,
+  MongoAdapter,
+  createAdapter,
+  setStateAdapter
+};
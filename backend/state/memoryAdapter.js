@@ -0,0 +1,81 @@
+/**
+ * In-memory state adapter.
+ * Used in tests and local runs without MongoDB. State is lost on restart
+ * and is not shared between bot processes.
+ */
+class MemoryAdapter {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  entryKey(scope, key) {
+    return `${scope}:${key}`;
+  }
+
+  // Synchronous, so that push can read and write without another update running in between
+  readValue(scope, key) {
+    const entryKey = this.entryKey(scope, key);
+    const entry = this.entries.get(entryKey);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(entryKey);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  async get(scope, key) {
+    return this.readValue(scope, key);
+  }
+
+  async set(scope, key, value, ttlMs) {
+    this.entries.set(this.entryKey(scope, key), {
+      value,
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  async push(scope, key, field, item, condition, ttlMs) {
+    const { match = {}, maxLength = Infinity } = condition;
+    const value = this.readValue(scope, key);
+
+    if (!value) {
+      return undefined;
+    }
+
+    const matches = Object.entries(match).every(([path, expected]) => {
+      return Array.isArray(expected)
+        ? expected.includes(value[path])
+        : String(value[path]) === String(expected);
+    });
+    const items = value[field] || [];
+
+    if (!matches || items.length >= maxLength) {
+      return undefined;
+    }
+
+    // A new object, as the Mongo adapter would return, so earlier reads are not changed under the caller
+    const updated = { ...value, [field]: [...items, item] };
+    this.entries.set(this.entryKey(scope, key), { value: updated, expiresAt: Date.now() + ttlMs });
+    return updated;
+  }
+
+  async delete(scope, key) {
+    return this.entries.delete(this.entryKey(scope, key));
+  }
+
+  async clear(scope) {
+    for (const entryKey of this.entries.keys()) {
+      if (entryKey.startsWith(`${scope}:`)) {
+        this.entries.delete(entryKey);
+      }
+    }
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,59 @@
+const ConversationState = require('../models/conversationState');
+
+/**
+ * MongoDB state adapter.
+ * Keeps conversation state in the conversationstates collection so that
+ * half-finished flows survive restarts and are shared between bot processes.
+ */
+class MongoAdapter {
+  async get(scope, key) {
+    // The TTL monitor is not instant, so filter out expired entries explicitly
+    const doc = await ConversationState.findOne({
+      scope,
+      key,
+      expiresAt: { $gt: new Date() }
+    }).lean();
+
+    return doc ? doc.data : undefined;
+  }
+
+  async set(scope, key, value, ttlMs) {
+    await ConversationState.updateOne(
+      { scope, key },
+      { $set: { data: value, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  }
+
+  async push(scope, key, field, item, condition, ttlMs) {
+    const { match = {}, maxLength = Infinity } = condition;
+    const filter = { scope, key, expiresAt: { $gt: new Date() } };
+
+    for (const [path, expected] of Object.entries(match)) {
+      filter[`data.${path}`] = Array.isArray(expected) ? { $in: expected } : expected;
+    }
+    if (Number.isFinite(maxLength)) {
+      // The array is shorter than maxLength if it has no element at index maxLength - 1
+      filter[`data.${field}.${maxLength - 1}`] = { $exists: false };
+    }
+
+    const doc = await ConversationState.findOneAndUpdate(
+      filter,
+      { $push: { [`data.${field}`]: item }, $set: { expiresAt: new Date(Date.now() + ttlMs) } },
+      { new: true }
+    ).lean();
+
+    return doc ? doc.data : undefined;
+  }
+
+  async delete(scope, key) {
+    const result = await ConversationState.deleteOne({ scope, key });
+    return result.deletedCount > 0;
+  }
+
+  async clear(scope) {
+    await ConversationState.deleteMany({ scope });
+  }
+}
+
+module.exports = MongoAdapter;
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const Request = require('../models/request');
+const RequestEvent = require('../models/requestEvent');
+const { setStateAdapter, MemoryAdapter } = require('../state');
+const adminHandlers = require('../handlers/admin');
+
+const KEYBOARD = { inline_keyboard: [[{ text: 'Approve', callback_data: 'approve_request:r1' }]] };
+
+/**
+ * Mongoose query stand-in that can be populated and awaited
+ */
+const query = (result) => ({
+  populate() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  }
+});
+
+/**
+ * Callback query from the moderation card of request r1 in the admin chat
+ */
+const createCallbackContext = (data) => ({
+  from: { id: 1 },
+  chat: { id: -100 },
+  locale: 'en',
+  state: {},
+  callbackQuery: { data, message: { message_id: 7, text: 'Request #r1', reply_markup: KEYBOARD } },
+  answers: [],
+  edits: [],
+  replies: [],
+  async answerCbQuery(text) {
+    this.answers.push(text);
+  },
+  async editMessageText(text, extra) {
+    this.edits.push({ text, extra });
+  },
+  async reply(text) {
+    this.replies.push(text);
+  }
+});
+
+const createBot = () => {
+  const markupEdits = [];
+
+  return {
+    markupEdits,
+    telegram: {
+      sendMessage: async () => ({ message_id: 1 }),
+      editMessageReplyMarkup: async (chatId, messageId, inlineMessageId, markup) => {
+        markupEdits.push({ chatId, messageId, markup });
+      }
+    }
+  };
+};
+
+describe('moderation cards', () => {
+  let bot;
+
+  beforeEach(() => {
+    setStateAdapter(new MemoryAdapter());
+    bot = createBot();
+    mock.method(User, 'findOne', async () => new User({ telegramId: 1, role: 'admin' }));
+    mock.method(Request, 'findById', () => query({ _id: 'r1', status: 'pending' }));
+    mock.method(RequestEvent, 'create', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the buttons when another admin holds the review lock', async () => {
+    mock.method(Request, 'findOneAndUpdate', async () => null);
+    mock.method(Request, 'exists', async () => ({ _id: 'r1' }));
+    const ctx = createCallbackContext('approve_request:r1');
+
+    await adminHandlers.handleApproveRequest(ctx, bot);
+
+    assert.deepEqual(ctx.answers, ['Another administrator is already handling this request.']);
+    assert.deepEqual(ctx.edits, []);
+  });
+
+  it('removes the buttons when the request was processed meanwhile', async () => {
+    mock.method(Request, 'findOneAndUpdate', async () => null);
+    mock.method(Request, 'exists', async () => null);
+    const ctx = createCallbackContext('approve_request:r1');
+
+    await adminHandlers.handleApproveRequest(ctx, bot);
+
+    assert.deepEqual(ctx.answers, ['This request has already been processed.']);
+    assert.deepEqual(ctx.edits, [{ text: 'Request #r1', extra: { reply_markup: { inline_keyboard: [] } } }]);
+  });
+
+  it('keeps the buttons while a decline reason is entered and removes them once it is declined', async () => {
+    const declined = {
+      _id: 'r1',
+      status: 'declined',
+      userId: { telegramId: 5, language: 'en' },
+      categoryId: { getName: () => 'Housing' },
+      populate: async () => {}
+    };
+    mock.method(Request, 'findOneAndUpdate', async (filter, update) => (update.$set.status ? declined : { _id: 'r1' }));
+    const ctx = createCallbackContext('decline_request:r1');
+
+    await adminHandlers.handleDeclineRequest(ctx);
+
+    assert.equal(ctx.edits.length, 1);
+    assert.equal(ctx.edits[0].extra.reply_markup, KEYBOARD);
+    assert.deepEqual(bot.markupEdits, []);
+
+    await adminHandlers.handleDeclineReason({ ...ctx, message: { text: 'Not a legal question' } }, bot);
+
+    assert.deepEqual(bot.markupEdits, [{ chatId: -100, messageId: 7, markup: { inline_keyboard: [] } }]);
+  });
+});
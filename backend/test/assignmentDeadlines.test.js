@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const Request = require('../models/request');
+const RequestEvent = require('../models/requestEvent');
+const { setStateAdapter, MemoryAdapter } = require('../state');
+const adminHandlers = require('../handlers/admin');
+const { checkAssignmentDeadlines } = require('../scheduler/assignmentDeadlines');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Enough of the Mongo query language for the queries of the decline handler and the deadline job
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+
+  const value = getPath(doc, path);
+  if (condition === null) return value == null;
+  if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+  if (typeof condition === 'object' && '$ne' in condition) return value !== condition.$ne;
+  if (typeof condition === 'object' && '$lt' in condition) return value != null && value < condition.$lt;
+  if (typeof condition === 'object' && '$not' in condition) {
+    return !value.some(item => matches(item, condition.$not.$elemMatch));
+  }
+  return String(value) === String(condition);
+});
+
+describe('declined answers and assignment deadlines', () => {
+  let request;
+  let student;
+  let sent;
+  let bot;
+
+  beforeEach(() => {
+    process.env.ADMIN_CHAT_ID = '-100';
+    process.env.STUDENT_CHAT_ID = '-200';
+    setStateAdapter(new MemoryAdapter());
+
+    sent = [];
+    bot = {
+      telegram: {
+        sendMessage: async (chatId, text) => {
+          sent.push({ chatId, text });
+          return { message_id: sent.length };
+        },
+        editMessageReplyMarkup: async () => {},
+        deleteMessage: async () => {}
+      }
+    };
+
+    student = { _id: 's1', telegramId: 9, language: 'en' };
+    request = {
+      _id: 'r1',
+      status: 'answered',
+      text: 'Request text',
+      studentId: student,
+      assignedAt: new Date(Date.now() - 80 * HOUR_MS),
+      categoryId: { name: 'Housing', hashtag: '#housing', getName: () => 'Housing' },
+      answerRevisions: [{ number: 1, text: 'Answer' }],
+      escalations: [],
+      reviewLock: { adminId: null, lockedAt: null },
+      populate: async () => request,
+      save: async () => request
+    };
+
+    mock.method(User, 'findOne', async () => new User({ telegramId: 1, role: 'admin' }));
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Request, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(RequestEvent, 'create', async () => ({}));
+    mock.method(Request, 'find', (filter) => {
+      const result = matches(request, filter) ? [request] : [];
+      return { populate() { return this; }, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    });
+    mock.method(Request, 'findOneAndUpdate', async (filter, update) => {
+      if (!matches(request, filter)) return null;
+      Object.assign(request, update.$set);
+      for (const [field, item] of Object.entries(update.$push || {})) {
+        request[field].push(item);
+      }
+      return request;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ADMIN_CHAT_ID;
+    delete process.env.STUDENT_CHAT_ID;
+  });
+
+  const declineAnswer = async () => {
+    await adminHandlers.adminStates.set(1, { state: 'entering_answer_decline_reason', requestId: 'r1' });
+    await adminHandlers.handleAnswerDeclineReason({
+      from: { id: 1 },
+      chat: { id: -100 },
+      locale: 'en',
+      state: {},
+      message: { text: 'Cite the law' },
+      reply: async () => {}
+    }, bot);
+  };
+
+  it('leaves an answer waiting for review alone', async () => {
+    await checkAssignmentDeadlines(bot);
+
+    assert.equal(request.status, 'answered');
+    assert.deepEqual(sent, []);
+  });
+
+  it('gives a declined answer back to the student under the assignment deadline', async () => {
+    await declineAnswer();
+
+    assert.equal(request.status, 'assigned');
+    assert.equal(request.adminComment, 'Cite the law');
+
+    sent = [];
+    await checkAssignmentDeadlines(bot);
+
+    assert.equal(request.status, 'approved');
+    assert.equal(request.studentId, null);
+    assert.ok(sent.some(({ chatId, text }) => chatId === 9 && text.startsWith('⌛ The deadline for request #r1')));
+    assert.ok(sent.some(({ chatId }) => chatId === '-200'));
+  });
+});
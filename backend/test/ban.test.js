@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const Request = require('../models/request');
+const Category = require('../models/category');
+const RequestEvent = require('../models/requestEvent');
+const { handleDeclineBannedPending, parseDuration } = require('../handlers/ban');
+
+describe('parseDuration', () => {
+  it('parses minutes, hours, days and weeks', () => {
+    assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+    assert.equal(parseDuration('12H'), 12 * 60 * 60 * 1000);
+    assert.equal(parseDuration('2w'), 14 * 24 * 60 * 60 * 1000);
+  });
+
+  it('treats anything else as no duration', () => {
+    assert.equal(parseDuration('0d'), null);
+    assert.equal(parseDuration('spam'), null);
+    assert.equal(parseDuration(undefined), null);
+  });
+});
+
+describe('declining the pending requests of a banned user', () => {
+  let ctx;
+  let sent;
+  let markupEdits;
+  let bot;
+  let target;
+
+  beforeEach(() => {
+    process.env.ADMIN_CHAT_ID = '-100';
+    process.env.ADMIN_CHAT_LOCALE = 'en';
+    sent = [];
+    markupEdits = [];
+    bot = {
+      telegram: {
+        sendMessage: async (chatId, text, extra) => {
+          sent.push({ chatId, text, extra });
+          return { message_id: 1 };
+        },
+        editMessageReplyMarkup: async (chatId, messageId) => {
+          markupEdits.push({ chatId, messageId });
+        }
+      }
+    };
+    ctx = {
+      from: { id: 1 },
+      locale: 'en',
+      state: {},
+      callbackQuery: { data: 'ban_decline_pending:u1', message: { text: 'User banned' } },
+      answers: [],
+      edits: [],
+      async answerCbQuery(text) {
+        this.answers.push(text);
+      },
+      async editMessageText(text) {
+        this.edits.push(text);
+      }
+    };
+    target = new User({ telegramId: 5, language: 'en', isBanned: true });
+    const category = new Category({ name: 'Жильё', nameTranslations: { en: 'Housing' } });
+
+    mock.method(User, 'findOne', async () => new User({ telegramId: 1, role: 'admin' }));
+    mock.method(User, 'findById', async () => target);
+    mock.method(Request, 'find', async () => [{ _id: 'r1' }, { _id: 'r2' }]);
+    // r2 is being reviewed by another admin, so only r1 is declined
+    mock.method(Request, 'findOneAndUpdate', async (filter, update) => {
+      if (filter._id !== 'r1') return null;
+      const declined = new Request({ ...update.$set, adminChatMessageId: 42 });
+      mock.method(declined, 'populate', async () => {
+        declined.categoryId = category;
+      });
+      return declined;
+    });
+    mock.method(RequestEvent, 'create', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ADMIN_CHAT_ID;
+    delete process.env.ADMIN_CHAT_LOCALE;
+  });
+
+  it('declines the requests, marks their moderation cards and tells the user', async () => {
+    await handleDeclineBannedPending(ctx, bot);
+
+    assert.deepEqual(markupEdits, [{ chatId: '-100', messageId: 42 }]);
+    assert.match(sent[0].text, /^⛔ Request #\w+ was declined: the user is banned\.$/);
+    assert.equal(sent[0].extra.reply_to_message_id, 42);
+    assert.equal(sent[1].chatId, 5);
+    assert.equal(sent[1].text, '❌ Your request in the "Housing" category has been declined.\n\nReason: The user is banned');
+    assert.equal(ctx.edits[0], 'User banned\n\n❌ Requests declined: 1 of 2.');
+  });
+
+  it('is only available to admins', async () => {
+    User.findOne.mock.mockImplementation(async () => new User({ telegramId: 1 }));
+
+    await handleDeclineBannedPending(ctx, bot);
+
+    assert.deepEqual(ctx.answers, ['This command is available only to administrators.']);
+    assert.equal(Request.findOneAndUpdate.mock.callCount(), 0);
+    assert.deepEqual(sent, []);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const FAQ = require('../models/faq');
+const { findMatchingFAQs, searchFAQs } = require('../utils/faqMatcher');
+
+const faqs = [
+  new FAQ({
+    question: 'Как вернуть депозит за аренду квартиры?',
+    answer: 'Направьте арендодателю письменную претензию о возврате депозита.',
+    questionTranslations: { en: 'How do I get my rental deposit back?' }
+  }),
+  new FAQ({
+    question: 'Как подать на алименты?',
+    answer: 'Заявление о взыскании алиментов подаётся в суд по месту жительства.'
+  }),
+  new FAQ({
+    question: 'Что делать, если не выплатили зарплату?',
+    answer: 'Обратитесь в трудовую инспекцию или в суд.'
+  })
+];
+
+describe('faqMatcher', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.FAQ_SUGGESTION_THRESHOLD;
+  });
+
+  it('suggests the FAQ entries that match a request text, best first', async () => {
+    mock.method(FAQ, 'find', async () => faqs);
+
+    const matches = await findMatchingFAQs('category', 'Арендодатель не возвращает депозит за квартиру, что делать?', 'ru');
+
+    assert.ok(matches.length > 0);
+    assert.equal(matches[0].faq, faqs[0]);
+    assert.ok(matches.every(({ score }) => score >= 0.2));
+  });
+
+  it('suggests nothing below FAQ_SUGGESTION_THRESHOLD', async () => {
+    mock.method(FAQ, 'find', async () => faqs);
+    process.env.FAQ_SUGGESTION_THRESHOLD = '0.99';
+
+    assert.deepEqual(await findMatchingFAQs('category', 'Арендодатель не возвращает депозит', 'ru'), []);
+  });
+
+  it('finds entries by a short query in another grammatical form', async () => {
+    mock.method(FAQ, 'find', async () => faqs);
+
+    const results = await searchFAQs('алиментами', 5, 'ru');
+
+    assert.deepEqual(results, [faqs[1]]);
+  });
+
+  it('searches translated questions as well as the default language', async () => {
+    mock.method(FAQ, 'find', async () => faqs);
+
+    assert.deepEqual(await searchFAQs('rental deposit', 5, 'en'), [faqs[0]]);
+    assert.deepEqual(await searchFAQs('депозит', 5, 'en'), [faqs[0]]);
+  });
+
+  it('limits the number of search results', async () => {
+    mock.method(FAQ, 'find', async () => faqs);
+
+    assert.equal((await searchFAQs('суд', 1, 'ru')).length, 1);
+  });
+});
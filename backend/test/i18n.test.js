@@ -0,0 +1,139 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../i18n');
+
+const PLURAL = '{count, plural, =0 {нет обращений} one {# обращение} few {# обращения} many {# обращений} other {# обращения}}';
+
+describe('i18n plurals', () => {
+  it('picks the Russian plural form', () => {
+    assert.equal(i18n.interpolate(PLURAL, { count: 1 }, 'ru'), '1 обращение');
+    assert.equal(i18n.interpolate(PLURAL, { count: 3 }, 'ru'), '3 обращения');
+    assert.equal(i18n.interpolate(PLURAL, { count: 5 }, 'ru'), '5 обращений');
+    assert.equal(i18n.interpolate(PLURAL, { count: 21 }, 'ru'), '21 обращение');
+    assert.equal(i18n.interpolate(PLURAL, { count: 1.5 }, 'ru'), '1,5 обращения');
+  });
+
+  it('prefers an exact =N branch', () => {
+    assert.equal(i18n.interpolate(PLURAL, { count: 0 }, 'ru'), 'нет обращений');
+  });
+
+  it('falls back to the other branch for forms the message does not have', () => {
+    const template = '{count, plural, one {# request} other {# requests}}';
+    assert.equal(i18n.interpolate(template, { count: 1 }, 'en'), '1 request');
+    assert.equal(i18n.interpolate(template, { count: 2 }, 'en'), '2 requests');
+    assert.equal(i18n.interpolate(template, { count: 5 }, 'ru'), '5 requests');
+  });
+
+  it('formats the number of # with the locale grouping', () => {
+    const template = '{count, plural, other {# requests}}';
+    assert.match(i18n.interpolate(template, { count: 12345 }, 'ru'), /^12\s345 requests$/);
+    assert.equal(i18n.interpolate(template, { count: 12345 }, 'en'), '12,345 requests');
+  });
+
+  it('keeps # before {{ as a request number sign', () => {
+    const template = '{count, plural, one {# reply to #{{id}}} other {# replies to #{{id}}}}';
+    assert.equal(i18n.interpolate(template, { count: 2, id: 'abc' }, 'en'), '2 replies to #abc');
+  });
+
+  it('leaves the block alone without a count', () => {
+    assert.equal(i18n.interpolate(PLURAL, {}, 'ru'), PLURAL);
+  });
+});
+
+describe('i18n variables', () => {
+  afterEach(() => {
+    delete process.env.CLINIC_TIME_ZONE;
+  });
+
+  it('substitutes variables and leaves unknown ones', () => {
+    assert.equal(i18n.interpolate('{{user}} wrote {{text}}', { user: '@ali' }, 'en'), '@ali wrote {{text}}');
+  });
+
+  it('formats dates in the clinic time zone', () => {
+    process.env.CLINIC_TIME_ZONE = 'Asia/Tashkent';
+    const date = new Date('2026-10-19T20:30:00Z');
+
+    assert.equal(i18n.interpolate('{{date, date}}', { date }, 'ru'), '20.10.2026');
+    assert.equal(i18n.interpolate('{{date, time}}', { date }, 'ru'), '01:30');
+    assert.equal(i18n.interpolate('{{date, datetime}}', { date }, 'en'), '20/10/2026, 01:30');
+  });
+
+  it('formats numbers', () => {
+    assert.equal(i18n.interpolate('{{value, number}}', { value: 4.5 }, 'ru'), '4,5');
+    assert.equal(i18n.interpolate('{{value, number}}', { value: 4.5 }, 'en'), '4.5');
+  });
+});
+
+describe('i18n parseDate', () => {
+  afterEach(() => {
+    delete process.env.CLINIC_TIME_ZONE;
+  });
+
+  it('returns midnight in the clinic time zone', () => {
+    process.env.CLINIC_TIME_ZONE = 'Asia/Tashkent';
+    assert.equal(i18n.parseDate('2026-11-01').toISOString(), '2026-10-31T19:00:00.000Z');
+
+    process.env.CLINIC_TIME_ZONE = 'America/New_York';
+    assert.equal(i18n.parseDate('2026-03-08').toISOString(), '2026-03-08T05:00:00.000Z');
+  });
+
+  it('rejects dates that do not exist', () => {
+    assert.equal(i18n.parseDate('2026-02-30'), null);
+    assert.equal(i18n.parseDate('01.11.2026'), null);
+    assert.equal(i18n.parseDate(undefined), null);
+  });
+
+  it('finds the clinic day of a moment', () => {
+    process.env.CLINIC_TIME_ZONE = 'Asia/Tashkent';
+    const moment = new Date('2026-11-05T20:00:00.000Z');
+
+    assert.equal(i18n.startOfDay(moment).toISOString(), '2026-11-05T19:00:00.000Z');
+    assert.equal(i18n.startOfDay(moment, -6).toISOString(), '2026-10-30T19:00:00.000Z');
+  });
+});
+
+describe('i18n messages', () => {
+  afterEach(() => {
+    i18n.setOverrides([]);
+  });
+
+  it('translates keys and falls back to the default language', () => {
+    assert.equal(i18n.t('buttons.cancel', 'en'), 'Cancel');
+    assert.equal(i18n.t('buttons.cancel', 'fr'), i18n.t('buttons.cancel', 'ru'));
+  });
+
+  it('returns the key of a missing message', () => {
+    assert.equal(i18n.t('no.such.key', 'en'), 'no.such.key');
+  });
+
+  it('resolves $t() references to messages of the same locale', () => {
+    assert.equal(i18n.resolveReferences('A and $t(buttons.cancel)', 'en'), 'A and Cancel');
+    assert.equal(i18n.resolveReferences('A and $t(no.such.key)', 'en'), 'A and $t(no.such.key)');
+  });
+
+  it('stops at reference loops', () => {
+    i18n.setOverride('test.loop', 'en', 'loop $t(test.loop)');
+
+    assert.match(i18n.t('test.loop', 'en'), /^(loop )+\$t\(test\.loop\)$/);
+  });
+
+  it('prefers admin overrides over the locale file', () => {
+    i18n.setOverride('buttons.cancel', 'en', 'Never mind');
+    assert.equal(i18n.t('buttons.cancel', 'en'), 'Never mind');
+
+    i18n.removeOverride('buttons.cancel', 'en');
+    assert.equal(i18n.t('buttons.cancel', 'en'), 'Cancel');
+  });
+
+  it('checks overrides for variables and references the original does not have', () => {
+    const result = i18n.checkOverride('errors.invalid_length', 'en', 'At least {{min}} characters, {{max}} at most. $t(no.such)');
+
+    assert.deepEqual(result, { unknownVariables: ['max'], unknownReferences: ['no.such'] });
+  });
+});
+
+describe('locale files', () => {
+  it('have the same keys and variables in every locale and no unknown keys in the code', () => {
+    assert.deepEqual(i18n.formatValidationReport(i18n.validate()), []);
+  });
+});
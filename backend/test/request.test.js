@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const Request = require('../models/request');
+const { setStateAdapter, MemoryAdapter } = require('../state');
+const requestHandlers = require('../handlers/request');
+
+/**
+ * Mongoose query stand-in for the browser page lookup
+ */
+const query = (result) => ({
+  sort() {
+    return this;
+  },
+  skip() {
+    return this;
+  },
+  limit() {
+    return this;
+  },
+  populate() {
+    return this;
+  },
+  then(resolve, reject) {
+    return Promise.resolve(result).then(resolve, reject);
+  }
+});
+
+const createContext = (extra) => ({
+  from: { id: 1 },
+  chat: { id: -100 },
+  locale: 'en',
+  state: {},
+  replies: [],
+  edits: [],
+  async reply(text) {
+    this.replies.push(text);
+    return { message_id: 7 };
+  },
+  async answerCbQuery() {},
+  async editMessageText(text) {
+    this.edits.push(text);
+  },
+  ...extra
+});
+
+describe('request browser dates', () => {
+  let matches;
+
+  beforeEach(() => {
+    process.env.CLINIC_TIME_ZONE = 'Asia/Tashkent';
+    setStateAdapter(new MemoryAdapter());
+    matches = [];
+    mock.method(User, 'findOne', async () => new User({ telegramId: 1, role: 'admin' }));
+    mock.method(Request, 'aggregate', async (pipeline) => {
+      matches.push(pipeline[0].$match);
+      return [];
+    });
+    mock.method(Request, 'find', () => query([]));
+  });
+
+  afterEach(() => {
+    delete process.env.CLINIC_TIME_ZONE;
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('filters from:/to: by whole days in the clinic time zone', async () => {
+    const ctx = createContext({ message: { text: '/requests from:2026-11-01 to:2026-11-02' } });
+
+    await requestHandlers.handleListRequests(ctx);
+
+    assert.deepEqual(matches[0].createdAt, {
+      $gte: new Date('2026-10-31T19:00:00.000Z'),
+      $lt: new Date('2026-11-02T19:00:00.000Z')
+    });
+    assert.ok(ctx.replies[0].includes('from 01/11/2026; to 02/11/2026'));
+  });
+
+  it('starts the period buttons at clinic midnight', async () => {
+    // 01:00 on November 6 in Tashkent, still November 5 in UTC
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-11-05T20:00:00.000Z') });
+    await requestHandlers.handleListRequests(createContext({ message: { text: '/requests' } }));
+
+    const ctx = createContext({ callbackQuery: { data: 'rb:period:7', message: { message_id: 7 } } });
+    await requestHandlers.handleRequestBrowserCallback(ctx);
+
+    assert.deepEqual(matches[1].createdAt, { $gte: new Date('2026-10-30T19:00:00.000Z') });
+    assert.equal(ctx.edits.length, 1);
+  });
+});
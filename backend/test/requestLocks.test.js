@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Request = require('../models/request');
+const User = require('../models/user');
+const {
+  transitionRequest,
+  lockForReview,
+  claimRequestForStudent,
+  REVIEW_LOCK_TTL_MS
+} = require('../utils/requestLocks');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Enough of the Mongo query language for the conditional updates in requestLocks
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+
+  const value = getPath(doc, path);
+  if (condition === null) return value == null;
+  if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+  if (typeof condition === 'object' && '$lt' in condition) return value != null && value < condition.$lt;
+  return value === condition;
+});
+
+/**
+ * Stand-in for a collection: every update is checked and applied in one step, as in MongoDB
+ */
+const fakeCollection = (Model, docs) => {
+  const updateFirst = (filter, update) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc) return null;
+    Object.assign(doc, structuredClone(update.$set));
+    return structuredClone(doc);
+  };
+
+  mock.method(Model, 'findOneAndUpdate', async (filter, update) => updateFirst(filter, update));
+  mock.method(Model, 'updateOne', async (filter, update) => ({ modifiedCount: updateFirst(filter, update) ? 1 : 0 }));
+  return docs;
+};
+
+const NOW = new Date('2026-10-19T12:00:00Z').getTime();
+
+describe('requestLocks', () => {
+  let requests;
+  let users;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    requests = fakeCollection(Request, [
+      { _id: 'r1', status: 'pending', reviewLock: { adminId: null, lockedAt: null } },
+      { _id: 'r2', status: 'approved', reviewLock: { adminId: null, lockedAt: null } }
+    ]);
+    users = fakeCollection(User, [
+      { _id: 's1', currentAssignmentId: null },
+      { _id: 's2', currentAssignmentId: null }
+    ]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  describe('transitionRequest', () => {
+    it('lets only the first of two admins decide on a request', async () => {
+      const [approved, declined] = await Promise.all([
+        transitionRequest('r1', 'pending', { status: 'approved' }, { adminId: 1 }),
+        transitionRequest('r1', 'pending', { status: 'declined' }, { adminId: 2 })
+      ]);
+
+      assert.equal(approved.status, 'approved');
+      assert.equal(declined, null);
+      assert.equal(requests[0].status, 'approved');
+    });
+
+    it('does nothing when the request no longer has the expected status', async () => {
+      assert.equal(await transitionRequest('r2', 'pending', { status: 'declined' }), null);
+      assert.equal(requests[1].status, 'approved');
+    });
+  });
+
+  describe('lockForReview', () => {
+    it('keeps other admins out until the locking admin decides', async () => {
+      assert.ok(await lockForReview('r1', 'pending', 1));
+
+      assert.equal(await lockForReview('r1', 'pending', 2), null);
+      assert.equal(await transitionRequest('r1', 'pending', { status: 'approved' }, { adminId: 2 }), null);
+
+      const declined = await transitionRequest('r1', 'pending', { status: 'declined' }, { adminId: 1 });
+      assert.equal(declined.status, 'declined');
+      assert.deepEqual(declined.reviewLock, { adminId: null, lockedAt: null });
+    });
+
+    it('lets another admin take over an expired lock', async () => {
+      await lockForReview('r1', 'pending', 1);
+
+      mock.timers.tick(REVIEW_LOCK_TTL_MS - 1);
+      assert.equal(await lockForReview('r1', 'pending', 2), null);
+
+      mock.timers.tick(2);
+      const locked = await lockForReview('r1', 'pending', 2);
+      assert.equal(locked.reviewLock.adminId, 2);
+    });
+
+    it('makes changes without an admin wait for any review lock', async () => {
+      await lockForReview('r1', 'pending', 1);
+      assert.equal(await transitionRequest('r1', 'pending', { text: 'edited' }, { adminId: null }), null);
+
+      mock.timers.tick(REVIEW_LOCK_TTL_MS + 1);
+      const edited = await transitionRequest('r1', 'pending', { text: 'edited' }, { adminId: null });
+      assert.equal(edited.text, 'edited');
+    });
+  });
+
+  describe('claimRequestForStudent', () => {
+    it('gives the request to one of two students and frees the other one\'s slot', async () => {
+      const first = { _id: 's1', currentAssignmentId: null };
+      const second = { _id: 's2', currentAssignmentId: null };
+
+      const results = await Promise.all([
+        claimRequestForStudent('r2', first),
+        claimRequestForStudent('r2', second)
+      ]);
+
+      assert.equal(results[0].request.studentId, 's1');
+      assert.deepEqual(results[1], { error: 'errors.request_already_taken' });
+      assert.equal(requests[1].status, 'assigned');
+      assert.equal(first.currentAssignmentId, 'r2');
+      assert.deepEqual(users.map(user => user.currentAssignmentId), ['r2', null]);
+    });
+
+    it('refuses a student who already has an assignment', async () => {
+      users[0].currentAssignmentId = 'other';
+
+      const result = await claimRequestForStudent('r2', { _id: 's1' });
+
+      assert.deepEqual(result, { error: 'errors.already_has_assignment' });
+      assert.equal(requests[1].status, 'approved');
+      assert.equal(users[0].currentAssignmentId, 'other');
+    });
+  });
+});
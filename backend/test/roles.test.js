@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const RoleChange = require('../models/roleChange');
+const { getOrCreateUser } = require('../handlers/common');
+const { handleDemote } = require('../handlers/roles');
+const { getBaseRole } = require('../utils/roles');
+
+describe('getBaseRole', () => {
+  it('keeps verified students students', () => {
+    assert.equal(getBaseRole(new User({ studentStatus: 'approved' })), 'student');
+    assert.equal(getBaseRole(new User({ studentStatus: 'suspended' })), 'student');
+  });
+
+  it('makes everyone else a plain user', () => {
+    assert.equal(getBaseRole(new User({ studentStatus: 'retired' })), 'user');
+    assert.equal(getBaseRole(new User({})), 'user');
+  });
+});
+
+describe('losing the admin or owner role', () => {
+  let users;
+
+  beforeEach(() => {
+    process.env.ADMIN_CHAT_ID = '-100';
+    process.env.OWNER_TELEGRAM_IDS = '1';
+    users = [
+      new User({ telegramId: 1, role: 'owner' }),
+      new User({ telegramId: 7, role: 'admin', studentStatus: 'approved', currentAssignmentId: new User()._id }),
+      new User({ telegramId: 8, role: 'admin' })
+    ];
+    mock.method(User, 'findOne', async ({ telegramId }) => users.find(user => user.telegramId === telegramId) || null);
+    mock.method(User.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(RoleChange, 'create', async (record) => record);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ADMIN_CHAT_ID;
+    delete process.env.OWNER_TELEGRAM_IDS;
+  });
+
+  const demote = async (identifier) => {
+    const replies = [];
+    await handleDemote({
+      from: { id: 1 },
+      chat: { id: -100 },
+      locale: 'en',
+      message: { text: `/demote ${identifier}` },
+      reply: async (text) => replies.push(text)
+    });
+    return replies;
+  };
+
+  it('gives a demoted admin who is a verified student the student role back', async () => {
+    await demote('7');
+
+    assert.equal(users[1].role, 'student');
+    assert.equal(users[1].studentStatus, 'approved');
+    assert.equal(RoleChange.create.mock.calls[0].arguments[0].toRole, 'student');
+  });
+
+  it('makes other demoted admins plain users', async () => {
+    await demote('8');
+
+    assert.equal(users[2].role, 'user');
+  });
+
+  it('reports unknown users with a role message', async () => {
+    assert.deepEqual(await demote('9'), ['User 9 not found. Check the Telegram ID or @username.']);
+  });
+
+  it('gives an owner removed from OWNER_TELEGRAM_IDS the student role back', async () => {
+    users[1].role = 'owner';
+
+    await getOrCreateUser({ from: { id: 7 } });
+
+    assert.equal(users[1].role, 'student');
+  });
+});
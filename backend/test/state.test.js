@@ -0,0 +1,225 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ConversationState = require('../models/conversationState');
+const { StateStore, MemoryAdapter, MongoAdapter, createAdapter } = require('../state');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Enough of the Mongo query language for the filters MongoAdapter builds
+ */
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = getPath(doc, path);
+  if (condition && condition.$gt) return value > condition.$gt;
+  if (condition && condition.$in) return condition.$in.includes(value);
+  if (condition && condition.$exists === false) return value === undefined;
+  return String(value) === String(condition);
+});
+
+/**
+ * Stand-in for the conversationstates collection, enough for the queries MongoAdapter makes
+ */
+const fakeConversationStates = () => {
+  const docs = new Map();
+  const docKey = ({ scope, key }) => `${scope}:${key}`;
+
+  mock.method(ConversationState, 'findOne', (filter) => ({
+    lean: async () => {
+      const doc = docs.get(docKey(filter));
+      if (!doc || !(doc.expiresAt > filter.expiresAt.$gt)) return null;
+      // Documents come back from the database as copies
+      return structuredClone(doc);
+    }
+  }));
+  mock.method(ConversationState, 'updateOne', async (filter, update, options) => {
+    assert.equal(options.upsert, true);
+    docs.set(docKey(filter), { ...filter, ...structuredClone(update.$set) });
+  });
+  mock.method(ConversationState, 'findOneAndUpdate', (filter, update, options) => ({
+    lean: async () => {
+      assert.equal(options.new, true);
+      const doc = docs.get(docKey(filter));
+      if (!doc || !matchesFilter(doc, filter)) return null;
+
+      for (const [path, item] of Object.entries(update.$push)) {
+        const field = path.replace(/^data\./, '');
+        doc.data[field] = [...(doc.data[field] || []), structuredClone(item)];
+      }
+      Object.assign(doc, structuredClone(update.$set));
+      return structuredClone(doc);
+    }
+  }));
+  mock.method(ConversationState, 'deleteOne', async (filter) => {
+    return { deletedCount: docs.delete(docKey(filter)) ? 1 : 0 };
+  });
+  mock.method(ConversationState, 'deleteMany', async ({ scope }) => {
+    for (const [key, doc] of docs) {
+      if (doc.scope === scope) docs.delete(key);
+    }
+  });
+
+  return docs;
+};
+
+const adapters = {
+  memory: () => new MemoryAdapter(),
+  mongo: () => {
+    fakeConversationStates();
+    return new MongoAdapter();
+  }
+};
+
+for (const [name, createTestAdapter] of Object.entries(adapters)) {
+  describe(`StateStore with ${name} adapter`, () => {
+    let adapter;
+
+    beforeEach(() => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T12:00:00Z') });
+      adapter = createTestAdapter();
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+      mock.restoreAll();
+    });
+
+    it('returns undefined for unknown keys', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+
+      assert.equal(await store.get(1), undefined);
+      assert.equal(await store.has(1), false);
+    });
+
+    it('stores, replaces and deletes state', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+
+      await store.set(1, { state: 'entering_request', categoryId: 'c1' });
+      assert.deepEqual(await store.get(1), { state: 'entering_request', categoryId: 'c1' });
+      assert.equal(await store.has(1), true);
+
+      await store.set(1, { state: 'confirming_request' });
+      assert.deepEqual(await store.get(1), { state: 'confirming_request' });
+
+      assert.equal(await store.delete(1), true);
+      assert.equal(await store.get(1), undefined);
+      assert.equal(await store.delete(1), false);
+    });
+
+    it('treats numeric and string Telegram IDs as the same key', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+
+      await store.set(42, { state: 'selecting_category' });
+      assert.deepEqual(await store.get('42'), { state: 'selecting_category' });
+    });
+
+    it('keeps scopes apart', async () => {
+      const users = new StateStore('user', { adapter, ttlMs: 1000 });
+      const students = new StateStore('student', { adapter, ttlMs: 1000 });
+
+      await users.set(1, { state: 'entering_request' });
+      await students.set(1, { state: 'writing_answer' });
+      assert.deepEqual(await users.get(1), { state: 'entering_request' });
+      assert.deepEqual(await students.get(1), { state: 'writing_answer' });
+
+      await users.clear();
+      assert.equal(await users.get(1), undefined);
+      assert.deepEqual(await students.get(1), { state: 'writing_answer' });
+    });
+
+    it('expires state after the TTL', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+
+      await store.set(1, { state: 'entering_request' });
+
+      mock.timers.tick(999);
+      assert.deepEqual(await store.get(1), { state: 'entering_request' });
+
+      mock.timers.tick(1);
+      assert.equal(await store.get(1), undefined);
+    });
+
+    it('restarts the TTL when state is set again', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+
+      await store.set(1, { state: 'entering_request' });
+      mock.timers.tick(800);
+      await store.set(1, { state: 'confirming_request' });
+      mock.timers.tick(800);
+
+      assert.deepEqual(await store.get(1), { state: 'confirming_request' });
+    });
+
+    it('keeps every item of concurrent pushes', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+      await store.set(1, { state: 'entering_request', attachments: [] });
+
+      const results = await Promise.all([
+        store.push(1, 'attachments', 'a', { match: { state: ['entering_request'] } }),
+        store.push(1, 'attachments', 'b', { match: { state: ['entering_request'] } })
+      ]);
+
+      assert.ok(results.every(Boolean));
+      assert.deepEqual((await store.get(1)).attachments.sort(), ['a', 'b']);
+    });
+
+    it('pushes only while the state satisfies the condition', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+      await store.set(1, { state: 'confirming_request', categoryId: 'c1', attachments: ['a'] });
+
+      assert.equal(await store.push(1, 'attachments', 'b', { match: { state: ['entering_request'] } }), undefined);
+      assert.equal(await store.push(1, 'attachments', 'b', { match: { categoryId: 'c2' } }), undefined);
+      assert.equal(await store.push(1, 'attachments', 'b', { maxLength: 1 }), undefined);
+      assert.equal(await store.push(2, 'attachments', 'b'), undefined);
+      assert.deepEqual(await store.get(1), { state: 'confirming_request', categoryId: 'c1', attachments: ['a'] });
+
+      const updated = await store.push(1, 'attachments', 'b', { match: { categoryId: 'c1' }, maxLength: 2 });
+      assert.deepEqual(updated, { state: 'confirming_request', categoryId: 'c1', attachments: ['a', 'b'] });
+    });
+
+    it('restarts the TTL on push', async () => {
+      const store = new StateStore('user', { adapter, ttlMs: 1000 });
+
+      await store.set(1, { state: 'entering_request' });
+      mock.timers.tick(800);
+      await store.push(1, 'attachments', 'a');
+      mock.timers.tick(800);
+
+      assert.deepEqual(await store.get(1), { state: 'entering_request', attachments: ['a'] });
+    });
+  });
+}
+
+describe('MemoryAdapter', () => {
+  it('returns the stored object itself, unlike the Mongo adapter', async () => {
+    // Handlers always set a new object after a change, so this difference must not matter to them
+    const adapter = new MemoryAdapter();
+    const value = { attachments: [] };
+
+    await adapter.set('user', '1', value, 1000);
+    assert.equal(await adapter.get('user', '1'), value);
+  });
+});
+
+describe('createAdapter', () => {
+  it('creates the adapter named in STATE_STORE', () => {
+    assert.ok(createAdapter('memory') instanceof MemoryAdapter);
+    assert.ok(createAdapter('mongo') instanceof MongoAdapter);
+  });
+
+  it('rejects unknown adapters', () => {
+    assert.throws(() => createAdapter('redis'), /Unknown state store: redis/);
+  });
+});
+
+describe('StateStore TTL', () => {
+  afterEach(() => {
+    delete process.env.STATE_TTL_HOURS;
+  });
+
+  it('uses STATE_TTL_HOURS, 7 days by default', () => {
+    assert.equal(new StateStore('user').ttlMs, 168 * 3600000);
+
+    process.env.STATE_TTL_HOURS = '2';
+    assert.equal(new StateStore('user').ttlMs, 2 * 3600000);
+  });
+});
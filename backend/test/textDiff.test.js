@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTextDiff } = require('../utils/textDiff');
+
+describe('formatTextDiff', () => {
+  it('returns the text unchanged when nothing changed', () => {
+    assert.equal(formatTextDiff('Суд принял иск', 'Суд принял иск'), 'Суд принял иск');
+  });
+
+  it('marks removed and added words', () => {
+    assert.equal(formatTextDiff('Суд принял иск', 'Суд отклонил иск'), 'Суд [-принял-]{+отклонил+} иск');
+  });
+
+  it('marks words added at the end', () => {
+    assert.equal(formatTextDiff('Суд принял иск', 'Суд принял иск к рассмотрению'), 'Суд принял иск{+ к рассмотрению+}');
+  });
+
+  it('shows a changed separator once, as in the new text', () => {
+    assert.equal(formatTextDiff('Суд принял иск', 'Суд\nпринял иск'), 'Суд\nпринял иск');
+    assert.equal(formatTextDiff('Суд  принял', 'Суд принял'), 'Суд принял');
+  });
+
+  it('falls back to a line diff for long texts', () => {
+    const words = (prefix) => Array.from({ length: 1500 }, (_, i) => `${prefix}${i}`).join(' ');
+    const diff = formatTextDiff(`${words('a')}\nобщая строка`, `${words('b')}\nобщая строка`);
+
+    assert.deepEqual(diff.split('\n').map(line => line.slice(0, 2)), ['- ', '+ ', '  ']);
+    assert.ok(diff.endsWith('  общая строка'));
+  });
+});
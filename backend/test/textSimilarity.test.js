@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, termFrequencies, cosineSimilarity, textSimilarity } = require('../utils/textSimilarity');
+
+describe('tokenize', () => {
+  it('lowercases words and cuts them to 6-character stems', () => {
+    assert.deepEqual(tokenize('Арендодатель НЕ возвращает депозит'), ['арендо', 'возвра', 'депози']);
+  });
+
+  it('uses the given stem length', () => {
+    assert.deepEqual(tokenize('Арендодатель депозит', 5), ['аренд', 'депоз']);
+  });
+
+  it('drops words shorter than 3 characters', () => {
+    assert.deepEqual(tokenize('я и он в суд'), ['суд']);
+  });
+
+  it('treats ё as е and ignores apostrophes in Uzbek words', () => {
+    assert.deepEqual(tokenize('Ёлка'), tokenize('елка'));
+    assert.deepEqual(tokenize("o'qish"), ['oqish']);
+  });
+
+  it('returns no tokens for empty text', () => {
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe('termFrequencies', () => {
+  it('counts every token', () => {
+    assert.deepEqual(termFrequencies(['суд', 'иск', 'суд']), new Map([['суд', 2], ['иск', 1]]));
+  });
+});
+
+describe('cosineSimilarity', () => {
+  it('is 0 for an empty vector', () => {
+    assert.equal(cosineSimilarity(new Map(), new Map([['суд', 1]])), 0);
+  });
+
+  it('does not depend on the vector length', () => {
+    const a = new Map([['суд', 1], ['иск', 2]]);
+    const b = new Map([['суд', 3], ['иск', 6]]);
+    assert.ok(Math.abs(cosineSimilarity(a, b) - 1) < 1e-9);
+  });
+});
+
+describe('textSimilarity', () => {
+  it('is 1 for the same text in another grammatical form', () => {
+    const score = textSimilarity('Работодатель не выплатил зарплату', 'работодателя не выплатившего зарплаты');
+    assert.ok(Math.abs(score - 1) < 1e-9);
+  });
+
+  it('is 0 for texts without common words', () => {
+    assert.equal(textSimilarity('Развод и алименты', 'Налоговый вычет за квартиру'), 0);
+  });
+
+  it('scores a rewritten request above the duplicate threshold and an unrelated one below it', () => {
+    const original = 'Арендодатель не возвращает депозит за квартиру после окончания договора аренды';
+    const rewritten = 'Арендодатель квартиры не возвращает депозит, договор аренды закончился';
+    const unrelated = 'Как оформить наследство на квартиру после смерти отца';
+
+    assert.ok(textSimilarity(original, rewritten) >= 0.6);
+    assert.ok(textSimilarity(original, unrelated) < 0.6);
+  });
+});
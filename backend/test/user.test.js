@@ -0,0 +1,137 @@
+const { describe, it, before, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The upload handler creates its directories when it is first required
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legalbot-uploads-'));
+process.env.UPLOADS_DIR = uploadsDir;
+
+const User = require('../models/user');
+const { setStateAdapter, MemoryAdapter } = require('../state');
+const userHandlers = require('../handlers/user');
+
+const TELEGRAM_ID = 5;
+
+/**
+ * Photo message from the user, with the replies the bot sends back
+ */
+const createPhotoContext = (fileId) => ({
+  from: { id: TELEGRAM_ID },
+  chat: { id: TELEGRAM_ID, type: 'private' },
+  locale: 'en',
+  message: { photo: [{ file_id: fileId, file_unique_id: fileId, file_size: 4 }] },
+  telegram: {
+    getFileLink: async (id) => new URL(`https://api.telegram.org/file/${id}`)
+  },
+  replies: [],
+  async reply(text) {
+    this.replies.push(text);
+  }
+});
+
+const storedFiles = () => fs.readdirSync(uploadsDir).filter(name => name.endsWith('.jpg'));
+
+describe('request attachments', () => {
+  let fileUpload;
+  let downloads;
+
+  before(() => {
+    fileUpload = require('../src/multer');
+  });
+
+  beforeEach(async () => {
+    setStateAdapter(new MemoryAdapter());
+    await userHandlers.userStates.set(TELEGRAM_ID, { state: 'entering_request', categoryId: 'c1', attachments: [] });
+
+    // Downloads finish only when the test lets them
+    downloads = [];
+    mock.method(User, 'findOne', async () => new User({ telegramId: TELEGRAM_ID }));
+    mock.method(globalThis, 'fetch', async () => ({ ok: true, arrayBuffer: async () => new ArrayBuffer(4) }));
+    mock.method(fileUpload, 'saveBuffer', (buffer, originalName) => new Promise((resolve) => {
+      downloads.push(() => {
+        const storedPath = path.join(uploadsDir, originalName);
+        fs.writeFileSync(storedPath, buffer);
+        resolve({ path: storedPath, filename: originalName });
+      });
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    for (const name of storedFiles()) {
+      fs.unlinkSync(path.join(uploadsDir, name));
+    }
+  });
+
+  after(() => {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Start handling photos and wait until all of them are being downloaded
+   */
+  const startUploads = async (contexts) => {
+    const handled = contexts.map(ctx => userHandlers.handleRequestAttachment(ctx));
+    while (downloads.length < contexts.length) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return handled;
+  };
+
+  it('keeps every photo of an album that arrives at the same time', async () => {
+    const contexts = [createPhotoContext('a'), createPhotoContext('b')];
+    const handled = await startUploads(contexts);
+
+    downloads.forEach(finish => finish());
+    await Promise.all(handled);
+
+    const state = await userHandlers.userStates.get(TELEGRAM_ID);
+    assert.deepEqual(state.attachments.map(attachment => attachment.fileId).sort(), ['a', 'b']);
+    assert.deepEqual(contexts.flatMap(ctx => ctx.replies).sort(), [
+      '📎 File attached (1/5).',
+      '📎 File attached (2/5).'
+    ]);
+  });
+
+  it('does not undo the request text sent during a download', async () => {
+    const [handled] = await startUploads([createPhotoContext('a')]);
+
+    const state = await userHandlers.userStates.get(TELEGRAM_ID);
+    await userHandlers.userStates.set(TELEGRAM_ID, { ...state, state: 'confirming_request', requestText: 'Text' });
+    downloads[0]();
+    await handled;
+
+    const updated = await userHandlers.userStates.get(TELEGRAM_ID);
+    assert.equal(updated.state, 'confirming_request');
+    assert.equal(updated.requestText, 'Text');
+    assert.equal(updated.attachments.length, 1);
+  });
+
+  it('removes the stored file when the request was cancelled during the download', async () => {
+    const ctx = createPhotoContext('a');
+    const [handled] = await startUploads([ctx]);
+
+    await userHandlers.userStates.delete(TELEGRAM_ID);
+    downloads[0]();
+    await handled;
+
+    assert.deepEqual(storedFiles(), []);
+    assert.deepEqual(ctx.replies, []);
+  });
+
+  it('removes the stored file of a photo over the limit', async () => {
+    const attachments = Array.from({ length: 4 }, (_, i) => ({ fileId: `old${i}` }));
+    await userHandlers.userStates.set(TELEGRAM_ID, { state: 'entering_request', categoryId: 'c1', attachments });
+    const contexts = [createPhotoContext('a'), createPhotoContext('b')];
+    const handled = await startUploads(contexts);
+
+    downloads.forEach(finish => finish());
+    await Promise.all(handled);
+
+    assert.equal((await userHandlers.userStates.get(TELEGRAM_ID)).attachments.length, 5);
+    assert.equal(storedFiles().length, 1);
+    assert.ok(contexts.some(ctx => ctx.replies[0] === 'You can attach at most 5 files.'));
+  });
+});
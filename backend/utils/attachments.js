@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const Request = require('../models/request');
+
+// Retention of the local copies of request attachments (src/multer.js):
+// - kept as long as the request that references them is kept;
+// - removed right away when the request is withdrawn or declined as a duplicate without being merged;
+// - files no request references (drafts the user abandoned) are removed by the scheduler
+//   once they are older than ATTACHMENT_ORPHAN_HOURS (STATE_TTL_HOURS by default, so drafts still in progress keep their files).
+// The Telegram file_id stays in the request, so admins and students can still open a file after its local copy is removed.
+
+const DEFAULT_ORPHAN_HOURS = 168;
+const ATTACHMENT_SUBDIRS = ['images', 'documents', 'temp'];
+
+const getUploadsDir = () => process.env.UPLOADS_DIR || './uploads';
+
+/**
+ * Hours after which a stored file no request references is removed
+ */
+const getOrphanHours = () => {
+  return parseFloat(process.env.ATTACHMENT_ORPHAN_HOURS) ||
+    parseFloat(process.env.STATE_TTL_HOURS) ||
+    DEFAULT_ORPHAN_HOURS;
+};
+
+/**
+ * Remove the local copies of attachments
+ * @param {Array<Object>} attachments - Request attachments
+ * @returns {Promise<Number>} - Number of removed files
+ */
+const removeStoredAttachments = async (attachments = []) => {
+  let removed = 0;
+
+  for (const attachment of attachments) {
+    if (!attachment.storedPath) continue;
+
+    try {
+      await fs.promises.unlink(attachment.storedPath);
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error removing attachment file ${attachment.storedPath}:`, error);
+      }
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Remove stored files that no request references and that are older than the orphan age
+ * @returns {Promise<Number>} - Number of removed files
+ */
+const removeOrphanedAttachments = async () => {
+  const uploadsDir = getUploadsDir();
+  if (!fs.existsSync(uploadsDir)) return 0;
+
+  const referenced = new Set(
+    (await Request.distinct('attachments.storedPath'))
+      .filter(Boolean)
+      .map(storedPath => path.resolve(storedPath))
+  );
+  const maxAgeMs = getOrphanHours() * 60 * 60 * 1000;
+  const now = Date.now();
+  let removed = 0;
+
+  for (const subdir of ATTACHMENT_SUBDIRS) {
+    const dirPath = path.join(uploadsDir, subdir);
+    if (!fs.existsSync(dirPath)) continue;
+
+    for (const file of await fs.promises.readdir(dirPath)) {
+      const filePath = path.join(dirPath, file);
+      const stats = await fs.promises.stat(filePath);
+
+      if (!stats.isFile() || referenced.has(path.resolve(filePath))) continue;
+      if (now - stats.mtime.getTime() <= maxAgeMs) continue;
+
+      removed += await removeStoredAttachments([{ storedPath: filePath }]);
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  removeStoredAttachments,
+  removeOrphanedAttachments
+};
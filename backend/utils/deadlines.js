@@ -0,0 +1,37 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+const parseHours = (value, fallback) => {
+  const hours = parseFloat(value);
+  return Number.isFinite(hours) && hours > 0 ? hours : fallback;
+};
+
+/**
+ * Deadline settings from env:
+ * ASSIGNMENT_DEADLINE_HOURS - default deadline when the category has none (72)
+ * ASSIGNMENT_REMINDER_HOURS - comma separated hours after assignment to remind the student (24,48)
+ * ASSIGNMENT_OVERDUE_HOURS - hours after assignment to warn the admin chat (48)
+ */
+const getDeadlineConfig = () => ({
+  deadlineHours: parseHours(process.env.ASSIGNMENT_DEADLINE_HOURS, 72),
+  reminderHours: (process.env.ASSIGNMENT_REMINDER_HOURS || '24,48')
+    .split(',')
+    .map(h => parseHours(h, null))
+    .filter(h => h !== null)
+    .sort((a, b) => a - b),
+  overdueHours: parseHours(process.env.ASSIGNMENT_OVERDUE_HOURS, 48)
+});
+
+/**
+ * Deadline for requests of a category
+ * @param {Object} category - Category document
+ * @returns {Number} - Deadline in hours after assignment
+ */
+const getAssignmentDeadlineHours = (category) => {
+  return (category && category.assignmentDeadlineHours) || getDeadlineConfig().deadlineHours;
+};
+
+module.exports = {
+  HOUR_MS,
+  getDeadlineConfig,
+  getAssignmentDeadlineHours
+};
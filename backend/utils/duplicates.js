@@ -0,0 +1,58 @@
+const Request = require('../models/request');
+const { textSimilarity } = require('./textSimilarity');
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_SIMILARITY_THRESHOLD = 0.6;
+
+// Only the most recent requests of the user are compared
+const MAX_CANDIDATES = 50;
+
+// Requests that are still being worked on, so a duplicate can be merged into them
+const MERGEABLE_STATUSES = ['pending', 'approved', 'assigned', 'answered'];
+
+/**
+ * Read duplicate detection settings from env
+ * DUPLICATE_LOOKBACK_DAYS - how far back to look for similar requests (30 by default)
+ * DUPLICATE_SIMILARITY_THRESHOLD - similarity from 0 to 1 that counts as a duplicate (0.6 by default)
+ */
+const getDuplicateConfig = () => {
+  const lookbackDays = parseFloat(process.env.DUPLICATE_LOOKBACK_DAYS);
+  const threshold = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD);
+
+  return {
+    lookbackDays: lookbackDays > 0 ? lookbackDays : DEFAULT_LOOKBACK_DAYS,
+    threshold: threshold > 0 && threshold <= 1 ? threshold : DEFAULT_SIMILARITY_THRESHOLD
+  };
+};
+
+/**
+ * Find the user's recent requests similar to a new text
+ * @param {Object} user - Requester
+ * @param {String} text - Text of the new request
+ * @param {Object} options - { excludeIds } requests not to compare with (e.g. the parent of a follow-up)
+ * @returns {Promise<Array>} - [{ request, score }], most similar first
+ */
+const findSimilarRequests = async (user, text, options = {}) => {
+  const { lookbackDays, threshold } = getDuplicateConfig();
+  const excludeIds = (options.excludeIds || []).filter(Boolean);
+
+  const candidates = await Request.find({
+    userId: user._id,
+    _id: { $nin: excludeIds },
+    status: { $ne: 'withdrawn' },
+    createdAt: { $gte: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) }
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES);
+
+  return candidates
+    .map(request => ({ request, score: textSimilarity(text, request.text) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  findSimilarRequests,
+  getDuplicateConfig,
+  MERGEABLE_STATUSES
+};
@@ -0,0 +1,151 @@
+const FAQ = require('../models/faq');
+const FaqSuggestion = require('../models/faqSuggestion');
+const { tokenize, termFrequencies, cosineSimilarity } = require('./textSimilarity');
+
+const DEFAULT_THRESHOLD = 0.2;
+const MAX_SUGGESTIONS = 3;
+
+// The question describes the topic better than the answer, so its words count twice
+const QUESTION_WEIGHT = 2;
+
+// Search queries are a few words, often in another grammatical form than the FAQ text,
+// so search compares shorter stems than the suggestions for full request texts
+const SEARCH_STEM_LENGTH = 5;
+
+/**
+ * Minimum TF-IDF similarity for an FAQ to be suggested (FAQ_SUGGESTION_THRESHOLD, 0.2 by default)
+ */
+const getSuggestionThreshold = () => {
+  const threshold = parseFloat(process.env.FAQ_SUGGESTION_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD;
+};
+
+/**
+ * Tokens of an FAQ entry in the user's language; the default-language text is kept as well,
+ * so a query typed in the default language still finds translated entries
+ */
+const faqTokens = (faq, locale, stemLength) => {
+  const question = faq.getQuestion(locale);
+  const answer = faq.getAnswer(locale);
+
+  const questionTokens = tokenize(question === faq.question ? question : `${question} ${faq.question}`, stemLength);
+  const tokens = tokenize(answer === faq.answer ? answer : `${answer} ${faq.answer}`, stemLength);
+  for (let i = 0; i < QUESTION_WEIGHT; i++) {
+    tokens.push(...questionTokens);
+  }
+  return tokens;
+};
+
+/**
+ * Weight term frequencies by inverse document frequency
+ */
+const toTfIdf = (frequencies, idf) => {
+  const vector = new Map();
+  for (const [token, count] of frequencies) {
+    if (idf.has(token)) {
+      vector.set(token, count * idf.get(token));
+    }
+  }
+  return vector;
+};
+
+/**
+ * Rank FAQ entries by TF-IDF similarity to a text
+ * @param {Array} faqs - FAQ documents
+ * @param {String} text - Request text or search query
+ * @param {String} locale - User's language
+ * @param {Number} [stemLength] - Stem length for tokenize, its default if omitted
+ * @returns {Array} - [{ faq, score }] with score above 0, best match first
+ */
+const rankFAQs = (faqs, text, locale, stemLength) => {
+  if (faqs.length === 0) return [];
+
+  const documents = faqs.map(faq => termFrequencies(faqTokens(faq, locale, stemLength)));
+
+  // Smoothed IDF over the FAQ entries of the category
+  const documentFrequency = new Map();
+  for (const frequencies of documents) {
+    for (const token of frequencies.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+  const idf = new Map();
+  for (const [token, count] of documentFrequency) {
+    idf.set(token, Math.log((faqs.length + 1) / (count + 1)) + 1);
+  }
+
+  const query = toTfIdf(termFrequencies(tokenize(text, stemLength)), idf);
+
+  return faqs
+    .map((faq, index) => ({ faq, score: cosineSimilarity(query, toTfIdf(documents[index], idf)) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find FAQ entries of a category that may already answer a request text
+ * @param {String} categoryId - Selected category
+ * @param {String} text - Request text
+ * @param {String} locale - User's language
+ * @returns {Promise<Array>} - [{ faq, score }], best match first
+ */
+const findMatchingFAQs = async (categoryId, text, locale) => {
+  const faqs = await FAQ.find({ categoryId });
+  const threshold = getSuggestionThreshold();
+
+  return rankFAQs(faqs, text, locale)
+    .filter(({ score }) => score >= threshold)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Free-text search over all FAQ entries (private chat search and inline mode)
+ * @param {String} query - Search words
+ * @param {Number} limit - Maximum number of results
+ * @param {String} locale - User's language
+ * @returns {Promise<Array>} - FAQ documents, best match first
+ */
+const searchFAQs = async (query, limit, locale) => {
+  const faqs = await FAQ.find();
+  return rankFAQs(faqs, query, locale, SEARCH_STEM_LENGTH).slice(0, limit).map(({ faq }) => faq);
+};
+
+/**
+ * Aggregate what users did after seeing FAQ suggestions
+ * @returns {Promise<Object>} - { shown, deflected, submitted, topFaqs: [{ question, count }] }
+ */
+const getDeflectionSummary = async () => {
+  const groups = await FaqSuggestion.aggregate([
+    { $group: { _id: '$outcome', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { shown: 0, deflected: 0, submitted: 0 };
+  groups.forEach((group) => {
+    counts[group._id] = group.count;
+  });
+
+  const top = await FaqSuggestion.aggregate([
+    { $match: { outcome: 'deflected', helpfulFaqId: { $ne: null } } },
+    { $group: { _id: '$helpfulFaqId', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_SUGGESTIONS }
+  ]);
+  const faqs = await FAQ.find({ _id: { $in: top.map(entry => entry._id) } });
+
+  return {
+    // Every suggestion was shown, whatever the outcome
+    shown: counts.shown + counts.deflected + counts.submitted,
+    deflected: counts.deflected,
+    submitted: counts.submitted,
+    topFaqs: top
+      .map(entry => ({ faq: faqs.find(faq => faq._id.equals(entry._id)), count: entry.count }))
+      .filter(entry => entry.faq)
+      .map(entry => ({ question: entry.faq.question, count: entry.count }))
+  };
+};
+
+module.exports = {
+  findMatchingFAQs,
+  searchFAQs,
+  getDeflectionSummary
+};
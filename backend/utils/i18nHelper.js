@@ -1,8 +1,59 @@
 const i18n = require('../i18n');
 
+/**
+ * Translate a message to the language of the current chat.
+ * Messages may use {{variable}}, {{variable, date|time|datetime|number}},
+ * {count, plural, one {...} few {...} many {...} other {...}} and $t(other.key)
+ */
 const t = (ctx, key, interpolations = {}) => {
     const locale = ctx.locale || 'ru';
     return i18n.t(key, locale, interpolations);
 };
 
-module.exports = { t };
\ No newline at end of file
+/**
+ * Format a date for the current chat in the clinic time zone
+ * @param {String} style - 'date', 'time' or 'datetime'
+ */
+const formatDate = (ctx, date, style = 'date') => i18n.formatDate(date, ctx.locale || 'ru', style);
+
+/**
+ * Format a number for the current chat
+ */
+const formatNumber = (ctx, number, options = {}) => i18n.formatNumber(number, ctx.locale || 'ru', options);
+
+/**
+ * Configured locale of a group chat, falling back to the default locale if unset or unsupported
+ */
+const getConfiguredLocale = (value) => {
+    return value && i18n.isLocaleSupported(value) ? value : i18n.defaultLocale;
+};
+
+/**
+ * Language of the admin chat (ADMIN_CHAT_LOCALE)
+ */
+const getAdminChatLocale = () => getConfiguredLocale(process.env.ADMIN_CHAT_LOCALE);
+
+/**
+ * Language of the student chat (STUDENT_CHAT_LOCALE)
+ */
+const getStudentChatLocale = () => getConfiguredLocale(process.env.STUDENT_CHAT_LOCALE);
+
+/**
+ * Translate a message sent to the admin chat outside of its context (e.g. a new request from a user)
+ */
+const tAdmin = (key, interpolations = {}) => i18n.t(key, getAdminChatLocale(), interpolations);
+
+/**
+ * Translate a message sent to the student chat outside of its context
+ */
+const tStudentChat = (key, interpolations = {}) => i18n.t(key, getStudentChatLocale(), interpolations);
+
+module.exports = {
+    t,
+    tAdmin,
+    tStudentChat,
+    formatDate,
+    formatNumber,
+    getAdminChatLocale,
+    getStudentChatLocale
+};
@@ -0,0 +1,93 @@
+const OfferVersion = require('../models/offerVersion');
+const User = require('../models/user');
+const i18n = require('../i18n');
+
+/**
+ * Latest offer version that is already in effect
+ * @returns {Promise<Object|null>} - Offer version or null if none was published (the text from the locale files is used)
+ */
+const getCurrentOffer = () => {
+  return OfferVersion.findOne({ effectiveAt: { $lte: new Date() } }).sort({ version: -1 });
+};
+
+/**
+ * Offer text in the given locale, falling back to the default language
+ * @param {Object} offer - Offer version document
+ * @param {String} locale - Locale code
+ * @returns {String}
+ */
+const getOfferText = (offer, locale) => {
+  return offer.texts.get(locale) || offer.texts.get(i18n.defaultLocale);
+};
+
+/**
+ * Whether the user still has to accept the offer
+ * @param {Object} user - User document
+ * @param {Object|null} offer - Current offer version
+ * @returns {Boolean}
+ */
+const needsOfferAcceptance = (user, offer) => {
+  if (!user.offerAccepted) return true;
+  return Boolean(offer) && (user.acceptedOfferVersion || 0) < offer.version;
+};
+
+/**
+ * Save that the user accepted an offer version
+ * @param {Object} user - User document
+ * @param {Number} version - Accepted version, 0 for the text from the locale files
+ * @returns {Promise<Object>} - Saved user
+ */
+const acceptOffer = async (user, version) => {
+  user.offerAccepted = true;
+  // A button of an older offer message must not move the user back to an older version
+  if (version > (user.acceptedOfferVersion || 0)) {
+    user.acceptedOfferVersion = version;
+  }
+  user.offerAcceptedAt = new Date();
+  return user.save();
+};
+
+/**
+ * Publish a new offer version, users are asked to accept it once it is in effect
+ * @param {Object} texts - Offer text per locale code, must include the default locale
+ * @param {Date} effectiveAt - When the version comes into effect
+ * @param {Object} admin - Admin user document
+ * @returns {Promise<Object>} - Offer version document
+ */
+const publishOfferVersion = async (texts, effectiveAt, admin) => {
+  const latest = await OfferVersion.findOne().sort({ version: -1 });
+
+  return OfferVersion.create({
+    version: latest ? latest.version + 1 : 1,
+    texts,
+    effectiveAt,
+    publishedBy: admin._id
+  });
+};
+
+/**
+ * All offer versions, newest first
+ * @returns {Promise<Array<Object>>} - Offer versions with publishedBy populated
+ */
+const listOfferVersions = () => {
+  return OfferVersion.find().sort({ version: -1 }).populate('publishedBy');
+};
+
+/**
+ * Number of users whose latest accepted version is the given one
+ * @param {Number} version - Offer version
+ * @returns {Promise<Number>}
+ */
+const countOfferAcceptances = (version) => {
+  return User.countDocuments({ offerAccepted: true, acceptedOfferVersion: version });
+};
+
+module.exports = {
+  getCurrentOffer,
+  getOfferText,
+  needsOfferAcceptance,
+  acceptOffer,
+  publishOfferVersion,
+  listOfferVersions,
+  countOfferAcceptances
+};
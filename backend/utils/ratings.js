@@ -0,0 +1,48 @@
+const Request = require('../models/request');
+
+/**
+ * Ratings at or below this score are flagged in the admin chat (LOW_RATING_THRESHOLD, 2 by default)
+ * @returns {Number} - Threshold score
+ */
+const getLowRatingThreshold = () => {
+  return parseInt(process.env.LOW_RATING_THRESHOLD, 10) || 2;
+};
+
+/**
+ * Aggregate ratings of matching requests
+ * @param {Object} match - Mongo filter (e.g. { studentId })
+ * @returns {Promise<Object>} - { count, average, distribution: { 1..5 }, low }
+ */
+const getRatingSummary = async (match = {}) => {
+  const groups = await Request.aggregate([
+    { $match: { ...match, 'rating.score': { $ne: null } } },
+    { $group: { _id: '$rating.score', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  groups.forEach((group) => {
+    distribution[group._id] = group.count;
+    count += group.count;
+    total += group._id * group.count;
+  });
+
+  const threshold = getLowRatingThreshold();
+  const low = Object.entries(distribution)
+    .filter(([score]) => Number(score) <= threshold)
+    .reduce((sum, [, value]) => sum + value, 0);
+
+  return {
+    count,
+    average: count > 0 ? total / count : null,
+    distribution,
+    low
+  };
+};
+
+module.exports = {
+  getLowRatingThreshold,
+  getRatingSummary
+};
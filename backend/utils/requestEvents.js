@@ -0,0 +1,46 @@
+const RequestEvent = require('../models/requestEvent');
+const { logError } = require('../logger');
+
+/**
+ * Append an event to the request timeline.
+ * Never throws: a failed history write must not break the action itself.
+ * @param {Object|String} request - Request document or ID
+ * @param {String} type - Event type (see models/requestEvent.js)
+ * @param {Object} details - { actor, actorRole, student, text, fromStatus, source }
+ *                           actor is the acting user document (omit for system events)
+ */
+const recordRequestEvent = async (request, type, details = {}) => {
+  const { actor = null, actorRole, student = null, text = null, fromStatus = null, source = null } = details;
+
+  try {
+    await RequestEvent.create({
+      requestId: request._id || request,
+      type,
+      actorId: actor ? actor._id : null,
+      actorRole: actorRole || (actor ? 'user' : 'system'),
+      studentId: student ? (student._id || student) : null,
+      text,
+      fromStatus,
+      source
+    });
+  } catch (error) {
+    logError(error, { context: 'Failed to record request event', requestId: request._id || request, type });
+  }
+};
+
+/**
+ * Get request timeline, oldest first
+ * @param {String} requestId - Request ID
+ * @returns {Promise<Array>} - Events with populated actor and student
+ */
+const getRequestTimeline = (requestId) => {
+  return RequestEvent.find({ requestId })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('actorId')
+    .populate('studentId');
+};
+
+module.exports = {
+  recordRequestEvent,
+  getRequestTimeline
+};
@@ -0,0 +1,101 @@
+const Request = require('../models/request');
+const User = require('../models/user');
+
+// A review lock left behind by an admin who never entered the reason expires after this time
+const REVIEW_LOCK_TTL_MS = 10 * 60 * 1000;
+
+const EMPTY_REVIEW_LOCK = { adminId: null, lockedAt: null };
+
+/**
+ * Filter matching requests that are not locked by another admin
+ * @param {Number|null} adminId - Telegram ID of the acting admin, null for changes that must wait for any lock
+ * @returns {Object} - Mongo filter
+ */
+const reviewLockAvailable = (adminId) => ({
+  $or: [
+    { 'reviewLock.adminId': null },
+    ...(adminId === null ? [] : [{ 'reviewLock.adminId': adminId }]),
+    { 'reviewLock.lockedAt': { $lt: new Date(Date.now() - REVIEW_LOCK_TTL_MS) } }
+  ]
+});
+
+/**
+ * Atomically move a request from one status to another
+ * @param {String} requestId - Request ID
+ * @param {String} fromStatus - Status the request must currently have
+ * @param {Object} update - Fields to set (including the new status)
+ * @param {Object} options - { adminId } to respect and release admin review locks;
+ *                           adminId null for changes by others that must wait for any lock (e.g. the requester's edits)
+ * @returns {Promise<Object|null>} - Updated request, or null if someone else changed it first
+ */
+const transitionRequest = async (requestId, fromStatus, update, options = {}) => {
+  const filter = { _id: requestId, status: fromStatus };
+  const set = { ...update };
+
+  if (options.adminId !== undefined) {
+    Object.assign(filter, reviewLockAvailable(options.adminId));
+    set.reviewLock = EMPTY_REVIEW_LOCK;
+  }
+
+  return Request.findOneAndUpdate(filter, { $set: set }, { new: true });
+};
+
+/**
+ * Atomically lock a request for review by one admin (e.g. while typing a decline reason)
+ * @param {String} requestId - Request ID
+ * @param {String} status - Status the request must currently have
+ * @param {Number} adminId - Telegram ID of the admin
+ * @returns {Promise<Object|null>} - Locked request, or null if it was processed or locked by another admin
+ */
+const lockForReview = async (requestId, status, adminId) => {
+  return Request.findOneAndUpdate(
+    { _id: requestId, status, ...reviewLockAvailable(adminId) },
+    { $set: { reviewLock: { adminId, lockedAt: new Date() } } },
+    { new: true }
+  );
+};
+
+/**
+ * Atomically claim an approved request for a student.
+ * First reserves the student's single assignment slot, then the request itself;
+ * if the request was taken by someone else, the slot is released again.
+ * @param {String} requestId - Request ID
+ * @param {Object} student - Student user document
+ * @returns {Promise<Object>} - { request } on success, { error } with an i18n error key otherwise
+ */
+const claimRequestForStudent = async (requestId, student) => {
+  const reserved = await User.findOneAndUpdate(
+    { _id: student._id, currentAssignmentId: null },
+    { $set: { currentAssignmentId: requestId } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return { error: 'errors.already_has_assignment' };
+  }
+
+  const request = await transitionRequest(requestId, 'approved', {
+    status: 'assigned',
+    studentId: student._id,
+    assignedAt: new Date(),
+    studentChatMessageId: null
+  });
+
+  if (!request) {
+    await User.updateOne(
+      { _id: student._id, currentAssignmentId: requestId },
+      { $set: { currentAssignmentId: null } }
+    );
+    return { error: 'errors.request_already_taken' };
+  }
+
+  student.currentAssignmentId = reserved.currentAssignmentId;
+  return { request };
+};
+
+module.exports = {
+  transitionRequest,
+  lockForReview,
+  claimRequestForStudent,
+  REVIEW_LOCK_TTL_MS
+};
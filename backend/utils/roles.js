@@ -0,0 +1,89 @@
+const RoleChange = require('../models/roleChange');
+const User = require('../models/user');
+const { logAction } = require('../logger');
+
+/**
+ * Telegram IDs of owners from OWNER_TELEGRAM_IDS env variable (comma separated)
+ * @returns {Number[]} - Owner Telegram IDs
+ */
+const getOwnerTelegramIds = () => {
+  return (process.env.OWNER_TELEGRAM_IDS || '')
+    .split(',')
+    .map(id => parseInt(id.trim(), 10))
+    .filter(id => !Number.isNaN(id));
+};
+
+/**
+ * Check if Telegram ID is configured as owner
+ * @param {Number} telegramId - Telegram ID
+ * @returns {Boolean} - Is owner
+ */
+const isOwnerTelegramId = (telegramId) => {
+  return getOwnerTelegramIds().includes(telegramId);
+};
+
+/**
+ * Role a user goes back to when losing the admin or owner role.
+ * Verified students stay students (suspended ones too: they keep the role until they are retired),
+ * so their studentStatus and current assignment still match their role.
+ * @param {Object} user - User document
+ * @returns {String} - 'student' or 'user'
+ */
+const getBaseRole = (user) => {
+  return ['approved', 'suspended'].includes(user.studentStatus) ? 'student' : 'user';
+};
+
+/**
+ * Change user role and write an audit record
+ * @param {Object} user - User document
+ * @param {String} newRole - New role
+ * @param {Object|null} changedBy - User who made the change (null for automatic changes)
+ * @param {String} source - 'command', 'bootstrap', 'auto' or 'verification'
+ * @returns {Promise<Object>} - Audit record
+ */
+const changeUserRole = async (user, newRole, changedBy = null, source = 'command') => {
+  const fromRole = user.role;
+
+  user.role = newRole;
+  await user.save();
+
+  const record = await RoleChange.create({
+    userId: user._id,
+    changedBy: changedBy ? changedBy._id : null,
+    fromRole,
+    toRole: newRole,
+    source
+  });
+
+  logAction('user_role_changed', {
+    userId: user._id,
+    changedBy: changedBy ? changedBy._id : null,
+    fromRole,
+    toRole: newRole,
+    source
+  });
+
+  return record;
+};
+
+/**
+ * Mark students who got the role before student verification existed as approved.
+ * Since verification the student role is only given on approval, so a student without
+ * a verification status can only be such an existing student.
+ * @returns {Promise<Number>} - Number of updated students
+ */
+const approveExistingStudents = async () => {
+  const result = await User.updateMany(
+    { role: 'student', studentStatus: { $in: [null, 'none'] } },
+    { $set: { studentStatus: 'approved' } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  getOwnerTelegramIds,
+  isOwnerTelegramId,
+  getBaseRole,
+  changeUserRole,
+  approveExistingStudents
+};
@@ -0,0 +1,82 @@
+// Above this many word pairs the LCS table gets too large; fall back to line diff
+const MAX_WORD_CELLS = 4000000;
+
+/**
+ * Longest common subsequence diff of two token arrays
+ * @returns {Array} - [{ op: 'equal'|'insert'|'delete', tokens: [] }]
+ */
+const diffTokens = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const chunks = [];
+  const push = (op, token) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.op === op) {
+      last.tokens.push(token);
+    } else {
+      chunks.push({ op, tokens: [token] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < n) push('delete', a[i++]);
+  while (j < m) push('insert', b[j++]);
+
+  return chunks;
+};
+
+/**
+ * Render a diff between two texts in git word-diff style: [-removed-] {+added+}
+ * @param {String} oldText - Previous revision
+ * @param {String} newText - New revision
+ * @returns {String} - Diff text
+ */
+const formatTextDiff = (oldText, newText) => {
+  const oldWords = oldText.split(/(\s+)/);
+  const newWords = newText.split(/(\s+)/);
+
+  if (oldWords.length * newWords.length <= MAX_WORD_CELLS) {
+    return diffTokens(oldWords, newWords)
+      .map(({ op, tokens }) => {
+        const text = tokens.join('');
+        if (op === 'equal') return text;
+        // Changed whitespace is not worth marking, show it as in the new text
+        if (!text.trim()) return op === 'insert' ? text : '';
+        return op === 'delete' ? `[-${text}-]` : `{+${text}+}`;
+      })
+      .join('');
+  }
+
+  return diffTokens(oldText.split('\n'), newText.split('\n'))
+    .map(({ op, tokens }) => {
+      const prefix = op === 'equal' ? '  ' : op === 'delete' ? '- ' : '+ ';
+      return tokens.map(line => prefix + line).join('\n');
+    })
+    .join('\n');
+};
+
+module.exports = {
+  formatTextDiff
+};
@@ -0,0 +1,76 @@
+// Words shorter than this carry little meaning (prepositions, particles)
+const MIN_TOKEN_LENGTH = 3;
+
+// Crude stemming: Russian and Uzbek inflect word endings, so only the beginning of a word is compared
+const STEM_LENGTH = 6;
+
+/**
+ * Split text into lowercase word stems
+ * @param {String} text - Any text
+ * @param {Number} stemLength - Characters of a word that are compared
+ * @returns {Array<String>} - Stems
+ */
+const tokenize = (text, stemLength = STEM_LENGTH) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(word => word.replace(/'/g, ''))
+    .filter(word => word.length >= MIN_TOKEN_LENGTH)
+    .map(word => word.slice(0, stemLength));
+};
+
+/**
+ * Count occurrences of each token
+ * @param {Array<String>} tokens - Tokens
+ * @returns {Map<String, Number>} - Token -> count
+ */
+const termFrequencies = (tokens) => {
+  const frequencies = new Map();
+  for (const token of tokens) {
+    frequencies.set(token, (frequencies.get(token) || 0) + 1);
+  }
+  return frequencies;
+};
+
+/**
+ * Cosine similarity of two sparse vectors
+ * @param {Map<String, Number>} a - Token weights
+ * @param {Map<String, Number>} b - Token weights
+ * @returns {Number} - From 0 (nothing in common) to 1 (same direction)
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (const [token, weight] of a) {
+    normA += weight * weight;
+    if (b.has(token)) {
+      dot += weight * b.get(token);
+    }
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+};
+
+/**
+ * Similarity of two texts by their word stems
+ * @param {String} a - First text
+ * @param {String} b - Second text
+ * @returns {Number} - From 0 to 1
+ */
+const textSimilarity = (a, b) => {
+  return cosineSimilarity(termFrequencies(tokenize(a)), termFrequencies(tokenize(b)));
+};
+
+module.exports = {
+  tokenize,
+  termFrequencies,
+  cosineSimilarity,
+  textSimilarity
+};
@@ -0,0 +1,57 @@
+const TranslationOverride = require('../models/translationOverride');
+const i18n = require('../i18n');
+
+/**
+ * Load translation overrides from the database into i18n, on top of the locale files
+ * @returns {Promise<Number>} - Number of overrides
+ */
+const loadTranslationOverrides = async () => {
+  const overrides = await TranslationOverride.find();
+  i18n.setOverrides(overrides);
+  return overrides.length;
+};
+
+/**
+ * Save a translation override and apply it right away
+ * @param {String} key - Message key, e.g. 'errors.general'
+ * @param {String} locale - Locale code
+ * @param {String} text - New message text
+ * @param {Object} admin - Admin user document
+ * @returns {Promise<Object>} - Override document
+ */
+const setTranslationOverride = async (key, locale, text, admin) => {
+  const override = await TranslationOverride.findOneAndUpdate(
+    { key, locale },
+    { $set: { text, updatedBy: admin._id } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  i18n.setOverride(key, locale, text);
+  return override;
+};
+
+/**
+ * Remove a translation override, so the text from the locale file is used again
+ * @returns {Promise<Object|null>} - Removed override or null if there was none
+ */
+const removeTranslationOverride = async (key, locale) => {
+  const override = await TranslationOverride.findOneAndDelete({ key, locale });
+
+  i18n.removeOverride(key, locale);
+  return override;
+};
+
+/**
+ * All overrides, sorted by key and locale
+ * @returns {Promise<Array<Object>>} - Override documents with updatedBy populated
+ */
+const listTranslationOverrides = () => {
+  return TranslationOverride.find().sort({ key: 1, locale: 1 }).populate('updatedBy');
+};
+
+module.exports = {
+  loadTranslationOverrides,
+  setTranslationOverride,
+  removeTranslationOverride,
+  listTranslationOverrides
+};